@@ -0,0 +1,428 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import { Duration } from './measurement.js';
+import { singularize } from './names.js';
+import Recipe from './Recipe.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} CookbookQuery
+ * @property {string} [text] - Words every result must contain, in its name, mise en place or serving suggestions
+ * @property {string[]} [tags] - Tags every result must have, matched case-insensitively
+ * @property {string|string[]} [difficulty] - The difficulty, or one of several, results must have
+ * @property {Duration} [maxTime] - The longest estimated time; recipes without one are left out
+ * @property {number|{min: number, max: number}} [servings] - The servings, or their range, results must have
+ * @property {Array<string|Entity>} [ingredients] - Ingredients every result must use
+ * @property {Array<string|Entity>} [excludeIngredients] - Ingredients no result may use
+ * @property {Array<string|Entity>} [tools] - The tools available; results need no other
+ * @property {Array<string|Entity>} [appliances] - The appliances available; results need no other
+ * @property {string|function(Recipe, Recipe): number} [sort] - 'relevance', 'name', 'difficulty', 'estimatedTime' or 'servings', or a compare function
+ * @property {string} [order='asc'] - 'asc' or 'desc'
+ * @property {number} [offset=0] - The number of results skipped
+ * @property {number} [limit] - The largest number of results returned
+ */
+
+/**
+ * @typedef {Object} CookbookPage
+ * @property {Recipe[]} recipes - The recipes of the page
+ * @property {number} total - The number of matching recipes, over all pages
+ * @property {number} offset - The number of results skipped
+ * @property {number|null} limit - The largest number of results per page, null for all
+ */
+
+/**
+ * The version of the bundle format written by Cookbook#toJSON
+ * @type {number}
+ */
+const COOKBOOK_FORMAT_VERSION = 1;
+
+/**
+ * Difficulty levels from easiest to hardest, for sorting; other levels
+ * sort last
+ * @type {string[]}
+ */
+const DIFFICULTY_ORDER = ['very easy', 'easy', 'medium', 'hard', 'very hard'];
+
+const _recipes = Symbol('recipes');
+const _relevance = Symbol('relevance');
+
+/**
+ * Normalizes a name, or the name of an entity, for matching
+ * @param {string|Entity} value - The name or entity
+ * @returns {string} The normalized name
+ */
+const normalizeName = (value) =>
+  String(value && typeof value === 'object' ? value.name : value)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+/**
+ * Splits a text into lowercase words
+ * @param {string} text - The text
+ * @returns {string[]} The words
+ */
+const words = (text) =>
+  String(text)
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Tells whether an ingredient name matches a wanted one: by exact name, by
+ * singular form, or as whole words of it (so "butter" matches "unsalted
+ * butter")
+ * @param {string} name - The normalized ingredient name
+ * @param {string} wanted - The normalized wanted name
+ * @returns {boolean} True if it matches
+ */
+const matchesIngredient = (name, wanted) =>
+  name === wanted ||
+  singularize(name) === singularize(wanted) ||
+  ` ${words(name).join(' ')} `.includes(` ${words(wanted).join(' ')} `);
+
+/**
+ * Lists the names of the ingredients a recipe uses, declared or in a step
+ * action (including those of parallel threads)
+ * @param {Recipe} recipe - The recipe
+ * @returns {string[]} The normalized names
+ */
+const ingredientNames = (recipe) => {
+  const names = new Set(recipe.ingredients.map(normalizeName));
+  const visit = (step) => {
+    step.actions.forEach((action) => {
+      if (action.ingredient) names.add(normalizeName(action.ingredient));
+    });
+    step.threads.forEach(visit);
+  };
+  recipe.steps.forEach(visit);
+  return [...names];
+};
+
+/**
+ * Compares two recipes by a sort key
+ * @type {Object<string, function(Recipe, Recipe): number>}
+ */
+const COMPARATORS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  difficulty: (a, b) => {
+    const rank = (recipe) => {
+      const index = DIFFICULTY_ORDER.indexOf(recipe.difficulty);
+      return index === -1 ? DIFFICULTY_ORDER.length : index;
+    };
+    return rank(a) - rank(b);
+  },
+  // Recipes without an estimated time sort last
+  estimatedTime: (a, b) => {
+    if (!a.estimatedTime || !b.estimatedTime) {
+      return !a.estimatedTime - !b.estimatedTime;
+    }
+    return Duration.compare(a.estimatedTime, b.estimatedTime);
+  },
+  servings: (a, b) => a.servings - b.servings,
+};
+
+// -------------------- Cookbook Class --------------------
+
+/**
+ * A collection of recipes that can be queried by tags, difficulty, time,
+ * servings, ingredients and equipment, searched in full text, and saved
+ * as a single bundle. Recipes are kept under their id, in insertion order.
+ * @class
+ */
+class Cookbook {
+  /**
+   * Creates a cookbook
+   * @param {string} [name='Cookbook'] - The name of the cookbook
+   * @param {Recipe[]} [recipes=[]] - The recipes
+   */
+  constructor(name = 'Cookbook', recipes = []) {
+    this.name = name;
+    /** @type {Map<string, Recipe>} */
+    this[_recipes] = new Map();
+    this.add(...recipes);
+  }
+
+  /**
+   * The number of recipes
+   * @type {number}
+   */
+  get size() {
+    return this[_recipes].size;
+  }
+
+  /**
+   * The recipes, in insertion order
+   * @type {Recipe[]}
+   */
+  get recipes() {
+    return [...this[_recipes].values()];
+  }
+
+  /**
+   * Adds recipes, replacing any with the same id
+   * @param {...Recipe} recipes - The recipes
+   * @returns {Cookbook} The Cookbook instance
+   * @throws {Error} If one of them is not a Recipe
+   */
+  add(...recipes) {
+    recipes.forEach((recipe) => {
+      if (!(recipe instanceof Recipe)) {
+        throw new Error('Only Recipe instances can be added to a cookbook');
+      }
+      this[_recipes].set(recipe.id, recipe);
+    });
+    return this;
+  }
+
+  /**
+   * Removes a recipe
+   * @param {string|Recipe} recipe - The recipe or its id
+   * @returns {boolean} True if it was in the cookbook
+   */
+  remove(recipe) {
+    return this[_recipes].delete(
+      typeof recipe === 'string' ? recipe : recipe.id
+    );
+  }
+
+  /**
+   * Tells whether a recipe is in the cookbook
+   * @param {string|Recipe} recipe - The recipe or its id
+   * @returns {boolean} True if it is
+   */
+  has(recipe) {
+    return this[_recipes].has(typeof recipe === 'string' ? recipe : recipe.id);
+  }
+
+  /**
+   * Returns a recipe
+   * @param {string} id - The recipe id
+   * @returns {Recipe|null} The recipe, or null if it is not in the cookbook
+   */
+  get(id) {
+    return this[_recipes].get(id) || null;
+  }
+
+  /**
+   * Iterates over the recipes, in insertion order
+   * @returns {Iterator<Recipe>} The iterator
+   */
+  [Symbol.iterator]() {
+    return this[_recipes].values();
+  }
+
+  /**
+   * Finds the recipes matching every given criterion, sorted and paginated.
+   * Names of ingredients, tools and appliances are matched
+   * case-insensitively; an ingredient also matches by singular form and
+   * within a longer name, so "egg" matches "Eggs" and "butter" matches
+   * "Unsalted butter". With a text, results are sorted by relevance unless
+   * another sort is given; otherwise they keep insertion order.
+   * @param {CookbookQuery} [query={}] - The criteria, sort and page
+   * @returns {CookbookPage} The page of matching recipes
+   * @throws {Error} If the sort key is unknown
+   */
+  query({
+    text,
+    tags,
+    difficulty,
+    maxTime,
+    servings,
+    ingredients,
+    excludeIngredients,
+    tools,
+    appliances,
+    sort,
+    order = 'asc',
+    offset = 0,
+    limit,
+  } = {}) {
+    const compare =
+      typeof sort === 'function'
+        ? sort
+        : COMPARATORS[sort] ||
+          (sort === undefined || sort === 'relevance' ? null : undefined);
+    if (compare === undefined) {
+      throw new Error(
+        `Unknown sort key: ${sort}; expected relevance, ${Object.keys(
+          COMPARATORS
+        ).join(', ')} or a compare function`
+      );
+    }
+    const terms = text === undefined ? [] : words(text);
+    const wantedTags = (tags || []).map((tag) => tag.toLowerCase());
+    const difficulties =
+      difficulty === undefined ? null : [].concat(difficulty);
+    const longest = maxTime === undefined ? null : Duration.toSeconds(maxTime);
+    const range =
+      servings === undefined || typeof servings === 'object'
+        ? servings
+        : { min: servings, max: servings };
+    const required = (ingredients || []).map(normalizeName);
+    const excluded = (excludeIngredients || []).map(normalizeName);
+    const availableTools = tools && tools.map(normalizeName);
+    const availableAppliances = appliances && appliances.map(normalizeName);
+
+    const matches = [];
+    this[_recipes].forEach((recipe) => {
+      if (difficulties && !difficulties.includes(recipe.difficulty)) return;
+      if (
+        longest !== null &&
+        !(
+          recipe.estimatedTime &&
+          Duration.toSeconds(recipe.estimatedTime) <= longest
+        )
+      ) {
+        return;
+      }
+      if (
+        range &&
+        !(
+          recipe.servings >= (range.min ?? -Infinity) &&
+          recipe.servings <= (range.max ?? Infinity)
+        )
+      ) {
+        return;
+      }
+      if (wantedTags.length > 0) {
+        const recipeTags = recipe.tags.map((tag) => tag.toLowerCase());
+        if (!wantedTags.every((tag) => recipeTags.includes(tag))) return;
+      }
+      if (required.length > 0 || excluded.length > 0) {
+        const names = ingredientNames(recipe);
+        const uses = (wanted) =>
+          names.some((name) => matchesIngredient(name, wanted));
+        if (!required.every(uses) || excluded.some(uses)) return;
+      }
+      if (
+        availableTools &&
+        !recipe.tools.every((tool) =>
+          availableTools.includes(normalizeName(tool))
+        )
+      ) {
+        return;
+      }
+      if (
+        availableAppliances &&
+        !recipe.appliances.every((appliance) =>
+          availableAppliances.includes(normalizeName(appliance))
+        )
+      ) {
+        return;
+      }
+      const relevance = this[_relevance](recipe, terms);
+      if (terms.length > 0 && relevance === 0) return;
+      matches.push({ recipe, relevance });
+    });
+
+    const direction = order === 'desc' ? -1 : 1;
+    if (compare) {
+      matches.sort((a, b) => direction * compare(a.recipe, b.recipe));
+    } else if (terms.length > 0) {
+      // Most relevant first, unless the order is reversed
+      matches.sort((a, b) => direction * (b.relevance - a.relevance));
+    } else if (direction === -1) {
+      matches.reverse();
+    }
+    const start = Math.max(0, offset);
+    const page = matches.slice(
+      start,
+      limit === undefined ? undefined : start + Math.max(0, limit)
+    );
+    return {
+      recipes: page.map((match) => match.recipe),
+      total: matches.length,
+      offset: start,
+      limit: limit === undefined ? null : limit,
+    };
+  }
+
+  /**
+   * Searches the names, mise en place and serving suggestions of the
+   * recipes for words, most relevant first. Every word must be found,
+   * possibly as the start of a longer word ("choc" finds "chocolate");
+   * matches in the name weigh most.
+   * @param {string} text - The words to search for
+   * @param {CookbookQuery} [query={}] - Other criteria, sort and page
+   * @returns {CookbookPage} The page of matching recipes
+   */
+  search(text, query = {}) {
+    return this.query({ ...query, text });
+  }
+
+  /**
+   * Converts the cookbook to a JSON-friendly bundle holding every recipe in
+   * the format of Recipe#toJSON
+   * @returns {Object} The bundle
+   */
+  toJSON() {
+    return {
+      formatVersion: COOKBOOK_FORMAT_VERSION,
+      name: this.name,
+      recipes: this.recipes.map((recipe) => JSON.parse(recipe.toJSON())),
+    };
+  }
+
+  /**
+   * Creates a cookbook from the bundle written by toJSON. Every recipe is
+   * migrated and validated like by Recipe.fromJSON.
+   * @param {string|Object} json - The bundle, or its JSON string
+   * @returns {Cookbook} A new Cookbook instance
+   * @throws {Error} If the document is not a cookbook, or one of its recipes is invalid
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.formatVersion !== COOKBOOK_FORMAT_VERSION) {
+      throw new Error(
+        `Invalid cookbook: formatVersion must be ${COOKBOOK_FORMAT_VERSION}`
+      );
+    }
+    return new Cookbook(
+      data.name,
+      (data.recipes || []).map((recipe) => Recipe.fromJSON(recipe))
+    );
+  }
+
+  /**
+   * Writes the cookbook to a JSON file
+   * @param {string} path - The file path
+   * @returns {Cookbook} The Cookbook instance
+   */
+  save(path) {
+    writeFileSync(path, JSON.stringify(this.toJSON()));
+    return this;
+  }
+
+  /**
+   * Reads a cookbook from a JSON file written by save
+   * @param {string} path - The file path
+   * @returns {Cookbook} A new Cookbook instance
+   */
+  static load(path) {
+    return Cookbook.fromJSON(readFileSync(path, 'utf8'));
+  }
+
+  [_relevance](recipe, terms) {
+    if (terms.length === 0) return 0;
+    const fields = [
+      [words(recipe.name), 3],
+      [recipe.miseEnPlace.flatMap(words), 1],
+      [recipe.servingSuggestions.flatMap(words), 1],
+    ];
+    let score = 0;
+    for (const term of terms) {
+      const found = fields.reduce(
+        (total, [fieldWords, weight]) =>
+          total +
+          weight * fieldWords.filter((word) => word.startsWith(term)).length,
+        0
+      );
+      if (found === 0) return 0;
+      score += found;
+    }
+    return score;
+  }
+}
+
+export default Cookbook;
@@ -0,0 +1,372 @@
+import { EventEmitter } from 'node:events';
+
+import { Duration } from './measurement.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} Clock
+ * @property {function(): number} now - Returns the current time in milliseconds
+ * @property {function(function(): void, number): *} setTimeout - Schedules a callback
+ * @property {function(*): void} clearTimeout - Cancels a scheduled callback
+ */
+
+/**
+ * @typedef {Object} SessionPosition
+ * @property {number} stepIndex - The 0-based index of the recipe step
+ * @property {string} thread - The thread label: '' for the main thread, 'a', 'b', ... for parallel threads
+ * @property {Object|null} action - The action, or null for a step without actions
+ */
+
+/**
+ * The clock used when none is injected
+ * @type {Clock}
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Session statuses
+ * @enum {string}
+ */
+const SessionStatus = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  AWAITING_CONFIRMATION: 'awaitingConfirmation',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+};
+
+const _enter = Symbol('enter');
+const _startTimer = Symbol('startTimer');
+const _scheduleTimer = Symbol('scheduleTimer');
+const _prompts = Symbol('prompts');
+
+/**
+ * Lists the positions of a step: its main thread actions followed by those
+ * of its parallel threads
+ * @param {RecipeStep} step - The step to walk
+ * @param {number} stepIndex - The index of the step
+ * @param {string} thread - The thread label
+ * @returns {SessionPosition[]} The positions
+ */
+const walkStep = (step, stepIndex, thread) => [
+  ...step.actions.map((action) => ({ stepIndex, thread, action })),
+  ...step.threads.flatMap((parallelStep, index) =>
+    walkStep(
+      parallelStep,
+      stepIndex,
+      `${thread}${String.fromCharCode(97 + index)}` // a, b, c, ...
+    )
+  ),
+];
+
+// -------------------- Cooking Session Class --------------------
+
+/**
+ * Walks through a recipe action by action, running timers for actions with a
+ * duration and asking for the step's cues, sensory checks and adjustments to
+ * be confirmed before moving on to the next step.
+ *
+ * Emits `stepStarted`, `actionStarted`, `timerStarted`, `timerElapsed`,
+ * `cueRequired`, `paused`, `resumed` and `finished`.
+ * @class
+ * @extends EventEmitter
+ */
+class CookingSession extends EventEmitter {
+  /**
+   * Creates a new CookingSession
+   * @param {Recipe} recipe - The recipe to cook
+   * @param {Object} [options={}] - The session options
+   * @param {Clock} [options.clock] - The clock driving the timers, e.g. a fake clock in tests
+   */
+  constructor(recipe, { clock = systemClock } = {}) {
+    super();
+    this.recipe = recipe;
+    this.clock = clock;
+    this.positions = recipe.steps.flatMap((step, stepIndex) => {
+      const positions = walkStep(step, stepIndex, '');
+      return positions.length > 0
+        ? positions
+        : [{ stepIndex, thread: '', action: null }];
+    });
+    this.position = -1;
+    this.status = SessionStatus.IDLE;
+    this.statusBeforePause = null;
+    this.confirmedSteps = [];
+    this.timers = [];
+  }
+
+  /**
+   * The current position, or null before the start and after the end
+   * @type {SessionPosition|null}
+   */
+  get current() {
+    return this.positions[this.position] || null;
+  }
+
+  /**
+   * Starts the session at the first action
+   * @returns {CookingSession} The CookingSession instance
+   * @throws {Error} If the session has already started
+   */
+  start() {
+    if (this.status !== SessionStatus.IDLE) {
+      throw new Error('Cooking session has already started');
+    }
+    this.status = SessionStatus.RUNNING;
+    if (this.positions.length === 0) {
+      this.status = SessionStatus.FINISHED;
+      this.emit('finished', { recipe: this.recipe });
+      return this;
+    }
+    this[_enter](0);
+    return this;
+  }
+
+  /**
+   * Moves to the next action. Leaving a step that has cues, sensory checks
+   * or adjustments emits `cueRequired` and waits for confirm().
+   * @returns {CookingSession} The CookingSession instance
+   * @throws {Error} If the session is not running
+   */
+  next() {
+    if (this.status === SessionStatus.AWAITING_CONFIRMATION) return this;
+    if (this.status !== SessionStatus.RUNNING) {
+      throw new Error(`Cannot move on while the session is ${this.status}`);
+    }
+
+    const { stepIndex } = this.current;
+    const nextPosition = this.positions[this.position + 1];
+    const leavingStep = !nextPosition || nextPosition.stepIndex !== stepIndex;
+    const prompts = this[_prompts](stepIndex);
+
+    if (
+      leavingStep &&
+      prompts.length > 0 &&
+      !this.confirmedSteps.includes(stepIndex)
+    ) {
+      this.status = SessionStatus.AWAITING_CONFIRMATION;
+      this.emit('cueRequired', {
+        stepIndex,
+        step: this.recipe.steps[stepIndex],
+        prompts,
+      });
+      return this;
+    }
+
+    if (!nextPosition) {
+      this.position = this.positions.length;
+      this.status = SessionStatus.FINISHED;
+      this.emit('finished', { recipe: this.recipe });
+      return this;
+    }
+
+    this[_enter](this.position + 1);
+    return this;
+  }
+
+  /**
+   * Confirms the pending cues, sensory checks and adjustments of the current
+   * step and moves on
+   * @returns {CookingSession} The CookingSession instance
+   * @throws {Error} If nothing is awaiting confirmation
+   */
+  confirm() {
+    if (this.status !== SessionStatus.AWAITING_CONFIRMATION) {
+      throw new Error('Nothing is awaiting confirmation');
+    }
+    this.confirmedSteps.push(this.current.stepIndex);
+    this.status = SessionStatus.RUNNING;
+    return this.next();
+  }
+
+  /**
+   * Moves back to the previous action. Timers that are already running keep
+   * running.
+   * @returns {CookingSession} The CookingSession instance
+   * @throws {Error} If the session is paused or has not started
+   */
+  previous() {
+    if (
+      this.status === SessionStatus.IDLE ||
+      this.status === SessionStatus.PAUSED
+    ) {
+      throw new Error(`Cannot move back while the session is ${this.status}`);
+    }
+    if (this.position <= 0) return this;
+
+    this.status = SessionStatus.RUNNING;
+    this[_enter](Math.min(this.position, this.positions.length) - 1);
+    return this;
+  }
+
+  /**
+   * Pauses the session and all running timers
+   * @returns {CookingSession} The CookingSession instance
+   */
+  pause() {
+    if (
+      this.status !== SessionStatus.RUNNING &&
+      this.status !== SessionStatus.AWAITING_CONFIRMATION
+    ) {
+      return this;
+    }
+    const now = this.clock.now();
+    this.timers
+      .filter((timer) => timer.endsAt !== null)
+      .forEach((timer) => {
+        this.clock.clearTimeout(timer.handle);
+        timer.remainingMs = Math.max(timer.endsAt - now, 0);
+        timer.endsAt = null;
+        timer.handle = null;
+      });
+    this.statusBeforePause = this.status;
+    this.status = SessionStatus.PAUSED;
+    this.emit('paused', { position: this.current });
+    return this;
+  }
+
+  /**
+   * Resumes a paused session and its timers
+   * @returns {CookingSession} The CookingSession instance
+   */
+  resume() {
+    if (this.status !== SessionStatus.PAUSED) return this;
+    this.status = this.statusBeforePause;
+    this.statusBeforePause = null;
+    this.timers
+      .filter((timer) => !timer.elapsed)
+      .forEach((timer) => this[_scheduleTimer](timer));
+    this.emit('resumed', { position: this.current });
+    return this;
+  }
+
+  /**
+   * Returns the remaining time of every timer that has been started
+   * @returns {Object[]} The timers, with their position and remaining milliseconds
+   */
+  getTimers() {
+    const now = this.clock.now();
+    return this.timers.map((timer) => ({
+      position: this.positions[timer.position],
+      elapsed: timer.elapsed,
+      remainingMs:
+        timer.endsAt === null
+          ? timer.remainingMs
+          : Math.max(timer.endsAt - now, 0),
+    }));
+  }
+
+  /**
+   * Converts the session state to a JSON-friendly object, so an interrupted
+   * cook can be resumed with CookingSession.fromJSON
+   * @returns {Object} A JSON-friendly representation of the session state
+   */
+  toJSON() {
+    return {
+      position: this.position,
+      status: this.status,
+      statusBeforePause: this.statusBeforePause,
+      confirmedSteps: this.confirmedSteps,
+      timers: this.timers.map(({ position, endsAt, remainingMs, elapsed }) => ({
+        position,
+        endsAt,
+        remainingMs,
+        elapsed,
+      })),
+    };
+  }
+
+  /**
+   * Restores a session from its saved state. Running timers continue from
+   * their original end time; those that elapsed in the meantime fire as soon
+   * as a listener can be attached.
+   * @param {Recipe} recipe - The recipe being cooked
+   * @param {Object} state - The saved session state
+   * @param {Object} [options={}] - The session options
+   * @returns {CookingSession} A new CookingSession instance
+   */
+  static fromJSON(recipe, state, options) {
+    const session = new CookingSession(recipe, options);
+    session.position = state.position;
+    session.status = state.status;
+    session.statusBeforePause = state.statusBeforePause;
+    session.confirmedSteps = [...state.confirmedSteps];
+    session.timers = state.timers.map((timer) => ({ ...timer, handle: null }));
+    if (session.status !== SessionStatus.PAUSED) {
+      session.timers
+        .filter((timer) => !timer.elapsed)
+        .forEach((timer) => session[_scheduleTimer](timer));
+    }
+    return session;
+  }
+
+  [_enter](index) {
+    const previous = this.current;
+    this.position = index;
+    const position = this.current;
+
+    if (!previous || previous.stepIndex !== position.stepIndex) {
+      this.emit('stepStarted', {
+        stepIndex: position.stepIndex,
+        step: this.recipe.steps[position.stepIndex],
+      });
+    }
+    if (position.action) {
+      this.emit('actionStarted', position);
+      if (position.action.duration) this[_startTimer](index);
+    }
+  }
+
+  [_startTimer](index) {
+    if (this.timers.some((timer) => timer.position === index)) return;
+
+    const timer = {
+      position: index,
+      endsAt: null,
+      remainingMs:
+        Duration.toSeconds(this.positions[index].action.duration) * 1000,
+      elapsed: false,
+      handle: null,
+    };
+    this.timers.push(timer);
+    this[_scheduleTimer](timer);
+    this.emit('timerStarted', {
+      position: this.positions[index],
+      durationMs: timer.remainingMs,
+    });
+  }
+
+  [_scheduleTimer](timer) {
+    if (timer.endsAt === null) {
+      timer.endsAt = this.clock.now() + timer.remainingMs;
+    }
+    timer.handle = this.clock.setTimeout(() => {
+      timer.elapsed = true;
+      timer.remainingMs = 0;
+      timer.endsAt = null;
+      timer.handle = null;
+      this.emit('timerElapsed', { position: this.positions[timer.position] });
+    }, Math.max(timer.endsAt - this.clock.now(), 0));
+  }
+
+  [_prompts](stepIndex) {
+    const collect = (step) => [
+      ...step.cues.map((cue) => ({ kind: 'cue', ...cue })),
+      ...step.sensoryChecks.map((check) => ({
+        kind: 'sensoryCheck',
+        ...check,
+      })),
+      ...step.adjustments.map((adj) => ({ kind: 'adjustment', ...adj })),
+      ...step.threads.flatMap(collect),
+    ];
+    return collect(this.recipe.steps[stepIndex]);
+  }
+}
+
+export default CookingSession;
+export { SessionStatus, systemClock };
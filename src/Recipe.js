@@ -1,12 +1,89 @@
 import crypto from 'node:crypto';
-import { gzipSync, gunzipSync } from 'node:zlib';
+import { gzipSync } from 'node:zlib';
 
 import qrcode from 'qrcode-terminal';
 
 import { ActionType } from './enums.js';
+import { Ingredient } from './entities.js';
+import { formatIngredient, describeStep } from './instructions.js';
+import { Duration, Temperature, Volume } from './measurement.js';
+import RecipeStep from './RecipeStep.js';
+import { Quantity } from './quantity.js';
+import { computeTimeline, renderGantt } from './timeline.js';
+import unitConverter from './unitConverter.js';
+import { validateRecipe, IssueCode } from './validation.js';
+import { FORMAT_VERSION, loadDocument } from './serialization.js';
+import { toJsonLd, fromJsonLd } from './jsonLd.js';
+import { toCooklang, fromCooklang } from './cooklang.js';
+import { fromMarkdown } from './markdown.js';
+import { computeNutrition } from './nutrition.js';
+import { analyzeDiet } from './diet.js';
+import { scaleIngredient } from './scaling.js';
+import { compareContainers, scaleBakeDuration } from './geometry.js';
+import { getSubstitution, substituteIngredient } from './substitutions.js';
+import { diffRecipes, patchRecipe, isEmpty, canonical } from './diff.js';
+import {
+  resolveFingerprint,
+  computeFingerprint,
+  fingerprintSimilarity,
+} from './fingerprint.js';
+
+const _revision = Symbol('revision');
+const _hashes = Symbol('hashes');
+const _hashCache = Symbol('hashCache');
+const _convertEntity = Symbol('convertEntity');
+const _content = Symbol('content');
+const _copy = Symbol('copy');
+const _derive = Symbol('derive');
+const _record = Symbol('record');
+const _lastVersion = Symbol('lastVersion');
 
-const _hashStep = Symbol('hashStep');
-const _hashAttribute = Symbol('hashAttribute');
+/**
+ * The issues validate() throws on outside report mode; the referential
+ * checks are only reported
+ */
+const THROWING_CODES = [
+  IssueCode.MISSING_NAME,
+  IssueCode.NO_INGREDIENTS,
+  IssueCode.NO_STEPS,
+];
+
+/**
+ * Returns the containers a recipe's amounts do not fit in, as the warnings
+ * of a scaled or adapted copy
+ * @param {Recipe} recipe - The recipe
+ * @returns {ValidationIssue[]} The CONTAINER_OVERFLOW issues
+ */
+const overflowWarnings = (recipe) =>
+  validateRecipe(recipe).filter(
+    (issue) => issue.code === IssueCode.CONTAINER_OVERFLOW
+  );
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * A reference to the recipe, and the version of it, that another recipe
+ * was derived from
+ * @typedef {Object} ParentReference
+ * @property {string} id - The id of the parent recipe
+ * @property {string} recipe - The name of the parent recipe
+ * @property {number} version - The version of the parent the copy was made from
+ * @property {string} operation - How the copy was made, e.g. 'scale' or 'applySubstitution'
+ * @property {Object} [details] - The arguments of the operation
+ */
+
+/**
+ * An entry of a recipe's version log. The first entry holds a snapshot of
+ * the recipe's content, every later one the changes since the previous
+ * version.
+ * @typedef {Object} VersionEntry
+ * @property {number} version - The version number, from 1
+ * @property {string} operation - The method that made the version, e.g. 'addTags'
+ * @property {Object} [details] - The arguments of the operation
+ * @property {string} at - When the version was made, as an ISO 8601 timestamp
+ * @property {Object} [snapshot] - The content of the recipe, for the first version
+ * @property {RecipeDiff} [changes] - The changes since the previous version
+ */
 
 // -------------------- Recipe Class --------------------
 
@@ -30,6 +107,7 @@ class Recipe {
    * @param {string[]} [options.miseEnPlace=[]] - Mise en place instructions
    * @param {string[]} [options.servingSuggestions=[]] - Serving suggestions for the recipe
    * @param {string[]} [options.tags=[]] - Tags associated with the recipe
+   * @param {string} [options.id] - The stable id of the recipe, a new UUID by default
    */
   constructor(
     name,
@@ -45,8 +123,10 @@ class Recipe {
       miseEnPlace = [],
       servingSuggestions = [],
       tags = [],
+      id = crypto.randomUUID(),
     } = {}
   ) {
+    this.id = id;
     this.name = name;
     this.ingredients = ingredients;
     this.tools = tools;
@@ -60,7 +140,28 @@ class Recipe {
     this.servingSuggestions = servingSuggestions;
     this.substitutions = [];
     this.tags = tags;
-    this.hash = null;
+    this.lineage = [];
+    this.history = [];
+    this.warnings = [];
+    this[_revision] = 0;
+    this[_record]('create');
+  }
+
+  /**
+   * The reference to the recipe this one was derived from, or null for an
+   * original recipe
+   * @type {ParentReference|null}
+   */
+  get derivedFrom() {
+    return this.lineage[0] || null;
+  }
+
+  /**
+   * The current version number: the number of entries in the version log
+   * @type {number}
+   */
+  get version() {
+    return this.history.length;
   }
 
   /**
@@ -74,13 +175,16 @@ class Recipe {
   }
 
   /**
-   * Creates and returns a new RecipeStep instance
+   * Creates and returns a new RecipeStep instance. The version recorded
+   * holds the step before it is built; call saveVersion() once it is, to
+   * record its actions.
    * @param {Entity|Entity[]} ingredients - The ingredient(s) to add
    * @returns {RecipeStep} A new RecipeStep instance
    */
   createStep(ingredients) {
     const step = new RecipeStep().add(ingredients);
     this.steps.push(step);
+    this[_record]('createStep');
     return step;
   }
 
@@ -91,7 +195,7 @@ class Recipe {
    */
   setDifficulty(level) {
     this.difficulty = level;
-    return this;
+    return this[_record]('setDifficulty', { difficulty: level });
   }
 
   /**
@@ -101,7 +205,7 @@ class Recipe {
    */
   setEstimatedTime(time) {
     this.estimatedTime = time;
-    return this;
+    return this[_record]('setEstimatedTime', { estimatedTime: time });
   }
 
   /**
@@ -111,7 +215,30 @@ class Recipe {
    */
   addNutritionInfo(info) {
     this.nutritionInfo = info;
-    return this;
+    return this[_record]('addNutritionInfo');
+  }
+
+  /**
+   * Computes the nutrients per serving from the ingredients, so that they
+   * follow scaling and edits. Pass the result's `perServing` to
+   * addNutritionInfo to store it.
+   * @param {Object} [options={}] - The calculation options
+   * @param {NutrientDatabase} [options.database] - The nutrient database, the bundled one by default
+   * @returns {NutritionResult} The per-serving and total nutrients, and the ingredients left out
+   */
+  computeNutrition(options = {}) {
+    return computeNutrition(this, options);
+  }
+
+  /**
+   * Detects the allergens of the recipe and the diets it satisfies, and
+   * which suggested substitutions would make it satisfy more
+   * @param {Object} [options={}] - The analysis options
+   * @param {boolean} [options.addTags=false] - Add the results to the tags
+   * @returns {DietAnalysis} The allergens, diets, violating ingredients and diets reachable by substitution
+   */
+  analyzeDiet(options = {}) {
+    return analyzeDiet(this, options);
   }
 
   /**
@@ -121,21 +248,115 @@ class Recipe {
    */
   addMiseEnPlace(steps) {
     this.miseEnPlace = steps;
-    return this;
+    return this[_record]('addMiseEnPlace');
   }
 
   /**
-   * Scales the recipe by a given factor
-   * @param {number} factor - The scaling factor
-   * @returns {Recipe} The Recipe instance
+   * Returns a copy of the recipe scaled by a factor or to a number of
+   * servings. Every copy of an ingredient is scaled, in the ingredient list,
+   * in step and thread actions and in substitutions. Ingredients follow
+   * their scaling rule: most scale linearly and exactly (1 cup by 1/3 gives
+   * ⅓ cup), spices and leavening sub-linearly, and eggs round to whole
+   * units; see scaling.js. Durations and containers are kept; the copy's
+   * `warnings` list the containers the scaled amounts no longer fit in.
+   * @param {number|Quantity|{servings: number}} factor - The scaling factor, or the target servings
+   * @returns {Recipe} A new, scaled Recipe instance, with its CONTAINER_OVERFLOW issues in `warnings`
+   * @throws {Error} If the factor or the target servings are not positive
    */
   scale(factor) {
-    this.ingredients = this.ingredients.map((ingredient) => ({
-      ...ingredient,
-      amount: ingredient.amount * factor,
-    }));
-    this.servings *= factor;
-    return this;
+    const target =
+      factor && typeof factor === 'object' && !factor.type
+        ? factor.servings
+        : undefined;
+    if (target !== undefined && !(target > 0 && this.servings > 0)) {
+      throw new Error(
+        `Cannot scale ${this.servings} servings to ${target} servings`
+      );
+    }
+    const multiplier =
+      target !== undefined
+        ? Quantity.fraction(target, this.servings)
+        : Quantity(factor);
+    if (!(Quantity.toNumber(multiplier) > 0)) {
+      throw new Error(
+        `Scaling factor must be a positive number, got ${JSON.stringify(
+          factor
+        )}`
+      );
+    }
+
+    const scaled = new Map();
+    const entity = (original) => {
+      if (!original || original.type !== 'ingredient') return original;
+      if (!scaled.has(original)) {
+        scaled.set(original, scaleIngredient(original, multiplier));
+      }
+      return scaled.get(original);
+    };
+
+    const recipe = this[_copy]({ entity });
+    recipe.servings =
+      target !== undefined
+        ? target
+        : Quantity.toNumber(Quantity.multiply(this.servings, multiplier));
+    recipe[_derive](this, 'scale', {
+      factor: target !== undefined ? { servings: target } : factor,
+    });
+    recipe.warnings = overflowWarnings(recipe);
+    return recipe;
+  }
+
+  /**
+   * Returns a copy of the recipe adapted to another pan or container, e.g.
+   * from a 20 cm round tin to a 23×33 cm pan. The ingredients are scaled by
+   * the ratio of the base areas (or of the volumes, for containers without
+   * a geometry) rounded to two decimals, and servings are rounded to whole
+   * ones. The old container is replaced by the new one in every step, and
+   * the durations of heat actions baked in it, or in an oven preheated by
+   * the same step, follow the heuristic of compareContainers.
+   * Preheating takes as long as before. Like scale(), the copy's `warnings`
+   * list the containers, the new one included, that the amounts overflow.
+   * @param {Entity} oldContainer - The container the recipe was written for
+   * @param {Entity} newContainer - The container to use instead
+   * @returns {Recipe} A new, adapted Recipe instance, with its CONTAINER_OVERFLOW issues in `warnings`
+   * @throws {Error} If the containers have neither geometries nor volumes
+   */
+  adaptToContainer(oldContainer, newContainer) {
+    const { ratio, bakeTimeFactor } = compareContainers(
+      oldContainer,
+      newContainer
+    );
+    const isOld = (entity) =>
+      entity.type === 'container' &&
+      entity.name.trim().toLowerCase() ===
+        oldContainer.name.trim().toLowerCase();
+
+    // Pans are never exact, so neither is the ratio: two decimals will do
+    const recipe = this.scale(Math.round(ratio * 100) / 100)[_copy]({
+      entity: (entity) => (isOld(entity) ? newContainer : entity),
+    });
+    recipe.servings = Math.max(1, Math.round(recipe.servings));
+
+    const adjust = (step) => {
+      const preheats = step.actions.some(
+        (action) => action.type === ActionType.PREHEAT
+      );
+      step.actions.forEach((action) => {
+        const bakes =
+          action.container === newContainer || (!action.container && preheats);
+        if (action.type === ActionType.HEAT && action.duration && bakes) {
+          action.duration = scaleBakeDuration(action.duration, bakeTimeFactor);
+        }
+      });
+      step.threads.forEach(adjust);
+    };
+    recipe.steps.forEach(adjust);
+    recipe[_derive](this, 'adaptToContainer', {
+      from: oldContainer.name,
+      to: newContainer.name,
+    });
+    recipe.warnings = overflowWarnings(recipe);
+    return recipe;
   }
 
   /**
@@ -146,7 +367,89 @@ class Recipe {
    */
   suggestSubstitution(ingredient, alternative) {
     this.substitutions.push({ original: ingredient, alternative });
-    return this;
+    return this[_record]('suggestSubstitution', {
+      original: ingredient.name,
+      alternative: alternative.name,
+    });
+  }
+
+  /**
+   * Returns a variant of the recipe with one ingredient replaced by another
+   * everywhere: in the ingredient list and in every action of every step
+   * and parallel thread. The alternative gets the original's amount times
+   * the ratio, taken from the options, else from the substitution catalog,
+   * else 1; so 1 cup of butter becomes ¾ cup of vegetable oil. Extra steps
+   * the substitution needs (from the options or the catalog) are inserted
+   * before the first step using the ingredient. Suggestions for the
+   * original are dropped, and the variant's `derivedFrom` records which
+   * recipe and substitution it came from.
+   * @param {Entity|string} original - The ingredient to replace, or its name
+   * @param {Entity|string} alternative - The ingredient to use instead, or its name
+   * @param {Object} [options={}] - The substitution options
+   * @param {number|Quantity} [options.ratio] - The amount of the alternative per unit of the original
+   * @param {string} [options.unit] - The unit of the alternative, if it differs from the original's
+   * @param {Array<string|RecipeStep>} [options.steps] - Extra steps; strings become instructions
+   * @returns {Recipe} A new Recipe instance
+   * @throws {Error} If the original is not an ingredient of the recipe, or the ratio is not positive
+   */
+  applySubstitution(original, alternative, options = {}) {
+    const normalize = (value) =>
+      String(typeof value === 'object' ? value.name : value)
+        .trim()
+        .toLowerCase();
+    const isOriginal = (entity) =>
+      Boolean(entity) &&
+      entity.type === 'ingredient' &&
+      normalize(entity) === normalize(original);
+    const declared = this.ingredients.find(isOriginal);
+    if (!declared) {
+      const name = typeof original === 'object' ? original.name : original;
+      throw new Error(`${name} is not an ingredient of ${this.name}`);
+    }
+
+    const entry = getSubstitution(original, alternative) || {};
+    const ratio = options.ratio ?? entry.ratio ?? 1;
+    if (!(Quantity.toNumber(Quantity(ratio)) > 0)) {
+      throw new Error(
+        `Substitution ratio must be a positive number, got ${JSON.stringify(
+          ratio
+        )}`
+      );
+    }
+    const unit = options.unit ?? entry.unit;
+    const base =
+      typeof alternative === 'object' ? alternative : Ingredient(alternative);
+
+    const replaced = new Map();
+    const recipe = this[_copy]({
+      entity: (entity) => {
+        if (!isOriginal(entity)) return entity;
+        if (!replaced.has(entity)) {
+          replaced.set(entity, substituteIngredient(entity, base, ratio, unit));
+        }
+        return replaced.get(entity);
+      },
+    });
+    const replacements = [...replaced.values()];
+    recipe.substitutions = recipe.substitutions.filter(
+      (sub) => !replacements.includes(sub.original)
+    );
+
+    const uses = (step) =>
+      step.actions.some((action) => replacements.includes(action.ingredient)) ||
+      step.threads.some(uses);
+    const first = recipe.steps.findIndex(uses);
+    const steps = (options.steps ?? entry.steps ?? []).map((step) =>
+      typeof step === 'string' ? new RecipeStep().instruction(step) : step
+    );
+    recipe.steps.splice(first === -1 ? 0 : first, 0, ...steps);
+
+    return recipe[_derive](this, 'applySubstitution', {
+      original: declared.name,
+      alternative: base.name,
+      ratio,
+      ...(unit && { unit }),
+    });
   }
 
   /**
@@ -156,7 +459,7 @@ class Recipe {
    */
   addServingSuggestion(suggestion) {
     this.servingSuggestions.push(suggestion);
-    return this;
+    return this[_record]('addServingSuggestion', { suggestion });
   }
 
   /**
@@ -166,15 +469,268 @@ class Recipe {
    */
   addTags(...newTags) {
     this.tags.push(...newTags);
+    return this[_record]('addTags', { tags: newTags });
+  }
+
+  /**
+   * Creates a deep copy of the recipe. Every entity (in the ingredient, tool
+   * and appliance lists, in step actions and in substitutions) can be
+   * swapped through `entity`, and every step action rewritten through
+   * `action`; see RecipeStep#clone. The copy is a new recipe derived from
+   * this one: it gets its own id, and keeps the version log.
+   * @param {Object} [mappers={}] - The mapping functions
+   * @param {function(Entity): Entity} [mappers.entity] - Maps each entity
+   * @param {function(Object): Object} [mappers.action] - Maps each copied step action
+   * @returns {Recipe} A new Recipe instance
+   */
+  clone(mappers = {}) {
+    return this[_copy](mappers)[_derive](this, 'clone');
+  }
+
+  [_copy]({ entity = (e) => e, action = (a) => a } = {}) {
+    const recipe = new Recipe(this.name, {
+      ingredients: this.ingredients.map(entity),
+      tools: this.tools.map(entity),
+      appliances: this.appliances.map(entity),
+      steps: this.steps.map((step) => step.clone({ entity, action })),
+      servings: this.servings,
+      difficulty: this.difficulty,
+      estimatedTime: this.estimatedTime && { ...this.estimatedTime },
+      nutritionInfo: this.nutritionInfo && { ...this.nutritionInfo },
+      miseEnPlace: [...this.miseEnPlace],
+      servingSuggestions: [...this.servingSuggestions],
+      tags: [...this.tags],
+    });
+    recipe.substitutions = this.substitutions.map((sub) => ({
+      original: entity(sub.original),
+      alternative: entity(sub.alternative),
+    }));
+    return recipe;
+  }
+
+  /**
+   * Lists the recipes this one was derived from, its parent first and the
+   * original recipe last
+   * @returns {ParentReference[]} The ancestors
+   */
+  ancestors() {
+    return this.lineage.map((parent) => ({ ...parent }));
+  }
+
+  /**
+   * Records the current content as a new version, for edits the fluent
+   * methods do not record themselves, such as building a step returned by
+   * createStep or setting a property directly. Cached hashes are dropped
+   * as well, even if nothing changed.
+   * @param {string} [note] - What changed
+   * @returns {Recipe} The Recipe instance
+   */
+  saveVersion(note) {
+    return this[_record]('saveVersion', note ? { note } : undefined);
+  }
+
+  /**
+   * Returns the recipe as it was at a version of its log. The copy keeps
+   * the id and lineage and has the log up to that version.
+   * @param {number} version - The version number, from 1
+   * @returns {Recipe} A new Recipe instance
+   * @throws {Error} If the version is not in the log
+   */
+  checkout(version) {
+    if (!Number.isInteger(version) || version < 1 || version > this.version) {
+      throw new Error(
+        `Version ${version} of ${this.name} does not exist; versions are 1 to ${this.version}`
+      );
+    }
+    const [first, ...rest] = this.history;
+    const recipe = Recipe.fromJSON({
+      formatVersion: FORMAT_VERSION,
+      ...first.snapshot,
+    });
+    rest
+      .slice(0, version - 1)
+      .forEach((entry) => patchRecipe(recipe, entry.changes));
+    recipe.id = this.id;
+    recipe.lineage = this.ancestors();
+    recipe.history = this.history.slice(0, version);
+    recipe[_lastVersion] = recipe[_content]();
+    return recipe;
+  }
+
+  /**
+   * Computes what changed between two versions of the recipe
+   * @param {number} from - The older version
+   * @param {number} [to=this.version] - The newer version
+   * @returns {RecipeDiff} The structured differences
+   * @throws {Error} If either version is not in the log
+   */
+  diffVersions(from, to = this.version) {
+    return this.checkout(from).diff(this.checkout(to));
+  }
+
+  [_content]() {
+    return JSON.parse(
+      JSON.stringify({
+        name: this.name,
+        ingredients: this.ingredients,
+        tools: this.tools,
+        appliances: this.appliances,
+        steps: this.steps.map((step) => step.toJSON()),
+        servings: this.servings,
+        difficulty: this.difficulty,
+        estimatedTime: this.estimatedTime,
+        nutritionInfo: this.nutritionInfo,
+        miseEnPlace: this.miseEnPlace,
+        servingSuggestions: this.servingSuggestions,
+        substitutions: this.substitutions,
+        tags: this.tags,
+      })
+    );
+  }
+
+  [_record](operation, details, { always = false } = {}) {
+    this[_revision] += 1;
+    if (this[_lastVersion] === undefined && this.history.length > 0) {
+      this[_lastVersion] = this.checkout(this.version)[_content]();
+    }
+    const content = this[_content]();
+    const entry = {
+      version: this.version + 1,
+      operation,
+      ...(details !== undefined && {
+        details: JSON.parse(JSON.stringify(details)),
+      }),
+      at: new Date().toISOString(),
+    };
+    if (this.history.length === 0) {
+      entry.snapshot = content;
+    } else {
+      entry.changes = diffRecipes(this[_lastVersion], content);
+      // An in-place edit that changed nothing is not a new version
+      if (isEmpty(entry.changes) && !always) return this;
+    }
+    this.history.push(entry);
+    this[_lastVersion] = content;
     return this;
   }
 
+  [_derive](parent, operation, details) {
+    this.id = crypto.randomUUID();
+    this.lineage = [
+      {
+        id: parent.id,
+        recipe: parent.name,
+        version: parent.version,
+        operation,
+        ...(details !== undefined && {
+          details: JSON.parse(JSON.stringify(details)),
+        }),
+      },
+      ...parent.ancestors(),
+    ];
+    this.history = [...parent.history];
+    this[_lastVersion] = parent[_lastVersion];
+    return this[_record](operation, details, { always: true });
+  }
+
+  /**
+   * Returns a copy of the recipe converted to a unit system. Ingredient
+   * amounts, container volumes and the temperatures of heat, preheat, grill
+   * and target-temperature actions are converted and rounded to kitchen
+   * precision. Stove heat levels, counts and unknown units are kept as-is.
+   * @param {string} system - The target unit system ('metric', 'us' or 'imperial')
+   * @returns {Recipe} A new Recipe instance in the target unit system
+   * @throws {Error} If the unit system is unknown
+   */
+  toUnitSystem(system) {
+    // Fail early on an unknown system, even for a recipe with nothing to convert
+    unitConverter.toUnitSystem(0, 'C', system);
+
+    const converted = new Map();
+    const entity = (original) => {
+      if (!converted.has(original)) {
+        converted.set(original, this[_convertEntity](original, system));
+      }
+      return converted.get(original);
+    };
+    const temperature = (original, options) => {
+      const result =
+        original &&
+        unitConverter.toUnitSystem(
+          original.value,
+          original.unit,
+          system,
+          options
+        );
+      return result ? Temperature(result.value, result.unit) : original;
+    };
+
+    return this[_copy]({
+      entity,
+      action: (action) => {
+        if (action.temperature) {
+          action.temperature = temperature(action.temperature);
+        }
+        if (action.targetTemperature) {
+          action.targetTemperature = temperature(action.targetTemperature, {
+            precise: true,
+          });
+        }
+        return action;
+      },
+    })[_derive](this, 'toUnitSystem', { system });
+  }
+
+  [_convertEntity](entity, system) {
+    if (!entity || typeof entity !== 'object') return entity;
+
+    const copy = { ...entity };
+    const amount =
+      entity.amount === undefined || entity.amount === null
+        ? null
+        : Quantity(entity.amount);
+    if (amount && !Quantity.isText(amount) && entity.unit) {
+      // A range is converted into the unit chosen for its upper end
+      const result = unitConverter.toUnitSystem(
+        Quantity.toNumber(Quantity.isRange(amount) ? amount.max : amount),
+        entity.unit,
+        system
+      );
+      if (result) {
+        copy.amount = Quantity.isRange(amount)
+          ? Quantity.map(
+              amount,
+              (value) =>
+                Math.round(
+                  unitConverter.convert(value, entity.unit, result.unit) * 100
+                ) / 100
+            )
+          : Quantity.fromNumber(result.value);
+        copy.unit = result.unit;
+      }
+    }
+    if (entity.volume !== undefined && entity.volume !== null) {
+      const volume =
+        typeof entity.volume === 'number'
+          ? Volume(entity.volume, 'l')
+          : entity.volume;
+      const result = unitConverter.toUnitSystem(
+        volume.value,
+        volume.unit,
+        system
+      );
+      if (result) copy.volume = Volume(result.value, result.unit);
+    }
+    return copy;
+  }
+
   /**
-   * Converts the Recipe to a JSON string
+   * Converts the Recipe to a JSON string in the current format version
    * @returns {string} A JSON string representation of the Recipe
    */
   toJSON() {
     return JSON.stringify({
+      formatVersion: FORMAT_VERSION,
       name: this.name,
       ingredients: this.ingredients,
       tools: this.tools,
@@ -188,16 +744,22 @@ class Recipe {
       servingSuggestions: this.servingSuggestions,
       substitutions: this.substitutions,
       tags: this.tags,
+      id: this.id,
+      lineage: this.lineage,
+      history: this.history,
     });
   }
 
   /**
-   * Creates a Recipe from a JSON string
-   * @param {string} json - The JSON string representation of a Recipe
+   * Creates a Recipe from a JSON string. Documents written by older versions
+   * are migrated to the current format version, then validated against the
+   * recipe JSON Schema.
+   * @param {string|Object} json - The JSON string representation of a Recipe, or the parsed document
    * @returns {Recipe} A new Recipe instance
+   * @throws {Error} If the document is invalid; the error lists the offending paths in `errors`
    */
   static fromJSON(json) {
-    const data = JSON.parse(json);
+    const data = loadDocument(json);
     const recipe = new Recipe(data.name, {
       ingredients: data.ingredients,
       tools: data.tools,
@@ -210,137 +772,237 @@ class Recipe {
       miseEnPlace: data.miseEnPlace,
       servingSuggestions: data.servingSuggestions,
       tags: data.tags,
+      ...(data.id && { id: data.id }),
     });
-    recipe.substitutions = data.substitutions;
+    recipe.substitutions = data.substitutions || [];
+    recipe.lineage = data.lineage || [];
+    if (data.history && data.history.length > 0) {
+      recipe.history = data.history;
+      recipe[_lastVersion] = undefined;
+    }
     return recipe;
   }
 
   /**
-   * Validates the recipe
-   * @throws {Error} If the recipe is invalid
+   * Converts the recipe to a schema.org Recipe in JSON-LD. Steps with
+   * parallel threads become HowToSections whose threads are named
+   * "Meanwhile".
+   * @returns {Object} The JSON-LD document
    */
-  validate() {
-    if (!this.name) throw new Error('Recipe must have a name');
-    if (this.ingredients.length === 0)
-      throw new Error('Recipe must have at least one ingredient');
-    if (this.steps.length === 0)
-      throw new Error('Recipe must have at least one step');
-    // Add more validation as needed
+  toJsonLd() {
+    return toJsonLd(this);
   }
 
   /**
-   * Calculates and returns the hash of the recipe
-   * @param {number} [numBuckets=256] - The number of buckets for hashing
-   * @returns {string} The hash of the recipe
+   * Creates a Recipe from a schema.org Recipe in JSON-LD. Instruction
+   * sentences are rebuilt into step actions where recognized and kept as
+   * free-text instructions otherwise.
+   * @param {Object|string} json - The JSON-LD document or its JSON string
+   * @returns {Recipe} A new Recipe instance
+   * @throws {Error} If the document contains no schema.org Recipe
    */
-  cook(numBuckets = 256) {
-    if (this.hash) {
-      return this.hash; // Return cached hash if already calculated
-    }
-
-    const buckets = new Array(numBuckets).fill(0);
-
-    // Hash ingredients
-    this.ingredients.forEach((ingredient) => {
-      const hash = crypto
-        .createHash('md5')
-        .update(ingredient.name.toLowerCase())
-        .digest('hex');
-      const bucketIndex = parseInt(hash.substr(0, 8), 16) % numBuckets;
-      buckets[bucketIndex]++;
-    });
+  static fromJsonLd(json) {
+    const { name, options } = fromJsonLd(json);
+    return new Recipe(name, options);
+  }
 
-    // Hash steps
-    this.steps.forEach((step) => {
-      this[_hashStep](step, buckets, numBuckets);
+  /**
+   * Creates a Recipe from the Markdown written by toMarkdown, including hand
+   * edits to it. Instruction sentences such as "Add Flour to Bowl." become
+   * step actions again; unrecognized sentences are kept as free-text
+   * instructions.
+   * @param {string} markdown - The Markdown recipe
+   * @returns {Recipe} A new Recipe instance
+   */
+  static fromMarkdown(markdown) {
+    const { name, options, substitutions } = fromMarkdown(markdown);
+    const recipe = new Recipe(name, options);
+    substitutions.forEach(({ original, alternative }) => {
+      recipe.suggestSubstitution(original, alternative);
     });
+    return recipe;
+  }
 
-    // Convert buckets to a hex string
-    const hexString = buckets
-      .map((count) => count.toString(16).padStart(2, '0'))
-      .join('');
+  /**
+   * Creates a Recipe from the text written by toText
+   * @param {string} text - The text recipe
+   * @returns {Recipe} A new Recipe instance
+   */
+  static fromText(text) {
+    return Recipe.fromMarkdown(text);
+  }
 
-    // Compress the hex string and convert to base64
-    this.hash = gzipSync(Buffer.from(hexString, 'hex')).toString('base64');
+  /**
+   * Converts the recipe to Cooklang. Ingredients, containers and tools are
+   * marked where steps mention them, durations become timers and the name,
+   * servings, time, difficulty and tags become metadata.
+   * @returns {string} The Cooklang text
+   */
+  toCooklang() {
+    return toCooklang(this);
+  }
 
-    return this.hash;
+  /**
+   * Creates a Recipe from Cooklang text
+   * @param {string} text - The Cooklang text
+   * @param {string} [name=''] - The recipe name, if the text has no title metadata
+   * @returns {Recipe} A new Recipe instance
+   */
+  static fromCooklang(text, name = '') {
+    const { name: title, options } = fromCooklang(text);
+    return new Recipe(title || name, options);
   }
 
   /**
-   * Calculates the similarity between this recipe and another recipe or hash
-   * @param {Recipe|string} other - The other recipe or its hash to compare to
-   * @returns {number} A value between 0 and 1, where 1 means identical and 0 means completely different
+   * Validates the recipe, including the referential integrity of its steps
+   * and parallel threads. By default only a missing name, ingredients or
+   * steps is thrown; with `report` every issue (errors and warnings) is
+   * returned instead.
+   * @param {Object} [options={}] - The validation options
+   * @param {boolean} [options.report=false] - Return all issues instead of throwing
+   * @returns {ValidationIssue[]|undefined} The issues found, in report mode
+   * @throws {Error} If the recipe has no name, ingredients or steps and report mode is off
    */
-  compareTo(other) {
-    const decompressHash = (hash) => {
-      try {
-        return gunzipSync(Buffer.from(hash, 'base64')).toString('hex');
-      } catch (error) {
-        throw new Error('Invalid hash format: unable to decompress');
-      }
-    };
+  validate({ report = false } = {}) {
+    const issues = validateRecipe(this);
+    if (report) return issues;
 
-    const thisHash = decompressHash(this.cook());
-    const otherHash =
-      other instanceof Recipe
-        ? decompressHash(other.cook())
-        : decompressHash(other);
+    const error = issues.find((issue) => THROWING_CODES.includes(issue.code));
+    if (error) throw new Error(error.message);
+  }
 
-    if (thisHash.length !== otherHash.length) {
-      throw new Error('Hashes must be of equal length');
-    }
+  /**
+   * Computes the timeline of the recipe from the durations of its actions,
+   * running parallel threads concurrently with their step's main thread
+   * @param {Object} [options={}] - The scheduling options, see computeTimeline
+   * @returns {Timeline} The timeline, with total, active and passive time, the critical path and a check of the declared estimated time
+   */
+  computeTimeline(options) {
+    return computeTimeline(this, options);
+  }
 
-    let distance = 0;
-    const totalBuckets = thisHash.length / 2;
+  /**
+   * Renders the timeline of the recipe as a text Gantt chart
+   * @param {Object} [options={}] - The scheduling and rendering options
+   * @returns {string} The Gantt chart
+   */
+  toGantt(options = {}) {
+    return renderGantt(computeTimeline(this, options), options);
+  }
 
-    for (let i = 0; i < thisHash.length; i += 2) {
-      const count1 = parseInt(thisHash.substr(i, 2), 16);
-      const count2 = parseInt(otherHash.substr(i, 2), 16);
-      distance += Math.abs(count1 - count2);
+  /**
+   * Calculates and returns the fingerprint of the recipe. The strategy
+   * decides what is hashed and how: 'buckets' counts the features of the
+   * recipe in md5 buckets, 'minhash' compares ingredient sets and 'simhash'
+   * folds weighted features into a bit string. The strategy, its parameters
+   * and the weights are encoded in the fingerprint.
+   * Fingerprints are cached until the recipe or one of its steps changes.
+   * @param {FingerprintOptions|number} [options={}] - The fingerprint options, or a number of buckets
+   * @returns {string} The fingerprint of the recipe
+   * @throws {Error} If the strategy is unknown, or a parameter or weight is invalid
+   */
+  cook(options = {}) {
+    const cache = this[_hashes]();
+    const key = JSON.stringify(resolveFingerprint(options));
+    if (!cache.fingerprints.has(key)) {
+      cache.fingerprints.set(key, computeFingerprint(this, options));
     }
+    cache.hash = cache.fingerprints.get(key);
+    return cache.hash;
+  }
 
-    // Convert distance to similarity (1 - normalized distance)
-    return 1 - distance / (16 * totalBuckets); // 16 is the max difference possible in each bucket (FF - 00 in hex)
-  }
-
-  [_hashStep](step, buckets, numBuckets) {
-    step.actions.forEach((action) => {
-      this[_hashAttribute](action.type, buckets, numBuckets);
-      if (action.ingredient)
-        this[_hashAttribute](action.ingredient.name, buckets, numBuckets);
-      if (action.container)
-        this[_hashAttribute](action.container.name, buckets, numBuckets);
-      if (action.temperature)
-        this[_hashAttribute](action.temperature.value, buckets, numBuckets);
-      if (action.duration)
-        this[_hashAttribute](action.duration.value, buckets, numBuckets);
-    });
+  /**
+   * The fingerprint last returned by cook(), or null if the recipe has not
+   * been cooked since it last changed
+   * @type {string|null}
+   */
+  get hash() {
+    return this[_hashes]().hash;
+  }
 
-    step.cues.forEach((cue) => {
-      this[_hashAttribute](cue.type, buckets, numBuckets);
-      this[_hashAttribute](cue.description, buckets, numBuckets);
-    });
+  /**
+   * Drops the cached fingerprints and content hash, e.g. `recipe.hash =
+   * null` after editing properties directly; the value set is what the
+   * getter returns until the recipe changes
+   * @param {string|null} value - The fingerprint to remember, or null
+   */
+  set hash(value) {
+    this[_hashCache] = null;
+    this[_hashes]().hash = value;
+  }
 
-    step.sensoryChecks.forEach((check) => {
-      this[_hashAttribute](check.type, buckets, numBuckets);
-      this[_hashAttribute](check.description, buckets, numBuckets);
-    });
+  /**
+   * Calculates the SHA-256 hash of the recipe content, serialized with
+   * sorted keys. Unlike the fingerprint of cook(), it changes with the
+   * slightest edit, and equal contents hash alike whatever the order their
+   * properties were set in and whether steps share entity objects or hold
+   * copies. The id, lineage and version log are left out, so a clone hashes
+   * like its original.
+   * @returns {string} The hex-encoded hash
+   */
+  contentHash() {
+    const cache = this[_hashes]();
+    if (!cache.contentHash) {
+      cache.contentHash = crypto
+        .createHash('sha256')
+        .update(canonical(this[_content]()))
+        .digest('hex');
+    }
+    return cache.contentHash;
+  }
 
-    // Recursively hash parallel threads
-    step.threads.forEach((thread) =>
-      this[_hashStep](thread, buckets, numBuckets)
-    );
+  /**
+   * Calculates the similarity between this recipe and another recipe or hash.
+   * Both recipes are cooked with the same options; a hash must have been
+   * cooked with the options given here.
+   * @param {Recipe|string} other - The other recipe or its hash to compare to
+   * @param {FingerprintOptions|number} [options={}] - The fingerprint options, see cook
+   * @returns {number} A value between 0 and 1, where 1 means identical and 0 means completely different
+   * @throws {Error} If the hash was cooked with another strategy, other parameters or other weights
+   */
+  compareTo(other, options = {}) {
+    const otherHash = other instanceof Recipe ? other.cook(options) : other;
+    return fingerprintSimilarity(this.cook(options), otherHash);
   }
 
-  [_hashAttribute](value, buckets, numBuckets) {
-    if (value !== undefined && value !== null) {
-      const hash = crypto
-        .createHash('md5')
-        .update(value.toString().toLowerCase())
-        .digest('hex');
-      const bucketIndex = parseInt(hash.substr(0, 8), 16) % numBuckets;
-      buckets[bucketIndex]++;
+  [_hashes]() {
+    // The fluent methods of the recipe and of its steps bump their revisions
+    const stamp = [
+      this[_revision],
+      ...this.steps.map((step) => step.revision),
+    ].join(':');
+    if (!this[_hashCache] || this[_hashCache].stamp !== stamp) {
+      this[_hashCache] = {
+        stamp,
+        fingerprints: new Map(),
+        hash: null,
+        contentHash: null,
+      };
     }
+    return this[_hashCache];
+  }
+
+  /**
+   * Computes what changed from this recipe to another: metadata,
+   * ingredients, tools and appliances matched by name, and steps and actions
+   * (including those of parallel threads) inserted, removed or modified.
+   * Render it with Diff.formatDiff, replay it with applyPatch.
+   * @param {Recipe} other - The newer recipe
+   * @returns {RecipeDiff} The structured differences
+   */
+  diff(other) {
+    return diffRecipes(this, other);
+  }
+
+  /**
+   * Returns a copy of the recipe with the changes of a diff replayed on it,
+   * so that `a.applyPatch(a.diff(b))` has the content of b
+   * @param {RecipeDiff} diff - The diff to replay
+   * @returns {Recipe} A new, patched Recipe instance
+   * @throws {Error} If the diff was not computed from a recipe like this one
+   */
+  applyPatch(diff) {
+    return patchRecipe(this[_copy](), diff)[_derive](this, 'applyPatch');
   }
 
   /**
@@ -388,12 +1050,14 @@ class Recipe {
     let text = `🍽️ ${this.name}\n\n`;
 
     text += `👥 Servings: ${this.servings}\n`;
-    text += `⏱️ Estimated Time: ${this.estimatedTime.value} ${this.estimatedTime.unit}\n`;
+    if (this.estimatedTime) {
+      text += `⏱️ Estimated Time: ${Duration.format(this.estimatedTime)}\n`;
+    }
     text += `📊 Difficulty: ${this.difficulty}\n\n`;
 
     text += `🧾 Ingredients:\n`;
     this.ingredients.forEach((ing) => {
-      text += `  • ${ing.amount} ${ing.unit} ${ing.name}\n`;
+      text += `  • ${formatIngredient(ing)}\n`;
     });
 
     text += `\n🔧 Tools:\n`;
@@ -408,61 +1072,14 @@ class Recipe {
 
     text += `\n👨‍🍳 Instructions:\n`;
     this.steps.forEach((step, index) => {
-      text += `  ${index + 1}. `;
-      step.actions.forEach((action) => {
-        switch (action.type) {
-          case ActionType.ADD:
-            text += `Add ${action.ingredient.name} to ${action.container.name}. `;
-            break;
-          case ActionType.MIX:
-            text += `Mix ingredients in ${action.container.name}. `;
-            break;
-          case ActionType.HEAT:
-            text += `Heat ${action.container.name} to ${action.temperature.value}${action.temperature.unit}. `;
-            break;
-          case ActionType.TRANSFER:
-            text += `Transfer ingredients from ${action.from.name} to ${action.to.name}. `;
-            break;
-          case ActionType.PREPARE:
-            text += `${action.technique} ${action.ingredient.name}. `;
-            break;
-          case ActionType.REST:
-            text += `Let it rest. `;
-            break;
-          case ActionType.EQUIPMENT_SETTING:
-            text += `Set ${action.equipment.name} to ${action.setting}. `;
-            break;
-          case ActionType.PREHEAT:
-            text += `Preheat ${action.appliance.name} to ${action.temperature.value}${action.temperature.unit}. `;
-            break;
-        }
-      });
-      if (step.duration) {
-        text += `Do this for ${step.duration.value} ${step.duration.unit}. `;
-      }
-      if (step.condition) {
-        text += `Continue until ${step.condition}. `;
-      }
-      step.cues.forEach((cue) => {
-        text += `Look for ${cue.description} (${cue.type}). `;
-      });
-      step.adjustments.forEach((adj) => {
-        text += `If ${adj.condition}, then ${adj.action}. `;
-      });
-      step.sensoryChecks.forEach((check) => {
-        text += `${check.description} (${check.type}). If needed, ${check.adjustment}. `;
-      });
-      text += '\n';
+      text += `  ${index + 1}. ${describeStep(step)}\n`;
 
       // Handle parallel steps
       if (step.threads.length > 0) {
         text += `    Meanwhile:\n`;
         step.threads.forEach((parallelStep, parallelIndex) => {
           text += `    ${String.fromCharCode(97 + parallelIndex)}. `; // a, b, c, ...
-          parallelStep.actions.forEach((action) => {
-            // Similar switch case as above for parallel actions
-          });
-          text += '\n';
+          text += `${describeStep(parallelStep)}\n`;
         });
       }
     });
@@ -510,12 +1127,14 @@ class Recipe {
     let md = `# 🍽️ ${this.name}\n\n`;
 
     md += `- 👥 **Servings:** ${this.servings}\n`;
-    md += `- ⏱️ **Estimated Time:** ${this.estimatedTime.value} ${this.estimatedTime.unit}\n`;
+    if (this.estimatedTime) {
+      md += `- ⏱️ **Estimated Time:** ${Duration.format(this.estimatedTime)}\n`;
+    }
     md += `- 📊 **Difficulty:** ${this.difficulty}\n\n`;
 
     md += `## 🧾 Ingredients\n\n`;
     this.ingredients.forEach((ing) => {
-      md += `- ${ing.amount} ${ing.unit} ${ing.name}\n`;
+      md += `- ${formatIngredient(ing)}\n`;
     });
 
     md += `\n## 🔧 Tools\n\n`;
@@ -530,61 +1149,14 @@ class Recipe {
 
     md += `\n## 👨‍🍳 Instructions\n\n`;
     this.steps.forEach((step, index) => {
-      md += `${index + 1}. `;
-      step.actions.forEach((action) => {
-        switch (action.type) {
-          case ActionType.ADD:
-            md += `Add ${action.ingredient.name} to ${action.container.name}. `;
-            break;
-          case ActionType.MIX:
-            md += `Mix ingredients in ${action.container.name}. `;
-            break;
-          case ActionType.HEAT:
-            md += `Heat ${action.container.name} to ${action.temperature.value}${action.temperature.unit}. `;
-            break;
-          case ActionType.TRANSFER:
-            md += `Transfer ingredients from ${action.from.name} to ${action.to.name}. `;
-            break;
-          case ActionType.PREPARE:
-            md += `${action.technique} ${action.ingredient.name}. `;
-            break;
-          case ActionType.REST:
-            md += `Let it rest. `;
-            break;
-          case ActionType.EQUIPMENT_SETTING:
-            md += `Set ${action.equipment.name} to ${action.setting}. `;
-            break;
-          case ActionType.PREHEAT:
-            md += `Preheat ${action.appliance.name} to ${action.temperature.value}${action.temperature.unit}. `;
-            break;
-        }
-      });
-      if (step.duration) {
-        md += `Do this for ${step.duration.value} ${step.duration.unit}. `;
-      }
-      if (step.condition) {
-        md += `Continue until ${step.condition}. `;
-      }
-      step.cues.forEach((cue) => {
-        md += `Look for ${cue.description} (${cue.type}). `;
-      });
-      step.adjustments.forEach((adj) => {
-        md += `If ${adj.condition}, then ${adj.action}. `;
-      });
-      step.sensoryChecks.forEach((check) => {
-        md += `${check.description} (${check.type}). If needed, ${check.adjustment}. `;
-      });
-      md += '\n\n';
+      md += `${index + 1}. ${describeStep(step)}\n\n`;
 
       // Handle parallel steps
       if (step.threads.length > 0) {
         md += `    *Meanwhile:*\n\n`;
         step.threads.forEach((parallelStep, parallelIndex) => {
           md += `    ${String.fromCharCode(97 + parallelIndex)}. `; // a, b, c, ...
-          parallelStep.actions.forEach((action) => {
-            // Similar switch case as above for parallel actions
-          });
-          md += '\n\n';
+          md += `${describeStep(parallelStep)}\n\n`;
         });
       }
     });
@@ -0,0 +1,316 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import {
+  resolveFingerprint,
+  decodeFingerprint,
+  describeFingerprint,
+  isCompatible,
+  fingerprintSimilarity,
+} from './fingerprint.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string} id - The recipe id
+ * @property {string} name - The recipe name
+ * @property {string[]} tags - The recipe tags
+ * @property {string} difficulty - The recipe difficulty
+ * @property {number} servings - The number of servings
+ * @property {string} hash - The fingerprint written by Recipe#cook
+ */
+
+/**
+ * @typedef {Object} IndexQuery
+ * @property {number} [k=10] - The number of results
+ * @property {string[]} [tags] - Tags every result must have, matched case-insensitively
+ * @property {string|string[]} [difficulty] - The difficulty, or one of several, results must have
+ * @property {number|{min: number, max: number}} [servings] - The servings, or their range, results must have
+ * @property {number} [minSimilarity=0] - The lowest similarity returned
+ */
+
+/**
+ * @typedef {Object} IndexMatch
+ * @property {string} id - The recipe id
+ * @property {string} name - The recipe name
+ * @property {number} similarity - The similarity, as computed by Recipe#compareTo
+ * @property {IndexEntry} entry - The index entry
+ */
+
+/**
+ * The version of the index file format written by RecipeIndex#toJSON
+ * @type {number}
+ */
+const INDEX_FORMAT_VERSION = 2;
+
+const _entries = Symbol('entries');
+const _fingerprints = Symbol('fingerprints');
+const _decode = Symbol('decode');
+
+// -------------------- Recipe Index Class --------------------
+
+/**
+ * Stores the cook() fingerprints of many recipes and finds the ones most
+ * similar to a recipe or a fingerprint. All fingerprints of an index are
+ * cooked the same way: recipes are cooked with the index's options, and
+ * fingerprints or indexes with another strategy, other parameters or other
+ * weights are rejected, since they cannot be compared.
+ * @class
+ */
+class RecipeIndex {
+  /**
+   * Creates an empty index
+   * @param {FingerprintOptions|number} [options={}] - The cook() options of the fingerprints, or their number of buckets
+   * @throws {Error} If the strategy is unknown, or a parameter or weight is invalid
+   */
+  constructor(options = {}) {
+    /** @type {FingerprintDescriptor} */
+    this.fingerprint = resolveFingerprint(options);
+    /** @type {Map<string, IndexEntry>} */
+    this[_entries] = new Map();
+    /** @type {Map<string, Fingerprint>} */
+    this[_fingerprints] = new Map();
+  }
+
+  /**
+   * The cook() options that give the fingerprints of the index
+   * @type {FingerprintOptions}
+   */
+  get options() {
+    const { strategy, params, weights } = this.fingerprint;
+    return { strategy, ...params, ...(weights && { weights }) };
+  }
+
+  /**
+   * The number of indexed recipes
+   * @type {number}
+   */
+  get size() {
+    return this[_entries].size;
+  }
+
+  /**
+   * Indexes a recipe under its id, replacing any entry with the same id
+   * @param {Recipe} recipe - The recipe
+   * @returns {IndexEntry} The entry
+   */
+  add(recipe) {
+    return this.addFingerprint({
+      id: recipe.id,
+      name: recipe.name,
+      tags: recipe.tags,
+      difficulty: recipe.difficulty,
+      servings: recipe.servings,
+      hash: recipe.cook(this.options),
+    });
+  }
+
+  /**
+   * Indexes a fingerprint computed elsewhere, e.g. read from a database
+   * @param {IndexEntry} entry - The entry
+   * @returns {IndexEntry} The stored entry
+   * @throws {Error} If the entry has no id or its fingerprint was cooked another way
+   */
+  addFingerprint({ id, name = '', tags = [], difficulty, servings, hash }) {
+    if (!id) throw new Error('Index entry must have an id');
+    const fingerprint = this[_decode](hash);
+    const entry = { id, name, tags: [...tags], difficulty, servings, hash };
+    this[_entries].set(id, entry);
+    this[_fingerprints].set(id, fingerprint);
+    return entry;
+  }
+
+  /**
+   * Removes a recipe from the index
+   * @param {string|Recipe} recipe - The recipe or its id
+   * @returns {boolean} True if it was indexed
+   */
+  remove(recipe) {
+    const id = typeof recipe === 'string' ? recipe : recipe.id;
+    this[_fingerprints].delete(id);
+    return this[_entries].delete(id);
+  }
+
+  /**
+   * Tells whether a recipe is indexed
+   * @param {string|Recipe} recipe - The recipe or its id
+   * @returns {boolean} True if it is indexed
+   */
+  has(recipe) {
+    return this[_entries].has(typeof recipe === 'string' ? recipe : recipe.id);
+  }
+
+  /**
+   * Returns the entry of a recipe
+   * @param {string} id - The recipe id
+   * @returns {IndexEntry|null} The entry, or null if not indexed
+   */
+  get(id) {
+    return this[_entries].get(id) || null;
+  }
+
+  /**
+   * Lists the indexed entries
+   * @returns {IndexEntry[]} The entries, in insertion order
+   */
+  entries() {
+    return [...this[_entries].values()];
+  }
+
+  /**
+   * Finds the k indexed recipes most similar to a recipe or fingerprint,
+   * most similar first. A recipe never matches itself.
+   * @param {Recipe|string} target - The recipe, or a fingerprint written by cook()
+   * @param {IndexQuery} [query={}] - The number of results and the filters
+   * @returns {IndexMatch[]} The matches
+   * @throws {Error} If the fingerprint was cooked another way than those of the index
+   */
+  query(
+    target,
+    { k = 10, tags, difficulty, servings, minSimilarity = 0 } = {}
+  ) {
+    const isRecipe = typeof target !== 'string';
+    const fingerprint = this[_decode](
+      isRecipe ? target.cook(this.options) : target
+    );
+    const wantedTags = (tags || []).map((tag) => tag.toLowerCase());
+    const difficulties =
+      difficulty === undefined ? null : [].concat(difficulty);
+    const range =
+      servings === undefined || typeof servings === 'object'
+        ? servings
+        : { min: servings, max: servings };
+
+    const matches = [];
+    this[_entries].forEach((entry, id) => {
+      if (isRecipe && id === target.id) return;
+      if (difficulties && !difficulties.includes(entry.difficulty)) return;
+      if (
+        range &&
+        !(
+          entry.servings >= (range.min ?? -Infinity) &&
+          entry.servings <= (range.max ?? Infinity)
+        )
+      ) {
+        return;
+      }
+      if (wantedTags.length > 0) {
+        const entryTags = entry.tags.map((tag) => tag.toLowerCase());
+        if (!wantedTags.every((tag) => entryTags.includes(tag))) return;
+      }
+      const similarity = fingerprintSimilarity(
+        fingerprint,
+        this[_fingerprints].get(id)
+      );
+      if (similarity >= minSimilarity) {
+        matches.push({ id, name: entry.name, similarity, entry });
+      }
+    });
+    return matches
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, Math.max(0, k));
+  }
+
+  /**
+   * Adds the entries of another index
+   * @param {RecipeIndex} other - The other index
+   * @returns {RecipeIndex} The RecipeIndex instance
+   * @throws {Error} If the fingerprints of the other index were cooked another way
+   */
+  merge(other) {
+    if (!isCompatible(other.fingerprint, this.fingerprint)) {
+      throw new Error(
+        `Cannot merge an index of ${describeFingerprint(
+          other.fingerprint
+        )} fingerprints into one of ${describeFingerprint(this.fingerprint)}`
+      );
+    }
+    other.entries().forEach((entry) => this.addFingerprint(entry));
+    return this;
+  }
+
+  /**
+   * Converts the index to a JSON-friendly object
+   * @returns {Object} The serialized index
+   */
+  toJSON() {
+    return {
+      formatVersion: INDEX_FORMAT_VERSION,
+      fingerprint: this.fingerprint,
+      entries: this.entries(),
+    };
+  }
+
+  /**
+   * Creates an index from the object written by toJSON. Indexes of format
+   * version 1 hold 'legacy-buckets' fingerprints, which can be queried with
+   * fingerprints of their kind but take no new recipes.
+   * @param {string|Object} json - The serialized index, or its JSON string
+   * @param {FingerprintOptions|number} [options] - The cook() options expected; an index cooked another way is rejected
+   * @returns {RecipeIndex} A new RecipeIndex instance
+   * @throws {Error} If the document is not an index, or was cooked another way than expected or than its fingerprints
+   */
+  static fromJSON(json, options) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || ![1, INDEX_FORMAT_VERSION].includes(data.formatVersion)) {
+      throw new Error(
+        `Invalid recipe index: formatVersion must be ${INDEX_FORMAT_VERSION}`
+      );
+    }
+    const fingerprint =
+      data.formatVersion === 1
+        ? resolveFingerprint({
+            strategy: 'legacy-buckets',
+            numBuckets: data.numBuckets,
+          })
+        : data.fingerprint;
+    if (options !== undefined) {
+      const expected = resolveFingerprint(options);
+      if (!isCompatible(fingerprint, expected)) {
+        throw new Error(
+          `Recipe index has ${describeFingerprint(
+            fingerprint
+          )} fingerprints, expected ${describeFingerprint(expected)}`
+        );
+      }
+    }
+    const { strategy, params, weights } = fingerprint;
+    const index = new RecipeIndex({ strategy, ...params, weights });
+    (data.entries || []).forEach((entry) => index.addFingerprint(entry));
+    return index;
+  }
+
+  /**
+   * Writes the index to a JSON file
+   * @param {string} path - The file path
+   * @returns {RecipeIndex} The RecipeIndex instance
+   */
+  save(path) {
+    writeFileSync(path, JSON.stringify(this.toJSON()));
+    return this;
+  }
+
+  /**
+   * Reads an index from a JSON file written by save
+   * @param {string} path - The file path
+   * @param {FingerprintOptions|number} [options] - The cook() options expected, see fromJSON
+   * @returns {RecipeIndex} A new RecipeIndex instance
+   */
+  static load(path, options) {
+    return RecipeIndex.fromJSON(readFileSync(path, 'utf8'), options);
+  }
+
+  [_decode](hash) {
+    const fingerprint = decodeFingerprint(hash);
+    if (!isCompatible(fingerprint.descriptor, this.fingerprint)) {
+      throw new Error(
+        `Fingerprint is ${describeFingerprint(
+          fingerprint.descriptor
+        )}, but the index uses ${describeFingerprint(this.fingerprint)}`
+      );
+    }
+    return fingerprint;
+  }
+}
+
+export default RecipeIndex;
@@ -1,5 +1,8 @@
 import { ActionType, StoveHeat, GrillCookingMethod } from './enums.js';
 
+const _revision = Symbol('revision');
+const _touch = Symbol('touch');
+
 // -------------------- Recipe Step Class --------------------
 
 /**
@@ -18,6 +21,21 @@ class RecipeStep {
     this.cues = [];
     this.adjustments = [];
     this.sensoryChecks = [];
+    this.buildIssues = [];
+    this[_revision] = 0;
+  }
+
+  /**
+   * A counter that grows whenever the step or one of its parallel threads
+   * is changed through its methods. Recipes compare it to tell whether
+   * their cached hashes are stale.
+   * @type {number}
+   */
+  get revision() {
+    return this.threads.reduce(
+      (total, thread) => total + thread.revision,
+      this[_revision]
+    );
   }
 
   /**
@@ -33,16 +51,24 @@ class RecipeStep {
   }
 
   /**
-   * Specifies the container for the current ingredients
+   * Specifies the container for the current ingredients. Calling it before
+   * add() is recorded in `buildIssues`.
    * @param {Entity} container - The container to use
    * @returns {RecipeStep}
    */
   to(container) {
+    if (this.currentIngredients.length === 0) {
+      this.buildIssues.push({
+        code: 'TO_WITHOUT_ADD',
+        method: 'to',
+        actionIndex: this.actions.length,
+      });
+    }
     this.currentIngredients.forEach((ingredient) => {
       this.actions.push({ type: ActionType.ADD, ingredient, container });
     });
     this.currentContainer = container;
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -54,7 +80,7 @@ class RecipeStep {
       type: ActionType.MIX,
       container: this.currentContainer,
     });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -71,18 +97,23 @@ class RecipeStep {
       container: this.currentContainer,
       temperature,
     });
-    return this;
+    return this[_touch]();
   }
 
   /**
-   * Specifies the duration for the last action
+   * Specifies the duration for the last action. Calling it before any
+   * action is recorded in `buildIssues`.
    * @param {Duration} duration - The duration to set
    * @returns {RecipeStep}
    */
   for(duration) {
     const lastAction = this.actions[this.actions.length - 1];
+    if (!lastAction) {
+      this.buildIssues.push({ code: 'NO_PREVIOUS_ACTION', method: 'for' });
+      return this;
+    }
     lastAction.duration = duration;
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -97,7 +128,7 @@ class RecipeStep {
       to: toContainer,
     });
     this.currentContainer = toContainer;
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -113,7 +144,7 @@ class RecipeStep {
         ingredient: this.currentIngredients[0],
       });
     });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -128,7 +159,7 @@ class RecipeStep {
       equipment,
       setting,
     });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -138,7 +169,7 @@ class RecipeStep {
    */
   rest(duration) {
     this.actions.push({ type: ActionType.REST, duration });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -153,7 +184,7 @@ class RecipeStep {
       appliance,
       temperature,
     });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -169,7 +200,7 @@ class RecipeStep {
       temperature,
       method,
     });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -182,7 +213,18 @@ class RecipeStep {
       type: ActionType.HEAT,
       targetTemperature,
     });
-    return this;
+    return this[_touch]();
+  }
+
+  /**
+   * Adds a free-text instruction, for directions that no other action
+   * describes
+   * @param {string} text - The instruction text
+   * @returns {RecipeStep}
+   */
+  instruction(text) {
+    this.actions.push({ type: ActionType.INSTRUCTION, text });
+    return this[_touch]();
   }
 
   /**
@@ -194,17 +236,26 @@ class RecipeStep {
     const parallelStep = new RecipeStep();
     callback(parallelStep);
     this.threads.push(parallelStep);
-    return this;
+    return this[_touch]();
   }
 
   /**
-   * Specifies a condition for the last action
+   * Specifies a condition for the last action. Calling it before any
+   * action is recorded in `buildIssues`.
    * @param {string} condition - The condition to set
    * @returns {RecipeStep}
    */
   untilCondition(condition) {
-    this.actions[this.actions.length - 1].condition = condition;
-    return this;
+    const lastAction = this.actions[this.actions.length - 1];
+    if (!lastAction) {
+      this.buildIssues.push({
+        code: 'NO_PREVIOUS_ACTION',
+        method: 'untilCondition',
+      });
+      return this;
+    }
+    lastAction.condition = condition;
+    return this[_touch]();
   }
 
   /**
@@ -215,7 +266,7 @@ class RecipeStep {
    */
   untilCue(cueType, description) {
     this.cues.push({ type: cueType, description });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -226,7 +277,7 @@ class RecipeStep {
    */
   adjust(condition, action) {
     this.adjustments.push({ condition, action });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -238,7 +289,7 @@ class RecipeStep {
    */
   checkSensory(feedbackType, description, adjustment) {
     this.sensoryChecks.push({ type: feedbackType, description, adjustment });
-    return this;
+    return this[_touch]();
   }
 
   /**
@@ -257,6 +308,47 @@ class RecipeStep {
     };
   }
 
+  /**
+   * Creates a deep copy of the step and its parallel threads. Entities
+   * referenced by the actions (ingredients, containers, appliances) can be
+   * swapped through `entity`, and each copied action can be rewritten
+   * through `action`.
+   * @param {Object} [mappers={}] - The mapping functions
+   * @param {function(Entity): Entity} [mappers.entity] - Maps each referenced entity
+   * @param {function(Object): Object} [mappers.action] - Maps each copied action
+   * @returns {RecipeStep} A new RecipeStep instance
+   */
+  clone({ entity = (e) => e, action = (a) => a } = {}) {
+    const mapEntity = (value) =>
+      value && typeof value === 'object' ? entity(value) : value;
+
+    const step = new RecipeStep();
+    step.actions = this.actions.map((original) => {
+      const copy = { ...original };
+      ['ingredient', 'container', 'from', 'to', 'appliance', 'equipment']
+        .filter((key) => key in copy)
+        .forEach((key) => {
+          copy[key] = mapEntity(copy[key]);
+        });
+      return action(copy);
+    });
+    step.threads = this.threads.map((thread) =>
+      thread.clone({ entity, action })
+    );
+    step.currentIngredients = this.currentIngredients.map(mapEntity);
+    step.currentContainer = mapEntity(this.currentContainer);
+    step.cues = this.cues.map((cue) => ({ ...cue }));
+    step.adjustments = this.adjustments.map((adj) => ({ ...adj }));
+    step.sensoryChecks = this.sensoryChecks.map((check) => ({ ...check }));
+    step.buildIssues = this.buildIssues.map((issue) => ({ ...issue }));
+    return step;
+  }
+
+  [_touch]() {
+    this[_revision] += 1;
+    return this;
+  }
+
   /**
    * Converts the RecipeStep to a JSON-friendly object
    * @returns {Object} A JSON-friendly representation of the RecipeStep
@@ -278,11 +370,11 @@ class RecipeStep {
    */
   static fromJSON(json) {
     const step = new RecipeStep();
-    step.actions = json.actions;
-    step.threads = json.threads.map(RecipeStep.fromJSON);
-    step.cues = json.cues;
-    step.adjustments = json.adjustments;
-    step.sensoryChecks = json.sensoryChecks;
+    step.actions = json.actions || [];
+    step.threads = (json.threads || []).map(RecipeStep.fromJSON);
+    step.cues = json.cues || [];
+    step.adjustments = json.adjustments || [];
+    step.sensoryChecks = json.sensoryChecks || [];
     return step;
   }
 }
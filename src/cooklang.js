@@ -0,0 +1,528 @@
+import { ActionType } from './enums.js';
+import { Container, Ingredient, Tool } from './entities.js';
+import { Duration } from './measurement.js';
+import { escapeRegExp } from './names.js';
+import RecipeStep from './RecipeStep.js';
+import { Quantity } from './quantity.js';
+import {
+  describeAction,
+  describeNotes,
+  createEntityResolver,
+  parseInstructions,
+} from './instructions.js';
+
+// -------------------- Cooklang Syntax --------------------
+
+/**
+ * Matches an ingredient (@name, @multi word name{amount%unit}, optionally
+ * followed by a (preparation) note), a cookware (#name, #multi word name{})
+ * or a timer (~{amount%unit}, ~name{amount%unit})
+ */
+const TOKEN_PATTERN = new RegExp(
+  [
+    '@(?:([^@#~{}\\n]+?)\\{([^}]*)\\}|([^\\s@#~{}.,;:!?()]+))(?:\\(([^)]*)\\))?',
+    '#(?:([^@#~{}\\n]+?)\\{([^}]*)\\}|([^\\s@#~{}.,;:!?()]+))',
+    '~[^@#~{}\\s]*\\{([^}]*)\\}',
+  ].join('|'),
+  'g'
+);
+
+/**
+ * Stands in for a timer while a sentence is being rewritten as plain text
+ */
+const TIMER_PLACEHOLDER = '\u0000';
+
+/**
+ * Matches the end of text that leads to cookware being filled, e.g. "put the
+ * potatoes into a"
+ */
+const INTO_PATTERN = /\b(?:in|into|to|onto|on)\s+(?:(?:a|an|the|your)\s+)?$/i;
+
+/**
+ * Prefix of the paragraphs that hold the parallel threads of a step
+ */
+const MEANWHILE = 'Meanwhile, ';
+
+/**
+ * Metadata keys and the Recipe option they set
+ */
+const METADATA_KEYS = {
+  title: 'name',
+  name: 'name',
+  servings: 'servings',
+  serves: 'servings',
+  yield: 'servings',
+  time: 'estimatedTime',
+  'total time': 'estimatedTime',
+  duration: 'estimatedTime',
+  difficulty: 'difficulty',
+  tags: 'tags',
+};
+
+// -------------------- Export --------------------
+
+/**
+ * Returns the actions of a step and, recursively, of its parallel threads
+ * @param {RecipeStep} step - The step
+ * @returns {Object[]} The actions
+ */
+const actionsOf = (step) => [
+  ...step.actions,
+  ...step.threads.flatMap(actionsOf),
+];
+
+/**
+ * Formats a Cooklang quantity, e.g. {1 1/2%cups}, {3} or {}
+ * @param {Quantity} [amount] - The amount
+ * @param {string} [unit] - The unit
+ * @returns {string} The quantity in braces
+ */
+const formatQuantity = (amount, unit) => {
+  if (amount === undefined || amount === null) return '{}';
+  const text = Quantity.format(amount, { ascii: true });
+  return unit ? `{${text}%${unit}}` : `{${text}}`;
+};
+
+/**
+ * Marks the mentions of known ingredients and cookware in free text, longest
+ * names first so that "Sea Salt" is not marked as "Salt". Names match in
+ * their own case and never as the first word of a sentence, which is
+ * usually a verb ("Whisk the eggs").
+ * @param {string} text - The free text
+ * @param {Entity[]} entities - The ingredients, containers and tools
+ * @returns {string} The text with Cooklang markers
+ */
+const markMentions = (text, entities) =>
+  [...entities]
+    .sort((a, b) => b.name.length - a.name.length)
+    .reduce(
+      (marked, entity) =>
+        marked.replace(
+          new RegExp(
+            `(?<![@#\\w])(?<!(?:^|[.!?])\\s*)${escapeRegExp(
+              entity.name
+            )}(?![\\w{])`,
+            'g'
+          ),
+          (mention) => `${entity.type === 'ingredient' ? '@' : '#'}${mention}{}`
+        ),
+      text
+    );
+
+/**
+ * Writes a step as a Cooklang paragraph. Ingredients, containers and tools
+ * are marked with empty quantities; durations become timers.
+ * @param {RecipeStep} step - The step to write
+ * @param {Entity[]} entities - The ingredients, containers and tools
+ * @returns {string} The paragraph
+ */
+const stepToCooklang = (step, entities) => {
+  const marked = step.clone({
+    entity: (entity) =>
+      entity && typeof entity === 'object' && entity.type !== 'appliance'
+        ? {
+            ...entity,
+            name: `${entity.type === 'ingredient' ? '@' : '#'}${entity.name}{}`,
+          }
+        : entity,
+  });
+
+  const sentences = marked.actions.map((action) => {
+    let sentence = describeAction(action).trim();
+    if (action.type === ActionType.INSTRUCTION) {
+      sentence = markMentions(sentence, entities);
+    }
+    if (action.duration) {
+      const { value, unit } = action.duration;
+      sentence = sentence.replace(/\.$/, ` for ~{${value}%${unit}}.`);
+    }
+    if (action.condition) {
+      sentence += ` Continue until ${action.condition}.`;
+    }
+    return sentence;
+  });
+  return [...sentences, describeNotes(step).trim()].filter(Boolean).join(' ');
+};
+
+/**
+ * Writes a recipe in Cooklang. The first mention of each ingredient carries
+ * its amount and unit; parallel threads follow their step as paragraphs
+ * starting with "Meanwhile, ". The tools are listed in a `>> cookware:` line
+ * and ingredients that no step mentions in a `>> ingredients:` line.
+ * @param {Recipe} recipe - The recipe to write
+ * @returns {string} The Cooklang text
+ */
+const toCooklang = (recipe) => {
+  const entities = [
+    ...recipe.ingredients,
+    ...recipe.tools,
+    ...recipe.steps
+      .flatMap(actionsOf)
+      .flatMap((action) =>
+        [action.container, action.from, action.to].filter(
+          (entity) => entity && typeof entity === 'object'
+        )
+      ),
+  ];
+
+  const paragraphs = recipe.steps.flatMap((step) => [
+    stepToCooklang(step, entities),
+    ...step.threads.map(
+      (thread) => `${MEANWHILE}${stepToCooklang(thread, entities)}`
+    ),
+  ]);
+
+  const unmentioned = [];
+  const text = recipe.ingredients.reduce((cooklang, ingredient) => {
+    const mention = new RegExp(`@${escapeRegExp(ingredient.name)}\\{\\}`, 'i');
+    if (!mention.test(cooklang)) unmentioned.push(ingredient);
+    return cooklang.replace(mention, (found) =>
+      found.replace(/\{\}$/, formatQuantity(ingredient.amount, ingredient.unit))
+    );
+  }, paragraphs.join('\n\n'));
+
+  const metadata = [
+    ['title', recipe.name],
+    ['servings', recipe.servings],
+    ['time', recipe.estimatedTime && Duration.humanize(recipe.estimatedTime)],
+    ['difficulty', recipe.difficulty],
+    ['tags', recipe.tags.join(', ')],
+    ['cookware', recipe.tools.map((tool) => tool.name).join(', ')],
+    [
+      'ingredients',
+      unmentioned
+        .map(
+          (ingredient) =>
+            `@${ingredient.name}${formatQuantity(
+              ingredient.amount,
+              ingredient.unit
+            )}`
+        )
+        .join(', '),
+    ],
+  ]
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ''
+    )
+    .map(([key, value]) => `>> ${key}: ${value}\n`)
+    .join('');
+
+  return `${metadata}${metadata ? '\n' : ''}${text}\n`;
+};
+
+// -------------------- Import --------------------
+
+/**
+ * Parses the inside of a Cooklang quantity, e.g. "2%cups", "1/2" or "some"
+ * @param {string} [quantity=''] - The quantity without braces
+ * @returns {{amount: (Quantity|undefined), unit: (string|undefined)}}
+ */
+const parseQuantity = (quantity = '') => {
+  const [amount, unit] = quantity.split('%').map((part) => part.trim());
+  return {
+    amount: amount ? Quantity.parse(amount) : undefined,
+    unit: unit || undefined,
+  };
+};
+
+/**
+ * Removes comments and reads the metadata of a Cooklang text, from ">> key:
+ * value" lines or a YAML front matter block of "key: value" lines
+ * @param {string} text - The Cooklang text
+ * @returns {{body: string, metadata: Object<string, string>}}
+ */
+const readMetadata = (text) => {
+  const metadata = {};
+  const store = (key, value) => {
+    metadata[key.trim().toLowerCase()] = value.trim();
+  };
+
+  let body = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/^---\n([\s\S]*?)\n---\n/, (frontMatter, yaml) => {
+      yaml.split('\n').forEach((line) => {
+        const match = /^([^:]+):(.*)$/.exec(line);
+        if (match) store(match[1], match[2]);
+      });
+      return '';
+    })
+    .replace(/\[-[\s\S]*?-\]/g, '')
+    .replace(/--.*$/gm, '');
+
+  body = body.replace(/^>>\s*([^:\n]+):(.*)$/gm, (line, key, value) => {
+    store(key, value);
+    return '';
+  });
+
+  return { body, metadata };
+};
+
+/**
+ * Converts metadata into Recipe options
+ * @param {Object<string, string>} metadata - The metadata
+ * @returns {Object} The name and options found
+ */
+const metadataToOptions = (metadata) =>
+  Object.entries(metadata)
+    .filter(([key]) => METADATA_KEYS[key])
+    .reduce((options, [key, value]) => {
+      const option = METADATA_KEYS[key];
+      if (option === 'servings') {
+        const match = /\d+(?:\.\d+)?/.exec(value);
+        if (match) options.servings = parseFloat(match[0]);
+      } else if (option === 'estimatedTime') {
+        try {
+          options.estimatedTime = Duration.parse(value);
+        } catch (error) {
+          // Times such as "overnight" have no duration
+        }
+      } else if (option === 'tags') {
+        options.tags = value
+          .replace(/^\[|\]$/g, '')
+          .split(',')
+          .map((tag) => tag.trim())
+          .filter(Boolean);
+      } else {
+        options[option] = value;
+      }
+      return options;
+    }, {});
+
+/**
+ * Adds an ingredient mention to the recipe ingredients. Repeated mentions
+ * of an ingredient in the same unit add up, as in Cooklang shopping lists.
+ * @param {Entity} ingredient - The mentioned ingredient
+ * @param {string} [quantity] - The quantity of the mention, without braces
+ */
+const addMention = (ingredient, quantity) => {
+  const { amount, unit } = parseQuantity(quantity);
+  if (amount === undefined) return;
+  if (ingredient.amount === undefined) {
+    ingredient.amount = amount;
+    if (unit) ingredient.unit = unit;
+  } else if (
+    ingredient.unit === unit &&
+    ![ingredient.amount, amount].some(Quantity.isText)
+  ) {
+    ingredient.amount = Quantity.add(ingredient.amount, amount);
+  }
+};
+
+/**
+ * Finds an entity by name, or creates it and adds it to the list
+ * @param {Entity[]} list - The entities found so far
+ * @param {string} name - The entity name
+ * @param {function(string): Entity} factory - Creates the entity
+ * @returns {Entity} The entity
+ */
+const findOrAdd = (list, name, factory) => {
+  const existing = list.find(
+    (entity) => entity.name.toLowerCase() === name.toLowerCase()
+  );
+  if (existing) return existing;
+  const entity = factory(name);
+  list.push(entity);
+  return entity;
+};
+
+/**
+ * Parses sentences of a Cooklang step into the step. A timer sets the
+ * duration of the last action the sentences produce; several timers are
+ * kept in the text, written out, since one action has one duration.
+ * @param {string} text - The sentences
+ * @param {RecipeStep} step - The step being built
+ * @param {Object} context - The entity resolver, ingredients, cookware and the cookware that is filled
+ */
+const parseSentences = (text, step, context) => {
+  const { entities, ingredients, cookware, filled } = context;
+  const preparations = [];
+  const timers = [];
+  let written = 0;
+
+  const plain = text
+    .replace(
+      TOKEN_PATTERN,
+      (
+        token,
+        ingredientName,
+        ingredientQuantity,
+        ingredientWord,
+        note,
+        cookwareName,
+        cookwareQuantity,
+        cookwareWord,
+        timer,
+        offset,
+        source
+      ) => {
+        if (timer !== undefined) {
+          const { amount, unit } = parseQuantity(timer);
+          timers.push(
+            amount !== undefined && !Quantity.isText(amount) && unit
+              ? Duration(Quantity.toNumber(amount), unit)
+              : null
+          );
+          return TIMER_PLACEHOLDER;
+        }
+        if (cookwareName || cookwareWord) {
+          const container = findOrAdd(
+            cookware,
+            (cookwareName || cookwareWord).trim(),
+            Container
+          );
+          // Cookware that things go into or onto is a container
+          if (INTO_PATTERN.test(source.slice(0, offset))) filled.add(container);
+          return container.name;
+        }
+        const ingredient = findOrAdd(
+          ingredients,
+          (ingredientName || ingredientWord).trim(),
+          Ingredient
+        );
+        addMention(ingredient, ingredientQuantity);
+        if (note) preparations.push([ingredient, note.trim()]);
+        return ingredient.name;
+      }
+    )
+    .replace(
+      new RegExp(`(\\s*(?:\\bfor\\s+)?)${TIMER_PLACEHOLDER}`, 'g'),
+      (placeholder, lead) => {
+        const duration = timers[written++];
+        return timers.length > 1 && duration
+          ? `${lead}${Duration.format(duration)}`
+          : '';
+      }
+    )
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .trim();
+
+  preparations.forEach(([ingredient, technique]) => {
+    step.add(ingredient).prepare(technique);
+  });
+  parseInstructions(plain, entities, { ingredients, step });
+
+  const last = step.actions[step.actions.length - 1];
+  if (timers.length === 1 && timers[0] && last && !last.duration) {
+    step.for(timers[0]);
+  }
+};
+
+/**
+ * Splits a Cooklang step into runs of sentences that each end with the
+ * sentence holding a timer, so that notes spanning two sentences, such as
+ * sensory checks, stay together
+ * @param {string} paragraph - The step text
+ * @returns {string[]} The runs of sentences
+ */
+const splitAtTimers = (paragraph) =>
+  paragraph
+    .split(/(?<=[.!?])\s+/)
+    .reduce(
+      (runs, sentence) => {
+        runs[runs.length - 1].push(sentence);
+        if (/~[^@#~{}\s]*\{/.test(sentence)) runs.push([]);
+        return runs;
+      },
+      [[]]
+    )
+    .map((run) => run.join(' '))
+    .filter(Boolean);
+
+/**
+ * Reads a Cooklang recipe into Recipe constructor arguments. Sentences
+ * written the way toText describes actions, about marked ingredients and
+ * cookware, become those actions; any other sentence is kept as a free-text
+ * instruction. Timers set the duration of the action of their sentence, and
+ * cookware becomes a container when things go into it and a tool otherwise.
+ * Cookware that no action holds, such as a container only mentioned in a
+ * free-text instruction, is listed with the tools so that it is not lost.
+ * `>> cookware:` and `>> ingredients:` lines declare cookware and
+ * ingredients that no step mentions.
+ * @param {string} text - The Cooklang text
+ * @returns {{name: (string|undefined), options: Object}} The recipe name and constructor options
+ */
+const fromCooklang = (text) => {
+  const { body, metadata } = readMetadata(text);
+  const { name, ...options } = metadataToOptions(metadata);
+
+  const ingredients = [];
+  const cookware = [];
+  const entities = createEntityResolver(
+    { ingredients, containers: cookware },
+    { strict: ['ingredients', 'containers'] }
+  );
+  const context = { entities, ingredients, cookware, filled: new Set() };
+
+  // Declared cookware that no step mentions
+  (metadata.cookware || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .forEach((item) => findOrAdd(cookware, item, Container));
+  const paragraphs = body
+    .split(/\n\s*\n/)
+    .map((paragraph) =>
+      paragraph
+        .split('\n')
+        // Sections (= Dough) and notes (> ...) are not steps
+        .filter((line) => !/^\s*(?:=|>)/.test(line))
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join(' ')
+    )
+    .filter(Boolean);
+
+  const steps = paragraphs.reduce((parsed, paragraph) => {
+    const isThread = paragraph.startsWith(MEANWHILE) && parsed.length > 0;
+    const step = new RecipeStep();
+    splitAtTimers(paragraph.slice(isThread ? MEANWHILE.length : 0)).forEach(
+      (run) => parseSentences(run, step, context)
+    );
+
+    if (isThread) {
+      parsed[parsed.length - 1].threads.push(step);
+      return parsed;
+    }
+    return [...parsed, step];
+  }, []);
+
+  // Declared ingredients that no step mentions
+  (metadata.ingredients || '').replace(
+    TOKEN_PATTERN,
+    (token, ingredientName, ingredientQuantity, ingredientWord) => {
+      if (ingredientName || ingredientWord) {
+        addMention(
+          findOrAdd(
+            ingredients,
+            (ingredientName || ingredientWord).trim(),
+            Ingredient
+          ),
+          ingredientQuantity
+        );
+      }
+      return token;
+    }
+  );
+
+  // Cookware held by an action is in the steps already
+  const held = new Set(
+    steps
+      .flatMap(actionsOf)
+      .flatMap((action) => [action.container, action.from, action.to])
+  );
+
+  return {
+    name,
+    options: {
+      ...options,
+      ingredients,
+      tools: cookware
+        .filter((item) => !held.has(item))
+        .map((item) => (context.filled.has(item) ? item : Tool(item.name))),
+      appliances: entities.created.appliances,
+      steps,
+    },
+  };
+};
+
+export { toCooklang, fromCooklang };
@@ -0,0 +1,111 @@
+import { normalizeName, lookupName } from './names.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} DensityEntry
+ * @property {string} name - The canonical ingredient name
+ * @property {number} density - The density in grams per millilitre
+ * @property {string[]} aliases - Alternative names of the ingredient
+ */
+
+// -------------------- Density Table --------------------
+
+/**
+ * Densities of common ingredients in grams per millilitre:
+ * [name, density, aliases]. Dry goods are spooned and levelled, brown sugar
+ * is packed.
+ */
+// prettier-ignore
+const COMMON_DENSITIES = [
+  // Liquids
+  ['water', 1.0, ['acqua']],
+  ['milk', 1.03, ['whole milk', 'skim milk', 'latte']],
+  ['buttermilk', 1.03, []],
+  ['heavy cream', 0.99, ['cream', 'whipping cream', 'double cream', 'panna']],
+  ['yogurt', 1.03, ['yoghurt', 'plain yogurt', 'greek yogurt']],
+  ['coffee', 1.0, ['espresso', 'caffè', 'caffe']],
+  ['vegetable oil', 0.92, ['oil', 'canola oil', 'sunflower oil', 'olio']],
+  ['olive oil', 0.91, ['extra virgin olive oil', "olio d'oliva"]],
+  ['honey', 1.42, ['miele']],
+  ['maple syrup', 1.32, []],
+  ['vanilla extract', 0.88, ['vanilla']],
+  ['egg', 1.03, ['eggs', 'beaten egg', 'uova']],
+  // Fats
+  ['butter', 0.959, ['unsalted butter', 'salted butter', 'burro']],
+  // Flours and starches
+  ['all-purpose flour', 0.528, ['flour', 'plain flour', 'farina', 'farina 00']],
+  ['bread flour', 0.55, ['strong flour']],
+  ['whole wheat flour', 0.507, ['wholemeal flour', 'whole-wheat flour']],
+  ['cake flour', 0.482, []],
+  ['cornstarch', 0.473, ['cornflour', 'corn starch', 'maizena']],
+  ['cocoa powder', 0.355, ['cocoa', 'unsweetened cocoa powder', 'cacao']],
+  // Sugars
+  ['granulated sugar', 0.845, ['sugar', 'white sugar', 'caster sugar', 'zucchero']],
+  ['brown sugar', 0.93, ['light brown sugar', 'dark brown sugar']],
+  ['powdered sugar', 0.507, ["confectioners' sugar", 'icing sugar', 'zucchero a velo']],
+  // Leavening and seasoning
+  ['salt', 1.217, ['table salt', 'fine salt', 'sale']],
+  ['kosher salt', 0.56, []],
+  ['baking soda', 0.93, ['bicarbonate of soda', 'sodium bicarbonate']],
+  ['baking powder', 0.81, ['lievito']],
+  ['ground cinnamon', 0.56, ['cinnamon']],
+  // Grains
+  ['rice', 0.85, ['white rice', 'long grain rice', 'riso']],
+  ['rolled oats', 0.38, ['oats', 'oatmeal']],
+];
+
+/** @type {Map<string, DensityEntry>} */
+const densities = new Map();
+
+// -------------------- Density Utilities --------------------
+
+/**
+ * Registers the density of an ingredient, replacing any existing entry
+ * @param {string} name - The ingredient name
+ * @param {number} density - The density in grams per millilitre
+ * @param {string[]} [aliases=[]] - Alternative names of the ingredient
+ * @returns {DensityEntry} The registered entry
+ * @throws {Error} If the density is not a positive number
+ */
+const registerDensity = (name, density, aliases = []) => {
+  if (typeof density !== 'number' || !(density > 0)) {
+    throw new Error(`Density of ${name} must be a positive number`);
+  }
+  const entry = { name, density, aliases };
+  [name, ...aliases].forEach((alias) =>
+    densities.set(normalizeName(alias), entry)
+  );
+  return entry;
+};
+
+/**
+ * Looks up the density of an ingredient by name. Tries the exact name, its
+ * singular form, and finally the longest known name contained in it (so
+ * "sifted cake flour" matches "cake flour").
+ * @param {string|Entity} ingredient - The ingredient or its name
+ * @returns {number|null} The density in grams per millilitre, or null if unknown
+ */
+const getDensity = (ingredient) => {
+  if (ingredient && typeof ingredient === 'object') {
+    if (typeof ingredient.density === 'number') return ingredient.density;
+    ingredient = ingredient.name;
+  }
+  if (!ingredient) return null;
+
+  const match = lookupName(densities, ingredient);
+
+  return match ? match.density : null;
+};
+
+/**
+ * Lists all registered densities
+ * @returns {DensityEntry[]} The registered entries
+ */
+const listDensities = () => [...new Set(densities.values())];
+
+COMMON_DENSITIES.forEach(([name, density, aliases]) =>
+  registerDensity(name, density, aliases)
+);
+
+export { registerDensity, getDensity, listDensities };
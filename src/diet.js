@@ -0,0 +1,338 @@
+import { normalizeName, singularize, lookupName } from './names.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} ClassificationEntry
+ * @property {string} name - The canonical ingredient name
+ * @property {string[]} categories - The dietary categories of the ingredient, e.g. ['dairy', 'lactose']
+ * @property {string[]} aliases - Alternative names of the ingredient
+ */
+
+/**
+ * @typedef {Object} DietSubstitution
+ * @property {string} diet - The diet the recipe would satisfy
+ * @property {Object[]} substitutions - The suggested substitutions to make, as {original, alternative}
+ * @property {string} description - A sentence such as "Becomes vegan if you use Oat Milk instead of Latte."
+ */
+
+/**
+ * @typedef {Object} DietAnalysis
+ * @property {string[]} allergens - The allergens found in the ingredients
+ * @property {string[]} diets - The diets the recipe satisfies
+ * @property {string[]} unknown - The diets no classified ingredient breaks, but that an unclassified one might
+ * @property {Object<string, Entity[]>} violations - The ingredients that break each diet, empty for the diets satisfied
+ * @property {DietSubstitution[]} withSubstitutions - The diets the suggested substitutions would satisfy
+ * @property {Entity[]} unclassified - The ingredients missing from the classification table
+ */
+
+// -------------------- Categories and Diets --------------------
+
+/**
+ * Categories that are allergens, in the order they are reported
+ */
+const ALLERGENS = [
+  'gluten',
+  'dairy',
+  'egg',
+  'peanuts',
+  'tree nuts',
+  'soy',
+  'fish',
+  'shellfish',
+  'sesame',
+];
+
+/**
+ * Diets and the categories they exclude. 'meat' covers everything from
+ * slaughtered animals (gelatin and lard included), 'animal' other animal
+ * products such as honey, and 'lactose' the dairy products that contain it.
+ */
+const DIETS = {
+  vegan: ['meat', 'fish', 'shellfish', 'dairy', 'egg', 'animal'],
+  vegetarian: ['meat', 'fish', 'shellfish'],
+  'gluten-free': ['gluten'],
+  'lactose-free': ['lactose'],
+};
+
+/**
+ * Categories of common ingredients: [name, categories, aliases]. An empty
+ * list marks an ingredient known to be free of every category.
+ */
+// prettier-ignore
+const COMMON_CLASSIFICATIONS = [
+  // Grains and baked goods
+  ['all-purpose flour', ['gluten'], ['flour', 'plain flour', 'farina', 'farina 00']],
+  ['bread flour', ['gluten'], ['strong flour']],
+  ['whole wheat flour', ['gluten'], ['wholemeal flour', 'whole-wheat flour']],
+  ['cake flour', ['gluten'], []],
+  ['semolina', ['gluten'], []],
+  ['bread', ['gluten'], ['white bread', 'breadcrumbs', 'bread crumbs']],
+  ['pasta', ['gluten'], ['spaghetti', 'penne', 'macaroni', 'fusilli', 'lasagna']],
+  ['couscous', ['gluten'], []],
+  ['barley', ['gluten'], []],
+  ['beer', ['gluten'], []],
+  ['seitan', ['gluten'], []],
+  ['cookie', ['gluten', 'dairy', 'lactose', 'egg'], ['cookies', 'biscuit', 'biscotti']],
+  ['rice', [], ['white rice', 'long grain rice', 'riso']],
+  ['rice flour', [], []],
+  ['cornstarch', [], ['cornflour', 'corn starch', 'maizena']],
+  ['rolled oats', [], ['oats', 'oatmeal']],
+  // Dairy
+  ['milk', ['dairy', 'lactose'], ['whole milk', 'skim milk', 'latte']],
+  ['lactose-free milk', ['dairy'], []],
+  ['heavy cream', ['dairy', 'lactose'], ['cream', 'whipping cream', 'double cream', 'panna', 'sour cream']],
+  ['buttermilk', ['dairy', 'lactose'], []],
+  ['yogurt', ['dairy', 'lactose'], ['yoghurt', 'plain yogurt', 'greek yogurt']],
+  ['butter', ['dairy', 'lactose'], ['unsalted butter', 'salted butter', 'burro']],
+  ['ghee', ['dairy'], []],
+  ['cheese', ['dairy', 'lactose'], ['cream cheese', 'ricotta', 'mascarpone', 'mozzarella', 'cheddar']],
+  ['parmesan', ['dairy'], ['parmigiano', 'parmigiano reggiano']],
+  ['milk chocolate', ['dairy', 'lactose'], []],
+  // Plant milks
+  ['oat milk', [], []],
+  ['coconut milk', [], []],
+  ['coconut cream', [], []],
+  ['almond milk', ['tree nuts'], []],
+  ['soy milk', ['soy'], ['soya milk']],
+  // Eggs
+  ['egg', ['egg'], ['eggs', 'egg yolk', 'egg white', 'uova', 'uovo']],
+  ['mayonnaise', ['egg'], ['mayo']],
+  // Nuts, seeds and soy
+  ['peanut', ['peanuts'], ['peanuts', 'peanut butter', 'peanut oil']],
+  ['almond', ['tree nuts'], ['almonds', 'almond flour']],
+  ['walnut', ['tree nuts'], ['walnuts']],
+  ['hazelnut', ['tree nuts'], ['hazelnuts']],
+  ['cashew', ['tree nuts'], ['cashews']],
+  ['pistachio', ['tree nuts'], ['pistachios']],
+  ['pecan', ['tree nuts'], ['pecans']],
+  ['sesame', ['sesame'], ['sesame seeds', 'sesame oil', 'tahini']],
+  ['soy sauce', ['soy', 'gluten'], ['shoyu']],
+  ['tamari', ['soy'], []],
+  ['tofu', ['soy'], []],
+  ['tempeh', ['soy'], []],
+  ['miso', ['soy'], []],
+  ['edamame', ['soy'], []],
+  // Fish and shellfish
+  ['fish', ['fish'], ['salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'fish sauce']],
+  ['worcestershire sauce', ['fish'], []],
+  ['shrimp', ['shellfish'], ['shrimps', 'prawns', 'crab', 'lobster', 'mussels', 'clams', 'oysters', 'scallops']],
+  // Meat
+  ['chicken', ['meat'], ['chicken breast', 'chicken stock', 'chicken broth', 'turkey']],
+  ['beef', ['meat'], ['ground beef', 'minced beef', 'beef stock', 'beef broth']],
+  ['pork', ['meat'], ['bacon', 'pancetta', 'ham', 'sausage', 'prosciutto', 'lard']],
+  ['lamb', ['meat'], []],
+  ['gelatin', ['meat'], ['gelatine']],
+  // Other animal products
+  ['honey', ['animal'], ['miele']],
+  // Free of every category
+  ['water', [], ['acqua']],
+  ['coffee', [], ['espresso', 'caffè', 'caffe']],
+  ['granulated sugar', [], ['sugar', 'white sugar', 'caster sugar', 'brown sugar', 'powdered sugar', 'icing sugar', 'zucchero']],
+  ['maple syrup', [], []],
+  ['salt', [], ['table salt', 'sea salt', 'kosher salt', 'sale']],
+  ['black pepper', [], ['pepper']],
+  ['vegetable oil', [], ['oil', 'canola oil', 'sunflower oil', 'olive oil', 'extra virgin olive oil', 'olio']],
+  ['baking soda', [], ['bicarbonate of soda']],
+  ['baking powder', [], ['lievito']],
+  ['cream of tartar', [], []],
+  ['yeast', [], ['dry yeast', 'instant yeast']],
+  ['vanilla extract', [], ['vanilla']],
+  ['ground cinnamon', [], ['cinnamon']],
+  ['cocoa powder', [], ['cocoa', 'cacao']],
+  ['dark chocolate', [], ['bittersweet chocolate']],
+  ['vinegar', [], []],
+  ['lemon', [], ['lemon juice', 'lemon zest']],
+  ['garlic', [], []],
+  ['onion', [], ['onions', 'shallot', 'shallots']],
+  ['carrot', [], ['carrots']],
+  ['tomato', [], ['tomatoes']],
+  ['potato', [], ['potatoes']],
+  ['bell pepper', [], ['bell peppers']],
+  ['zucchini', [], ['courgette']],
+  ['mushroom', [], ['mushrooms']],
+  ['spinach', [], []],
+  ['parsley', [], []],
+  ['basil', [], []],
+  ['apple', [], ['apples']],
+  ['banana', [], ['bananas']],
+  ['chickpeas', [], ['garbanzo beans']],
+  ['lentils', [], []],
+];
+
+/**
+ * Matches a name that says what the ingredient is free of, e.g. "peanut-free
+ * butter", which the names it contains do not describe
+ */
+const FREE_OF_PATTERN = /\w-free\b/;
+
+/** @type {Map<string, ClassificationEntry>} */
+const classifications = new Map();
+
+// -------------------- Classification Utilities --------------------
+
+/**
+ * Registers the dietary categories of an ingredient, replacing any existing
+ * entry
+ * @param {string} name - The ingredient name
+ * @param {string[]} categories - The categories, e.g. ['gluten'] or [] for none
+ * @param {string[]} [aliases=[]] - Alternative names of the ingredient
+ * @returns {ClassificationEntry} The registered entry
+ * @throws {Error} If the categories are not an array
+ */
+const registerClassification = (name, categories, aliases = []) => {
+  if (!Array.isArray(categories)) {
+    throw new Error(`Categories of ${name} must be an array`);
+  }
+  const entry = { name, categories, aliases };
+  [name, ...aliases].forEach((alias) =>
+    classifications.set(normalizeName(alias), entry)
+  );
+  return entry;
+};
+
+/**
+ * Looks up the dietary categories of an ingredient. An ingredient's own
+ * `categories` property wins; otherwise the table is searched like the
+ * density table: exact name, singular form, then the longest known name
+ * contained in it (so "almond milk" is nuts, not dairy). A name such as
+ * "peanut-free butter" only matches exactly, since the names it contains
+ * may be the very thing it is free of.
+ * @param {string|Entity} ingredient - The ingredient or its name
+ * @returns {string[]|null} The categories, or null if the ingredient is unknown
+ */
+const classifyIngredient = (ingredient) => {
+  if (ingredient && typeof ingredient === 'object') {
+    if (Array.isArray(ingredient.categories)) return ingredient.categories;
+    ingredient = ingredient.name;
+  }
+  if (!ingredient) return null;
+
+  const normalized = normalizeName(ingredient);
+  const match = FREE_OF_PATTERN.test(normalized)
+    ? classifications.get(normalized) ||
+      classifications.get(singularize(normalized))
+    : lookupName(classifications, ingredient);
+
+  return match ? match.categories : null;
+};
+
+/**
+ * Registers a diet, replacing any existing one with the same name
+ * @param {string} name - The diet name, also used as its tag
+ * @param {string[]} excluded - The categories the diet excludes
+ */
+const registerDiet = (name, excluded) => {
+  DIETS[name] = excluded;
+};
+
+COMMON_CLASSIFICATIONS.forEach(([name, categories, aliases]) =>
+  registerClassification(name, categories, aliases)
+);
+
+// -------------------- Analysis --------------------
+
+/**
+ * Returns whether an ingredient breaks a diet
+ * @param {string[]|null} categories - The ingredient's categories
+ * @param {string} diet - The diet name
+ * @returns {boolean} True if the ingredient breaks the diet
+ */
+const breaks = (categories, diet) =>
+  (categories || []).some((category) => DIETS[diet].includes(category));
+
+/**
+ * Analyzes the allergens of a recipe and the diets it satisfies. Ingredients
+ * missing from the classification table are listed in `unclassified`, and
+ * while there are any, the diets no other ingredient breaks are `unknown`
+ * rather than satisfied. For each diet the recipe breaks, the suggested
+ * substitutions are checked: when every offending ingredient has a
+ * suggested alternative that fits the diet and no ingredient is
+ * unclassified, the diet is listed in `withSubstitutions`.
+ * @param {Recipe} recipe - The recipe to analyze
+ * @param {Object} [options={}] - The analysis options
+ * @param {boolean} [options.addTags=false] - Add the diets and "contains <allergen>" tags to the recipe
+ * @returns {DietAnalysis}
+ */
+const analyzeDiet = (recipe, { addTags = false } = {}) => {
+  const classified = recipe.ingredients.map((ingredient) => ({
+    ingredient,
+    categories: classifyIngredient(ingredient),
+  }));
+
+  const found = new Set(
+    classified.flatMap(({ categories }) => categories || [])
+  );
+  const allergens = ALLERGENS.filter((allergen) => found.has(allergen));
+
+  const violations = Object.fromEntries(
+    Object.keys(DIETS).map((diet) => [
+      diet,
+      classified
+        .filter(({ categories }) => breaks(categories, diet))
+        .map(({ ingredient }) => ingredient),
+    ])
+  );
+  const unclassified = classified
+    .filter(({ categories }) => categories === null)
+    .map(({ ingredient }) => ingredient);
+  const unbroken = Object.keys(DIETS).filter(
+    (diet) => violations[diet].length === 0
+  );
+  const diets = unclassified.length === 0 ? unbroken : [];
+  const unknown = unclassified.length === 0 ? [] : unbroken;
+
+  const withSubstitutions = Object.keys(DIETS)
+    .filter((diet) => violations[diet].length > 0 && unclassified.length === 0)
+    .map((diet) => {
+      const substitutions = violations[diet].map((ingredient) =>
+        recipe.substitutions.find(
+          ({ original, alternative }) =>
+            normalizeName(original.name) === normalizeName(ingredient.name) &&
+            classifyIngredient(alternative) !== null &&
+            !breaks(classifyIngredient(alternative), diet)
+        )
+      );
+      if (!substitutions.every(Boolean)) return null;
+      const uses = substitutions
+        .map(
+          ({ original, alternative }) =>
+            `${alternative.name} instead of ${original.name}`
+        )
+        .join(' and ');
+      return {
+        diet,
+        substitutions,
+        description: `Becomes ${diet} if you use ${uses}.`,
+      };
+    })
+    .filter(Boolean);
+
+  if (addTags) {
+    const existing = recipe.tags.map(normalizeName);
+    recipe.addTags(
+      ...[
+        ...diets,
+        ...allergens.map((allergen) => `contains ${allergen}`),
+      ].filter((tag) => !existing.includes(tag))
+    );
+  }
+
+  return {
+    allergens,
+    diets,
+    unknown,
+    violations,
+    withSubstitutions,
+    unclassified,
+  };
+};
+
+export {
+  ALLERGENS,
+  DIETS,
+  registerClassification,
+  classifyIngredient,
+  registerDiet,
+  analyzeDiet,
+};
@@ -0,0 +1,698 @@
+import { formatIngredient, describeStep } from './instructions.js';
+import RecipeStep from './RecipeStep.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * A change to a recipe field
+ * @typedef {Object} FieldChange
+ * @property {string} field - The field, e.g. 'servings'
+ * @property {*} from - The old value
+ * @property {*} to - The new value
+ */
+
+/**
+ * A change to an entity list, matched by name
+ * @typedef {Object} EntityChange
+ * @property {string} op - 'add', 'remove' or 'change'
+ * @property {string} name - The entity name
+ * @property {Entity} [from] - The old entity, for 'remove' and 'change'
+ * @property {Entity} [to] - The new entity, for 'add' and 'change'
+ * @property {string[]} [fields] - The properties that differ, for 'change'
+ */
+
+/**
+ * A change to a list of steps or actions. Indexes of removed and modified
+ * items refer to the old list, indexes of inserted items to the new one.
+ * @typedef {Object} SequenceChange
+ * @property {string} op - 'insert', 'remove' or 'modify'
+ * @property {number} index - The position of the item
+ * @property {number} [newIndex] - The position of a modified item in the new list
+ * @property {Object} [value] - The inserted or removed item
+ * @property {Object} [from] - The old action, for a modified action
+ * @property {Object} [to] - The new action, for a modified action
+ * @property {string[]} [fields] - The properties that differ, for a modified action
+ * @property {SequenceChange[]} [actions] - The action changes, for a modified step
+ * @property {SequenceChange[]} [threads] - The parallel thread changes, for a modified step
+ * @property {FieldChange[]} [notes] - The cue, adjustment and sensory check changes, for a modified step
+ */
+
+/**
+ * The structured differences between two recipes. Values are plain JSON
+ * data, so a diff can be stored and replayed with applyPatch.
+ * @typedef {Object} RecipeDiff
+ * @property {string} from - The name of the old recipe
+ * @property {string} to - The name of the new recipe
+ * @property {FieldChange[]} metadata - Changes to name, servings, difficulty, tags, etc.
+ * @property {EntityChange[]} ingredients - Ingredient changes
+ * @property {EntityChange[]} tools - Tool changes
+ * @property {EntityChange[]} appliances - Appliance changes
+ * @property {SequenceChange[]} steps - Step changes
+ */
+
+// -------------------- Helpers --------------------
+
+/**
+ * Recipe fields compared as a whole
+ */
+const METADATA_FIELDS = [
+  'name',
+  'servings',
+  'difficulty',
+  'estimatedTime',
+  'nutritionInfo',
+  'miseEnPlace',
+  'servingSuggestions',
+  'substitutions',
+  'tags',
+];
+
+/**
+ * Step fields compared as a whole
+ */
+const NOTE_FIELDS = ['cues', 'adjustments', 'sensoryChecks'];
+
+/**
+ * Copies a value as plain JSON data
+ * @param {*} value - The value
+ * @returns {*} The copy
+ */
+const plain = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Serializes a value with sorted object keys, so that equal data gives
+ * equal strings whatever the order its properties were set in
+ * @param {*} value - The value
+ * @returns {string} The canonical JSON
+ */
+const canonical = (value) =>
+  JSON.stringify(value === undefined ? null : value, (key, nested) =>
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(
+          Object.keys(nested)
+            .sort()
+            .map((name) => [name, nested[name]])
+        )
+      : nested
+  );
+
+/**
+ * Tells whether two values hold the same data
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if they are equal
+ */
+const same = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * Lists the properties whose values differ between two objects
+ * @param {Object} a - The first object
+ * @param {Object} b - The second object
+ * @returns {string[]} The differing properties
+ */
+const differingFields = (a, b) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(
+    (field) => !same(a[field], b[field])
+  );
+
+/**
+ * Normalizes an entity name for matching
+ * @param {Entity} entity - The entity
+ * @returns {string} The normalized name
+ */
+const keyOf = (entity) => String(entity.name).trim().toLowerCase();
+
+// -------------------- Diffing --------------------
+
+/**
+ * Diffs two entity lists, matching entities by name
+ * @param {Entity[]} before - The old list
+ * @param {Entity[]} after - The new list
+ * @returns {EntityChange[]} The changes
+ */
+const diffEntities = (before, after) => {
+  const old = new Map(before.map((entity) => [keyOf(entity), entity]));
+  const current = new Map(after.map((entity) => [keyOf(entity), entity]));
+  return [
+    ...before
+      .filter((entity) => !current.has(keyOf(entity)))
+      .map((entity) => ({
+        op: 'remove',
+        name: entity.name,
+        from: plain(entity),
+      })),
+    ...after.flatMap((entity) => {
+      const previous = old.get(keyOf(entity));
+      if (!previous) {
+        return [{ op: 'add', name: entity.name, to: plain(entity) }];
+      }
+      const fields = differingFields(plain(previous), plain(entity));
+      return fields.length > 0
+        ? [
+            {
+              op: 'change',
+              name: entity.name,
+              from: plain(previous),
+              to: plain(entity),
+              fields,
+            },
+          ]
+        : [];
+    }),
+  ];
+};
+
+/**
+ * Items at least this similar are aligned as one modified item; less
+ * similar ones are removed and inserted
+ */
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Aligns two lists so that the total similarity of the aligned pairs is
+ * as high as possible, keeping their order. Equal items have similarity 1.
+ * @param {Object[]} before - The old list, as plain data
+ * @param {Object[]} after - The new list, as plain data
+ * @param {function(Object, Object): number} similarity - Scores two unequal items from 0 to 1
+ * @returns {{score: number, moves: Object[]}} The total similarity, and the moves:
+ *   { op: 'match', index, newIndex, similarity }, { op: 'remove', index } or { op: 'insert', newIndex }
+ */
+const align = (before, after, similarity) => {
+  const [a, b] = [before.map(canonical), after.map(canonical)];
+  const similarities = a.map((key, i) =>
+    b.map((other, j) => (key === other ? 1 : similarity(before[i], after[j])))
+  );
+  // scores[i][j]: the best total similarity of before[i..] and after[j..]
+  const scores = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  const matches = (i, j) => similarities[i][j] >= MATCH_THRESHOLD;
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      scores[i][j] = Math.max(
+        scores[i + 1][j],
+        scores[i][j + 1],
+        matches(i, j) ? similarities[i][j] + scores[i + 1][j + 1] : 0
+      );
+    }
+  }
+
+  const moves = [];
+  let [i, j] = [0, 0];
+  while (i < a.length || j < b.length) {
+    if (
+      i < a.length &&
+      j < b.length &&
+      matches(i, j) &&
+      scores[i][j] === similarities[i][j] + scores[i + 1][j + 1]
+    ) {
+      moves.push({
+        op: 'match',
+        index: i,
+        newIndex: j,
+        similarity: similarities[i][j],
+      });
+      [i, j] = [i + 1, j + 1];
+    } else if (
+      j >= b.length ||
+      (i < a.length && scores[i + 1][j] >= scores[i][j + 1])
+    ) {
+      moves.push({ op: 'remove', index: i });
+      i += 1;
+    } else {
+      moves.push({ op: 'insert', newIndex: j });
+      j += 1;
+    }
+  }
+  return { score: scores[0][0], moves };
+};
+
+/**
+ * Diffs two lists: equal items are kept, similar ones described by
+ * `describe` as modified, and the others removed or inserted
+ * @param {Object[]} before - The old list, as plain data
+ * @param {Object[]} after - The new list, as plain data
+ * @param {function(Object, Object): number} similarity - Scores two unequal items from 0 to 1
+ * @param {function(Object, Object): Object} describe - Describes the change from one item to another
+ * @returns {SequenceChange[]} The changes
+ */
+const diffSequence = (before, after, similarity, describe) =>
+  align(before, after, similarity).moves.flatMap((move) => {
+    if (move.op === 'remove') {
+      return [{ op: 'remove', index: move.index, value: before[move.index] }];
+    }
+    if (move.op === 'insert') {
+      return [
+        { op: 'insert', index: move.newIndex, value: after[move.newIndex] },
+      ];
+    }
+    if (move.similarity === 1) return [];
+    return [
+      {
+        op: 'modify',
+        index: move.index,
+        newIndex: move.newIndex,
+        ...describe(before[move.index], after[move.newIndex]),
+      },
+    ];
+  });
+
+/**
+ * Scores two actions: 0 for different types, otherwise from 0.5 up by the
+ * share of their other properties that are equal
+ * @param {Object} from - The old action
+ * @param {Object} to - The new action
+ * @returns {number} The similarity
+ */
+const actionSimilarity = (from, to) => {
+  if (from.type !== to.type) return 0;
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  const equal = fields.filter((field) => same(from[field], to[field]));
+  return 0.5 + (0.5 * (equal.length - 1)) / Math.max(1, fields.length - 1);
+};
+
+/**
+ * Scores two steps by how well their actions and parallel threads align
+ * @param {Object} from - The old step, as JSON
+ * @param {Object} to - The new step, as JSON
+ * @returns {number} The similarity
+ */
+const stepSimilarity = (from, to) => {
+  const [fromActions, toActions] = [from.actions || [], to.actions || []];
+  const [fromThreads, toThreads] = [from.threads || [], to.threads || []];
+  const items =
+    fromActions.length +
+    toActions.length +
+    fromThreads.length +
+    toThreads.length;
+  if (items === 0) return 0.5;
+  return (
+    (2 *
+      (align(fromActions, toActions, actionSimilarity).score +
+        align(fromThreads, toThreads, stepSimilarity).score)) /
+    items
+  );
+};
+
+/**
+ * Describes the change from one action to another of the same type
+ * @param {Object} from - The old action
+ * @param {Object} to - The new action
+ * @returns {Object} The change
+ */
+const modifyAction = (from, to) => ({
+  from,
+  to,
+  fields: differingFields(from, to),
+});
+
+/**
+ * Describes the change from one step to another
+ * @param {Object} from - The old step, as JSON
+ * @param {Object} to - The new step, as JSON
+ * @returns {Object} The change
+ */
+const modifyStep = (from, to) => ({
+  actions: diffSequence(
+    from.actions || [],
+    to.actions || [],
+    actionSimilarity,
+    modifyAction
+  ),
+  threads: diffSequence(
+    from.threads || [],
+    to.threads || [],
+    stepSimilarity,
+    modifyStep
+  ),
+  notes: NOTE_FIELDS.filter((field) => !same(from[field], to[field])).map(
+    (field) => ({ field, from: from[field] || [], to: to[field] || [] })
+  ),
+});
+
+/**
+ * Computes the structured differences between two recipes: metadata,
+ * ingredients, tools and appliances (matched by name), and steps, actions
+ * and parallel threads. Steps are aligned by how similar their actions
+ * are, so an inserted step does not show every following step as changed,
+ * and a step with one changed amount shows as one modified action.
+ * @param {Recipe} before - The old recipe
+ * @param {Recipe} after - The new recipe
+ * @returns {RecipeDiff}
+ */
+const diffRecipes = (before, after) => ({
+  from: before.name,
+  to: after.name,
+  metadata: METADATA_FIELDS.filter(
+    (field) => !same(before[field], after[field])
+  ).map((field) => ({
+    field,
+    from: plain(before[field]) ?? null,
+    to: plain(after[field]) ?? null,
+  })),
+  ingredients: diffEntities(before.ingredients, after.ingredients),
+  tools: diffEntities(before.tools, after.tools),
+  appliances: diffEntities(before.appliances, after.appliances),
+  steps: diffSequence(
+    plain(before.steps),
+    plain(after.steps),
+    stepSimilarity,
+    modifyStep
+  ),
+});
+
+/**
+ * Tells whether a diff has no changes
+ * @param {RecipeDiff} diff - The diff
+ * @returns {boolean} True if the recipes are the same
+ */
+const isEmpty = (diff) =>
+  ['metadata', 'ingredients', 'tools', 'appliances', 'steps'].every(
+    (part) => diff[part].length === 0
+  );
+
+// -------------------- Patching --------------------
+
+/**
+ * Replays sequence changes on a list
+ * @param {Object[]} list - The old list
+ * @param {SequenceChange[]} changes - The changes
+ * @param {Object} handlers - How to build items
+ * @param {function(Object): Object} handlers.insert - Builds an inserted item from its value
+ * @param {function(Object, SequenceChange): Object} handlers.modify - Builds a modified item
+ * @param {function(Object): Object} handlers.data - Returns the plain data of an item
+ * @param {string} where - Where the list is, for error messages
+ * @returns {Object[]} The new list
+ * @throws {Error} If the changes do not fit the list
+ */
+const patchSequence = (list, changes, { insert, modify, data }, where) => {
+  const fail = (change, reason) => {
+    throw new Error(
+      `Patch does not apply: ${change.op} at ${where}[${change.index}] ${reason}`
+    );
+  };
+  const removed = new Set();
+  const modified = new Map();
+  const inserted = new Map();
+  changes.forEach((change) => {
+    if (change.op === 'insert') {
+      inserted.set(change.index, change);
+      return;
+    }
+    if (!(change.index >= 0 && change.index < list.length)) {
+      fail(change, 'is out of range');
+    }
+    if (change.op === 'remove') {
+      if (!same(data(list[change.index]), change.value)) {
+        fail(change, 'does not match');
+      }
+      removed.add(change.index);
+    } else if (change.op === 'modify') {
+      if (change.from && !same(data(list[change.index]), change.from)) {
+        fail(change, 'does not match');
+      }
+      modified.set(change.index, change);
+    } else {
+      fail(change, 'is unknown');
+    }
+  });
+
+  const kept = list.flatMap((item, index) => {
+    if (removed.has(index)) return [];
+    return [modified.has(index) ? modify(item, modified.get(index)) : item];
+  });
+  const length = kept.length + inserted.size;
+  inserted.forEach((change) => {
+    if (!(change.index >= 0 && change.index < length)) {
+      fail(change, 'is out of range');
+    }
+  });
+  const remaining = kept.values();
+  return Array.from({ length }, (unused, index) =>
+    inserted.has(index)
+      ? insert(inserted.get(index).value)
+      : remaining.next().value
+  );
+};
+
+/**
+ * Replays the changes of a step on a step
+ * @param {RecipeStep} step - The step, changed in place
+ * @param {SequenceChange} change - The step change
+ * @param {string} where - Where the step is, for error messages
+ * @returns {RecipeStep} The step
+ */
+const patchStep = (step, change, where) => {
+  step.actions = patchSequence(
+    step.actions,
+    change.actions || [],
+    {
+      insert: plain,
+      modify: (action, { to }) => plain(to),
+      data: plain,
+    },
+    `${where}.actions`
+  );
+  step.threads = patchSequence(
+    step.threads,
+    change.threads || [],
+    {
+      insert: RecipeStep.fromJSON,
+      modify: (thread, threadChange) =>
+        patchStep(thread, threadChange, `${where}.threads`),
+      data: (thread) => plain(thread),
+    },
+    `${where}.threads`
+  );
+  (change.notes || []).forEach(({ field, to }) => {
+    step[field] = plain(to);
+  });
+  return step;
+};
+
+/**
+ * Replays entity changes on an entity list
+ * @param {Entity[]} list - The old list
+ * @param {EntityChange[]} changes - The changes
+ * @param {string} where - Where the list is, for error messages
+ * @returns {Entity[]} The new list
+ * @throws {Error} If an entity to remove or change is missing
+ */
+const patchEntities = (list, changes, where) => {
+  const result = [...list];
+  changes.forEach((change) => {
+    const index = result.findIndex((entity) => keyOf(entity) === keyOf(change));
+    if (change.op === 'add') {
+      if (index !== -1) {
+        throw new Error(
+          `Patch does not apply: ${change.name} is already in ${where}`
+        );
+      }
+      result.push(plain(change.to));
+    } else if (index === -1) {
+      throw new Error(
+        `Patch does not apply: ${change.name} is not in ${where}`
+      );
+    } else if (change.op === 'remove') {
+      result.splice(index, 1);
+    } else {
+      result[index] = plain(change.to);
+    }
+  });
+  return result;
+};
+
+/**
+ * Replays a diff on a recipe, in place. Entities referenced by patched
+ * steps are then resolved to the recipe's own ingredients, tools,
+ * appliances and containers by type and name, as if the recipe had been
+ * built by hand.
+ * @param {Recipe} recipe - The recipe to patch, usually a fresh clone
+ * @param {RecipeDiff} diff - The diff to replay
+ * @returns {Recipe} The patched recipe
+ * @throws {Error} If the diff does not fit the recipe
+ */
+const patchRecipe = (recipe, diff) => {
+  diff.metadata.forEach(({ field, to }) => {
+    recipe[field] = plain(to);
+  });
+  ['ingredients', 'tools', 'appliances'].forEach((part) => {
+    recipe[part] = patchEntities(recipe[part], diff[part], part);
+  });
+  recipe.steps = patchSequence(
+    recipe.steps,
+    diff.steps,
+    {
+      insert: RecipeStep.fromJSON,
+      modify: (step, change) => patchStep(step, change, 'steps'),
+      data: (step) => plain(step),
+    },
+    'steps'
+  );
+
+  const known = new Map();
+  const resolve = (entity) => {
+    if (!entity || typeof entity !== 'object' || !entity.type) return entity;
+    const key = `${entity.type}:${keyOf(entity)}`;
+    if (!known.has(key)) known.set(key, entity);
+    return known.get(key);
+  };
+  [...recipe.ingredients, ...recipe.tools, ...recipe.appliances].forEach(
+    resolve
+  );
+  recipe.steps = recipe.steps.map((step) => step.clone({ entity: resolve }));
+  recipe.substitutions = recipe.substitutions.map((sub) => ({
+    original: resolve(sub.original),
+    alternative: resolve(sub.alternative),
+  }));
+  return recipe;
+};
+
+// -------------------- Rendering --------------------
+
+/**
+ * Formats a metadata value for display
+ * @param {*} value - The value
+ * @returns {string} The formatted value
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  if (Array.isArray(value)) {
+    return value.length > 0
+      ? value
+          .map((item) =>
+            item && item.original && item.alternative
+              ? `${item.original.name} → ${item.alternative.name}`
+              : formatValue(item)
+          )
+          .join(', ')
+      : 'none';
+  }
+  if (typeof value === 'object') {
+    return 'value' in value && 'unit' in value
+      ? `${value.value} ${value.unit}`
+      : JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Describes an action with its duration and condition
+ * @param {Object} action - The action
+ * @returns {string} The description
+ */
+const formatAction = (action) =>
+  describeStep(RecipeStep.fromJSON({ actions: [action] })).trim();
+
+/**
+ * Formats the change of an action: both descriptions, or the changed
+ * properties when the descriptions read the same (e.g. a new amount)
+ * @param {SequenceChange} change - The action change
+ * @returns {string} The formatted change
+ */
+const formatActionChange = ({ from, to, fields }) => {
+  const [before, after] = [formatAction(from), formatAction(to)];
+  if (before !== after) return `${before} → ${after}`;
+  const format = (value) =>
+    value && value.type === 'ingredient'
+      ? formatIngredient(value)
+      : formatValue(value && value.type ? value.name : value);
+  return `${before} (${fields
+    .map((field) => `${field}: ${format(from[field])} → ${format(to[field])}`)
+    .join('; ')})`;
+};
+
+/**
+ * Formats cues, adjustments or sensory checks for display
+ * @param {Object[]} notes - The notes
+ * @returns {string} The formatted notes
+ */
+const formatNotes = (notes) =>
+  notes
+    .map((note) => note.description || `${note.condition}: ${note.action}`)
+    .join(', ') || 'none';
+
+/**
+ * Formats step changes as lines
+ * @param {SequenceChange[]} changes - The step changes
+ * @param {string} indent - The indentation
+ * @param {function(number): string} label - Names a step by its index
+ * @returns {string[]} The lines
+ */
+const formatStepChanges = (changes, indent, label) =>
+  changes.flatMap((change) => {
+    if (change.op !== 'modify') {
+      const sign = change.op === 'insert' ? '+' : '-';
+      return [
+        `${indent}${sign} ${label(change.index)}: ${describeStep(
+          RecipeStep.fromJSON(change.value)
+        ).trim()}`,
+      ];
+    }
+    const inner = `${indent}    `;
+    return [
+      `${indent}~ ${label(change.newIndex)}:`,
+      ...change.actions.map((action) => {
+        if (action.op === 'modify') {
+          return `${inner}~ ${formatActionChange(action)}`;
+        }
+        const sign = action.op === 'insert' ? '+' : '-';
+        return `${inner}${sign} ${formatAction(action.value)}`;
+      }),
+      ...formatStepChanges(
+        change.threads,
+        inner,
+        (index) => `Meanwhile ${String.fromCharCode(97 + index)}`
+      ),
+      ...change.notes.map(
+        (note) =>
+          `${inner}~ ${note.field}: ${formatNotes(note.from)} → ${formatNotes(
+            note.to
+          )}`
+      ),
+    ];
+  });
+
+/**
+ * Renders a diff as text, one change per line: + added, - removed,
+ * ~ changed. Removed steps are numbered as in the old recipe, the others as
+ * in the new one.
+ * @param {RecipeDiff} diff - The diff
+ * @returns {string} The rendered diff
+ */
+const formatDiff = (diff) => {
+  const lines = [`--- ${diff.from}`, `+++ ${diff.to}`];
+  if (isEmpty(diff)) return [...lines, 'No changes'].join('\n') + '\n';
+
+  diff.metadata.forEach(({ field, from, to }) => {
+    lines.push(`~ ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+  });
+
+  [
+    ['Ingredients', diff.ingredients, formatIngredient],
+    ['Tools', diff.tools, (entity) => entity.name],
+    ['Appliances', diff.appliances, (entity) => entity.name],
+  ]
+    .filter(([, changes]) => changes.length > 0)
+    .forEach(([title, changes, format]) => {
+      lines.push(`${title}:`);
+      changes.forEach((change) => {
+        if (change.op === 'add') lines.push(`  + ${format(change.to)}`);
+        if (change.op === 'remove') lines.push(`  - ${format(change.from)}`);
+        if (change.op === 'change') {
+          lines.push(`  ~ ${format(change.from)} → ${format(change.to)}`);
+        }
+      });
+    });
+
+  if (diff.steps.length > 0) {
+    lines.push('Steps:');
+    lines.push(
+      ...formatStepChanges(diff.steps, '  ', (index) => `Step ${index + 1}`)
+    );
+  }
+  return lines.join('\n') + '\n';
+};
+
+export { diffRecipes, patchRecipe, formatDiff, isEmpty, canonical };
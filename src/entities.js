@@ -18,13 +18,18 @@ const createEntity =
   (name, properties = {}) => ({ type, name, ...properties });
 
 /**
- * Creates an Ingredient entity
+ * Creates an Ingredient entity. Besides arbitrary properties, ingredients
+ * commonly carry `amount`, `unit` and an optional `density` in grams per
+ * millilitre, which takes precedence over the density table when converting
+ * between volume and mass.
  * @type {function(string, Object): Entity}
  */
 const Ingredient = createEntity('ingredient');
 
 /**
- * Creates a Container entity
+ * Creates a Container entity. A container's `volume` is a Volume; a bare
+ * number is taken to be in litres. Its `geometry` describes the shape of a
+ * pan, see geometry.js.
  * @type {function(string, Object): Entity}
  */
 const Container = createEntity('container');
@@ -45,6 +45,7 @@ const ActionType = {
   REST: 'rest',
   EQUIPMENT_SETTING: 'equipmentSetting',
   PREHEAT: 'preheat',
+  INSTRUCTION: 'instruction',
 };
 
 /**
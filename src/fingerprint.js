@@ -0,0 +1,496 @@
+import crypto from 'node:crypto';
+import { gzipSync, gunzipSync } from 'node:zlib';
+
+import { Quantity } from './quantity.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * A hashed attribute of a recipe
+ * @typedef {Object} Feature
+ * @property {string} kind - What the attribute is, one of FEATURE_KINDS
+ * @property {string} value - The attribute, as hashed
+ */
+
+/**
+ * The options of Recipe#cook. Only the parameters of the chosen strategy are
+ * used.
+ * @typedef {Object} FingerprintOptions
+ * @property {string} [strategy='buckets'] - The strategy: 'buckets', 'minhash', 'simhash' or a registered one
+ * @property {number} [numBuckets=256] - The number of buckets of the 'buckets' strategy
+ * @property {number} [numHashes=128] - The number of hash functions of the 'minhash' strategy
+ * @property {number} [bits=64] - The length in bits of the 'simhash' strategy, a multiple of 8 up to 128
+ * @property {Object<string, number>} [weights] - The weight of every feature kind, 1 by default; 0 leaves a kind out
+ */
+
+/**
+ * What a fingerprint was computed with. Two fingerprints can only be
+ * compared if their descriptors are equal.
+ * @typedef {Object} FingerprintDescriptor
+ * @property {string} strategy - The strategy name
+ * @property {Object<string, number>} params - The strategy parameters
+ * @property {Object<string, number>} [weights] - The feature weights, for weighted strategies
+ */
+
+/**
+ * A decoded fingerprint
+ * @typedef {Object} Fingerprint
+ * @property {FingerprintDescriptor} descriptor - What it was computed with
+ * @property {number[]} values - The values compared by the strategy
+ */
+
+/**
+ * A way to fingerprint recipes
+ * @typedef {Object} FingerprintStrategy
+ * @property {Object<string, number>} defaults - The parameters and their default values
+ * @property {boolean} weighted - Whether the feature weights apply
+ * @property {function(Object<string, number>): void} [validate] - Throws if the parameters are invalid
+ * @property {function(Feature[], Object<string, number>, Object<string, number>): Buffer} compute - Computes the payload from the features, parameters and weights
+ * @property {function(Buffer, Object<string, number>): number[]} read - Reads the values back from the payload
+ * @property {function(number[], number[]): number} similarity - Computes the similarity of two value lists, between 0 and 1
+ */
+
+// -------------------- Features --------------------
+
+/**
+ * The kinds of features hashed by cook()
+ * @type {string[]}
+ */
+const FEATURE_KINDS = [
+  'ingredient',
+  'amount',
+  'action',
+  'container',
+  'temperature',
+  'duration',
+  'cue',
+  'sensory',
+];
+
+/**
+ * The weights used when none are given: every feature counts the same
+ * @type {Object<string, number>}
+ */
+const DEFAULT_WEIGHTS = Object.freeze(
+  Object.fromEntries(FEATURE_KINDS.map((kind) => [kind, 1]))
+);
+
+const HEADER = 'fp1 ';
+
+/**
+ * Lists the features of a step and of its parallel threads
+ * @param {RecipeStep} step - The step
+ * @param {Feature[]} features - The list to add them to
+ */
+const stepFeatures = (step, features) => {
+  const push = (kind, value) => {
+    if (value !== undefined && value !== null) {
+      features.push({ kind, value: value.toString() });
+    }
+  };
+  step.actions.forEach((action) => {
+    push('action', action.type);
+    if (action.ingredient) push('ingredient', action.ingredient.name);
+    if (action.container) push('container', action.container.name);
+    if (action.temperature) push('temperature', action.temperature.value);
+    if (action.duration) push('duration', action.duration.value);
+  });
+  step.cues.forEach((cue) => {
+    push('cue', cue.type);
+    push('cue', cue.description);
+  });
+  step.sensoryChecks.forEach((check) => {
+    push('sensory', check.type);
+    push('sensory', check.description);
+  });
+  step.threads.forEach((thread) => stepFeatures(thread, features));
+};
+
+/**
+ * Lists the attributes of a recipe that cook() hashes: the ingredients, and
+ * separately their amounts so that recipes with the same ingredients in
+ * other amounts stay similar, then the actions, cues and sensory checks of
+ * every step
+ * @param {Recipe} recipe - The recipe
+ * @returns {Feature[]} The features, in recipe order
+ */
+const extractFeatures = (recipe) => {
+  const features = [];
+  recipe.ingredients.forEach((ingredient) => {
+    features.push({ kind: 'ingredient', value: ingredient.name });
+    if (ingredient.amount !== undefined && ingredient.amount !== null) {
+      features.push({
+        kind: 'amount',
+        value: `${ingredient.name} ${Quantity.toKey(ingredient.amount)} ${
+          ingredient.unit || ''
+        }`.trim(),
+      });
+    }
+  });
+  recipe.steps.forEach((step) => stepFeatures(step, features));
+  return features;
+};
+
+/**
+ * Hashes a feature value with md5, ignoring case
+ * @param {string} value - The value
+ * @returns {Buffer} The 16-byte digest
+ */
+const digest = (value) =>
+  crypto.createHash('md5').update(value.toLowerCase()).digest();
+
+/**
+ * Scrambles a 32-bit integer (the MurmurHash3 finalizer)
+ * @param {number} h - The integer
+ * @returns {number} The scrambled, unsigned integer
+ */
+const fmix32 = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+/**
+ * Checks that a parameter is a positive integer
+ * @param {string} name - The parameter name
+ * @param {number} value - The value
+ * @throws {Error} If it is not
+ */
+const assertPositiveInteger = (name, value) => {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer, got ${value}`);
+  }
+};
+
+/**
+ * Compares bucket counts: 1 minus the bucket-by-bucket distance, normalized
+ * so that a difference of 16 in every bucket gives 0
+ * @param {number[]} a - The first counts
+ * @param {number[]} b - The second counts
+ * @returns {number} The similarity, at most 1
+ */
+const bucketSimilarity = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    distance += Math.abs(a[i] - b[i]);
+  }
+  return 1 - distance / (16 * a.length);
+};
+
+// -------------------- Strategies --------------------
+
+/** @type {Map<string, FingerprintStrategy>} */
+const strategies = new Map();
+
+/**
+ * Registers a fingerprint strategy, replacing any with the same name
+ * @param {string} name - The strategy name
+ * @param {FingerprintStrategy} strategy - The strategy
+ * @returns {FingerprintStrategy} The registered strategy
+ */
+const registerStrategy = (name, strategy) => {
+  strategies.set(name, { defaults: {}, weighted: false, ...strategy });
+  return strategies.get(name);
+};
+
+/**
+ * Lists the names of the registered strategies
+ * @returns {string[]} The strategy names
+ */
+const listStrategies = () => [...strategies.keys()];
+
+// Counts the weighted features falling into each of numBuckets md5 buckets.
+// Counts are stored on two bytes and saturate at 65535.
+registerStrategy('buckets', {
+  defaults: { numBuckets: 256 },
+  weighted: true,
+  validate: ({ numBuckets }) => assertPositiveInteger('numBuckets', numBuckets),
+  compute: (features, { numBuckets }, weights) => {
+    const buckets = new Array(numBuckets).fill(0);
+    features.forEach(({ kind, value }) => {
+      const index = digest(value).readUInt32BE(0) % numBuckets;
+      buckets[index] += weights[kind];
+    });
+    const payload = Buffer.alloc(numBuckets * 2);
+    buckets.forEach((count, i) =>
+      payload.writeUInt16BE(Math.min(65535, Math.round(count)), i * 2)
+    );
+    return payload;
+  },
+  read: (payload) =>
+    Array.from({ length: payload.length / 2 }, (_, i) =>
+      payload.readUInt16BE(i * 2)
+    ),
+  similarity: (a, b) => bucketSimilarity(a, b),
+});
+
+// Fingerprints written before strategies existed: one byte per bucket, with
+// no descriptor to tell which features went into them. They are read and
+// compared with each other only, never computed.
+registerStrategy('legacy-buckets', {
+  defaults: { numBuckets: 256 },
+  validate: ({ numBuckets }) => assertPositiveInteger('numBuckets', numBuckets),
+  compute: () => {
+    throw new Error(
+      'legacy-buckets fingerprints can only be read; cook with the buckets strategy'
+    );
+  },
+  read: (payload) => Array.from(payload),
+  similarity: (a, b) => bucketSimilarity(a, b),
+});
+
+// Keeps, for each of numHashes hash functions, the smallest hash of the
+// ingredient names. The share of equal minima estimates the Jaccard
+// similarity of the ingredient sets; amounts and steps are ignored.
+registerStrategy('minhash', {
+  defaults: { numHashes: 128 },
+  validate: ({ numHashes }) => assertPositiveInteger('numHashes', numHashes),
+  compute: (features, { numHashes }) => {
+    const bases = [
+      ...new Set(
+        features
+          .filter(({ kind }) => kind === 'ingredient')
+          .map(({ value }) => value.trim().replace(/\s+/g, ' ').toLowerCase())
+      ),
+    ].map((name) => digest(name).readUInt32BE(0));
+    const payload = Buffer.alloc(numHashes * 4);
+    for (let i = 0; i < numHashes; i += 1) {
+      const seed = Math.imul(i + 1, 0x9e3779b9);
+      const minimum = bases.reduce(
+        (min, base) => Math.min(min, fmix32(base ^ seed)),
+        0xffffffff
+      );
+      payload.writeUInt32BE(minimum, i * 4);
+    }
+    return payload;
+  },
+  read: (payload) =>
+    Array.from({ length: payload.length / 4 }, (_, i) =>
+      payload.readUInt32BE(i * 4)
+    ),
+  similarity: (a, b) =>
+    a.filter((value, i) => value === b[i]).length / a.length,
+});
+
+// Sums the md5 bits of the features, +weight for a 1 and -weight for a 0,
+// and keeps the sign of every sum. Heavier features pull more bits their
+// way; the share of equal bits is the similarity.
+registerStrategy('simhash', {
+  defaults: { bits: 64 },
+  weighted: true,
+  validate: ({ bits }) => {
+    if (!Number.isInteger(bits) || bits < 8 || bits > 128 || bits % 8 !== 0) {
+      throw new Error(`bits must be a multiple of 8 up to 128, got ${bits}`);
+    }
+  },
+  compute: (features, { bits }, weights) => {
+    const sums = new Array(bits).fill(0);
+    features.forEach(({ kind, value }) => {
+      const hash = digest(value);
+      for (let i = 0; i < bits; i += 1) {
+        const bit = (hash[i >> 3] >> (7 - (i & 7))) & 1;
+        sums[i] += bit ? weights[kind] : -weights[kind];
+      }
+    });
+    const payload = Buffer.alloc(bits / 8);
+    sums.forEach((sum, i) => {
+      if (sum > 0) payload[i >> 3] |= 1 << (7 - (i & 7));
+    });
+    return payload;
+  },
+  read: (payload) =>
+    Array.from(payload).flatMap((byte) =>
+      Array.from({ length: 8 }, (_, i) => (byte >> (7 - i)) & 1)
+    ),
+  similarity: (a, b) =>
+    a.filter((value, i) => value === b[i]).length / a.length,
+});
+
+// -------------------- Fingerprints --------------------
+
+/**
+ * Resolves cook() options into the descriptor of the fingerprint they give
+ * @param {FingerprintOptions|number} [options={}] - The options, or a number of buckets
+ * @returns {FingerprintDescriptor} The descriptor
+ * @throws {Error} If the strategy is unknown, or a parameter or weight is invalid
+ */
+const resolveFingerprint = (options = {}) => {
+  const {
+    strategy: name = 'buckets',
+    weights,
+    ...rest
+  } = typeof options === 'number' ? { numBuckets: options } : options;
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(
+      `Unknown fingerprint strategy: ${name}; expected one of ${listStrategies().join(
+        ', '
+      )}`
+    );
+  }
+  const params = Object.fromEntries(
+    Object.entries(strategy.defaults).map(([key, value]) => [
+      key,
+      rest[key] ?? value,
+    ])
+  );
+  if (strategy.validate) strategy.validate(params);
+  if (!strategy.weighted) {
+    if (weights) {
+      throw new Error(`The ${name} strategy does not take weights`);
+    }
+    return { strategy: name, params };
+  }
+  Object.entries(weights || {}).forEach(([kind, weight]) => {
+    if (!FEATURE_KINDS.includes(kind)) {
+      throw new Error(
+        `Unknown feature kind: ${kind}; expected one of ${FEATURE_KINDS.join(
+          ', '
+        )}`
+      );
+    }
+    if (!(Number.isFinite(weight) && weight >= 0)) {
+      throw new Error(`Weight of ${kind} must be a non-negative number`);
+    }
+  });
+  return {
+    strategy: name,
+    params,
+    weights: { ...DEFAULT_WEIGHTS, ...weights },
+  };
+};
+
+/**
+ * Computes the fingerprint of a recipe: the strategy payload, prefixed with
+ * its descriptor, gzipped and base64-encoded
+ * @param {Recipe} recipe - The recipe
+ * @param {FingerprintOptions|number} [options={}] - The options, or a number of buckets
+ * @returns {string} The fingerprint
+ */
+const computeFingerprint = (recipe, options = {}) => {
+  const descriptor = resolveFingerprint(options);
+  const { compute } = strategies.get(descriptor.strategy);
+  const payload = compute(
+    extractFeatures(recipe),
+    descriptor.params,
+    descriptor.weights
+  );
+  return gzipSync(
+    Buffer.concat([
+      Buffer.from(`${HEADER}${JSON.stringify(descriptor)}\n`),
+      payload,
+    ])
+  ).toString('base64');
+};
+
+/**
+ * Decodes a fingerprint written by Recipe#cook. Fingerprints written before
+ * strategies existed have no descriptor; they are read as 'legacy-buckets',
+ * one byte per bucket, which only compare with each other.
+ * @param {string} hash - The gzipped, base64-encoded fingerprint
+ * @returns {Fingerprint} The descriptor and values of the fingerprint
+ * @throws {Error} If the hash cannot be decompressed or its strategy is unknown
+ */
+const decodeFingerprint = (hash) => {
+  let data;
+  try {
+    data = gunzipSync(Buffer.from(hash, 'base64'));
+  } catch (error) {
+    throw new Error('Invalid hash format: unable to decompress');
+  }
+  if (data.subarray(0, HEADER.length).toString() !== HEADER) {
+    return {
+      descriptor: resolveFingerprint({
+        strategy: 'legacy-buckets',
+        numBuckets: data.length,
+      }),
+      values: Array.from(data),
+    };
+  }
+  const end = data.indexOf('\n');
+  const descriptor = JSON.parse(data.subarray(HEADER.length, end).toString());
+  const strategy = strategies.get(descriptor.strategy);
+  if (!strategy) {
+    throw new Error(`Unknown fingerprint strategy: ${descriptor.strategy}`);
+  }
+  return {
+    descriptor,
+    values: strategy.read(data.subarray(end + 1), descriptor.params),
+  };
+};
+
+/**
+ * Describes a fingerprint descriptor for error messages, e.g.
+ * "buckets (numBuckets 256)" or "simhash (bits 64, weights ingredient 3)"
+ * @param {FingerprintDescriptor} descriptor - The descriptor
+ * @returns {string} The description
+ */
+const describeFingerprint = ({ strategy, params, weights }) => {
+  const details = Object.entries(params).map(
+    ([key, value]) => `${key} ${value}`
+  );
+  const custom = Object.entries(weights || {}).filter(
+    ([kind, weight]) => DEFAULT_WEIGHTS[kind] !== weight
+  );
+  if (custom.length > 0) {
+    details.push(
+      `weights ${custom
+        .map(([kind, weight]) => `${kind} ${weight}`)
+        .join(', ')}`
+    );
+  }
+  return `${strategy} (${details.join(', ')})`;
+};
+
+/**
+ * Tells whether two fingerprints were computed the same way
+ * @param {FingerprintDescriptor} a - The first descriptor
+ * @param {FingerprintDescriptor} b - The second descriptor
+ * @returns {boolean} True if they can be compared
+ */
+const isCompatible = (a, b) =>
+  a.strategy === b.strategy &&
+  FEATURE_KINDS.every(
+    (kind) => (a.weights || {})[kind] === (b.weights || {})[kind]
+  ) &&
+  Object.keys({ ...a.params, ...b.params }).every(
+    (key) => a.params[key] === b.params[key]
+  );
+
+/**
+ * Computes the similarity of two fingerprints with their strategy
+ * @param {Fingerprint|string} a - The first fingerprint, decoded or not
+ * @param {Fingerprint|string} b - The second fingerprint, decoded or not
+ * @returns {number} The similarity, from 0 to 1 for identical fingerprints
+ * @throws {Error} If the fingerprints were computed with other strategies, parameters or weights
+ */
+const fingerprintSimilarity = (a, b) => {
+  const first = typeof a === 'string' ? decodeFingerprint(a) : a;
+  const second = typeof b === 'string' ? decodeFingerprint(b) : b;
+  if (!isCompatible(first.descriptor, second.descriptor)) {
+    throw new Error(
+      `Cannot compare a ${describeFingerprint(
+        first.descriptor
+      )} fingerprint with a ${describeFingerprint(second.descriptor)} one`
+    );
+  }
+  const { similarity } = strategies.get(first.descriptor.strategy);
+  return Math.max(0, similarity(first.values, second.values));
+};
+
+export {
+  FEATURE_KINDS,
+  DEFAULT_WEIGHTS,
+  extractFeatures,
+  registerStrategy,
+  listStrategies,
+  resolveFingerprint,
+  computeFingerprint,
+  decodeFingerprint,
+  describeFingerprint,
+  isCompatible,
+  fingerprintSimilarity,
+};
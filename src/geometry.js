@@ -0,0 +1,212 @@
+import { Duration } from './measurement.js';
+import unitConverter from './unitConverter.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * The shape and size of a pan or tin, set as a container's `geometry`
+ * @typedef {Object} Geometry
+ * @property {string} shape - 'round', 'square' or 'rectangular'
+ * @property {number} [diameter] - The diameter of a round pan
+ * @property {number} [side] - The side of a square pan
+ * @property {number} [width] - The short side of a rectangular pan
+ * @property {number} [length] - The long side of a rectangular pan
+ * @property {number} [depth] - The depth of the pan
+ * @property {string} unit - The length unit of the dimensions, e.g. 'cm' or 'in'
+ */
+
+/**
+ * @typedef {Object} ContainerComparison
+ * @property {number} ratio - How many times as much the new container holds
+ * @property {string} basis - 'area' when both containers have a geometry, 'volume' otherwise
+ * @property {number} bakeTimeFactor - What bake durations are multiplied by
+ */
+
+// -------------------- Geometry Creators --------------------
+
+/**
+ * Creates the geometry of a round pan
+ * @param {number} diameter - The diameter
+ * @param {Object} [options={}] - The other dimensions
+ * @param {number} [options.depth] - The depth
+ * @param {string} [options.unit='cm'] - The length unit
+ * @returns {Geometry}
+ */
+const round = (diameter, { depth, unit = 'cm' } = {}) => ({
+  shape: 'round',
+  diameter,
+  ...(depth !== undefined && { depth }),
+  unit,
+});
+
+/**
+ * Creates the geometry of a square pan
+ * @param {number} side - The side
+ * @param {Object} [options={}] - The other dimensions
+ * @param {number} [options.depth] - The depth
+ * @param {string} [options.unit='cm'] - The length unit
+ * @returns {Geometry}
+ */
+const square = (side, { depth, unit = 'cm' } = {}) => ({
+  shape: 'square',
+  side,
+  ...(depth !== undefined && { depth }),
+  unit,
+});
+
+/**
+ * Creates the geometry of a rectangular pan, e.g. rectangular(23, 33)
+ * @param {number} width - One side
+ * @param {number} length - The other side
+ * @param {Object} [options={}] - The other dimensions
+ * @param {number} [options.depth] - The depth
+ * @param {string} [options.unit='cm'] - The length unit
+ * @returns {Geometry}
+ */
+const rectangular = (width, length, { depth, unit = 'cm' } = {}) => ({
+  shape: 'rectangular',
+  width: Math.min(width, length),
+  length: Math.max(width, length),
+  ...(depth !== undefined && { depth }),
+  unit,
+});
+
+// -------------------- Measuring --------------------
+
+/**
+ * Converts a length of a geometry to centimetres
+ * @param {Geometry} geometry - The geometry
+ * @param {number} value - The length in the geometry's unit
+ * @returns {number} The length in centimetres
+ */
+const toCentimetres = (geometry, value) =>
+  unitConverter.convert(value, geometry.unit || 'cm', 'cm');
+
+/**
+ * Returns the base area of a container
+ * @param {Entity} container - The container
+ * @returns {number|null} The area in square centimetres, or null if the container has no geometry
+ * @throws {Error} If the geometry has an unknown shape
+ */
+const areaOf = (container) => {
+  const { geometry } = container;
+  if (!geometry) return null;
+  const cm = (value) => toCentimetres(geometry, value);
+  switch (geometry.shape) {
+    case 'round':
+      return Math.PI * (cm(geometry.diameter) / 2) ** 2;
+    case 'square':
+      return cm(geometry.side) ** 2;
+    case 'rectangular':
+      return cm(geometry.width) * cm(geometry.length);
+    default:
+      throw new Error(
+        `Unknown shape ${geometry.shape} of container ${container.name}`
+      );
+  }
+};
+
+/**
+ * Returns the volume of a container: its `volume` property (a Volume, or a
+ * number of litres) or else the area of its geometry times its depth
+ * @param {Entity} container - The container
+ * @returns {number|null} The volume in millilitres, or null if it cannot be worked out
+ */
+const volumeOf = (container) => {
+  const { volume, geometry } = container;
+  if (volume !== undefined && volume !== null) {
+    return typeof volume === 'number'
+      ? volume * 1000
+      : unitConverter.convert(volume.value, volume.unit, 'ml');
+  }
+  if (geometry && geometry.depth !== undefined) {
+    // 1 cm³ is 1 ml
+    return areaOf(container) * toCentimetres(geometry, geometry.depth);
+  }
+  return null;
+};
+
+/**
+ * Returns how far the heat has to travel from the side of a pan to its
+ * middle: the radius of a round pan and half the short side of the others
+ * @param {Entity} container - The container
+ * @returns {number|null} The distance in centimetres, or null if the container has no geometry
+ */
+const reachOf = (container) => {
+  const { geometry } = container;
+  if (!geometry) return null;
+  const side = {
+    round: geometry.diameter,
+    square: geometry.side,
+    rectangular: geometry.width,
+  }[geometry.shape];
+  return side === undefined ? null : toCentimetres(geometry, side) / 2;
+};
+
+/**
+ * Compares two containers to adapt a recipe from one to the other.
+ *
+ * The amounts follow the base area when both containers have a geometry,
+ * so the batter keeps its depth, and the volume otherwise.
+ *
+ * Bake durations follow the square root of the pan's reach, the distance
+ * from its side to its middle: with the batter depth unchanged, a wider pan
+ * takes only a little longer, since most heat still comes from below and
+ * above. Moving from a 20 cm round tin (reach 10 cm) to a 23×33 cm pan
+ * (reach 11.5 cm) multiplies bake times by √1.15 ≈ 1.07. Containers without
+ * a geometry are taken to keep their proportions, so their reach follows
+ * the cube root of the volume ratio.
+ * @param {Entity} from - The container the recipe was written for
+ * @param {Entity} to - The container to use instead
+ * @returns {ContainerComparison}
+ * @throws {Error} If the containers have neither geometries nor volumes
+ */
+const compareContainers = (from, to) => {
+  const [fromArea, toArea] = [areaOf(from), areaOf(to)];
+  if (fromArea && toArea) {
+    return {
+      ratio: toArea / fromArea,
+      basis: 'area',
+      bakeTimeFactor: Math.sqrt(reachOf(to) / reachOf(from)),
+    };
+  }
+
+  const [fromVolume, toVolume] = [volumeOf(from), volumeOf(to)];
+  if (fromVolume && toVolume) {
+    const ratio = toVolume / fromVolume;
+    return {
+      ratio,
+      basis: 'volume',
+      bakeTimeFactor: Math.sqrt(Math.cbrt(ratio)),
+    };
+  }
+
+  throw new Error(
+    `Cannot adapt ${from.name} to ${to.name}: both need a geometry or a volume`
+  );
+};
+
+/**
+ * Multiplies a bake duration, rounding to whole units from 5 up and to half
+ * units below
+ * @param {Duration} duration - The duration
+ * @param {number} factor - The factor
+ * @returns {Duration} The new duration
+ */
+const scaleBakeDuration = (duration, factor) => {
+  const value = duration.value * factor;
+  return Duration(
+    value >= 5 ? Math.round(value) : Math.round(value * 2) / 2,
+    duration.unit
+  );
+};
+
+export {
+  round,
+  square,
+  rectangular,
+  areaOf,
+  volumeOf,
+  compareContainers,
+  scaleBakeDuration,
+};
@@ -1,8 +1,49 @@
 import * as Entities from './entities.js';
 import * as Measurement from './measurement.js';
 import * as Enums from './enums.js';
+import * as Densities from './densities.js';
+import * as Timeline from './timeline.js';
+import * as Validation from './validation.js';
+import * as Serialization from './serialization.js';
+import * as IngredientParser from './ingredientParser.js';
+import * as Nutrition from './nutrition.js';
+import * as Diet from './diet.js';
+import * as Scaling from './scaling.js';
+import * as Geometry from './geometry.js';
+import * as Substitutions from './substitutions.js';
+import * as Diff from './diff.js';
+import * as Fingerprint from './fingerprint.js';
+import * as ShoppingList from './shoppingList.js';
 import RecipeStep from './RecipeStep.js';
 import Recipe from './Recipe.js';
+import CookingSession from './CookingSession.js';
+import RecipeIndex from './RecipeIndex.js';
+import Cookbook from './Cookbook.js';
 import unitConverter from './unitConverter.js';
+import { Quantity } from './quantity.js';
 
-export { Entities, Measurement, Enums, RecipeStep, Recipe, unitConverter };
+export {
+  Entities,
+  Measurement,
+  Enums,
+  Densities,
+  Timeline,
+  Validation,
+  Serialization,
+  IngredientParser,
+  Nutrition,
+  Diet,
+  Scaling,
+  Geometry,
+  Substitutions,
+  Diff,
+  Fingerprint,
+  ShoppingList,
+  RecipeStep,
+  Recipe,
+  CookingSession,
+  RecipeIndex,
+  Cookbook,
+  unitConverter,
+  Quantity,
+};
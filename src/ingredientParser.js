@@ -0,0 +1,387 @@
+import { Ingredient } from './entities.js';
+import RecipeStep from './RecipeStep.js';
+import unitConverter from './unitConverter.js';
+import { Quantity } from './quantity.js';
+import { escapeRegExp } from './names.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} UnparsedLine
+ * @property {string} line - The line as given
+ * @property {number} lineNumber - The 1-based number of the line
+ * @property {string} reason - Why the line could not be parsed
+ */
+
+/**
+ * @typedef {Object} IngredientListResult
+ * @property {Entity[]} ingredients - The parsed ingredients, in order
+ * @property {UnparsedLine[]} unparsed - The lines that could not be parsed
+ */
+
+// -------------------- Vocabulary --------------------
+
+/**
+ * Amounts written as words
+ */
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  half: '1/2',
+};
+
+/**
+ * Units that count things in a kitchen but do not convert to anything
+ * else, so they are not registered with the unit converter
+ */
+const KITCHEN_UNITS = [
+  'bag',
+  'bottle',
+  'box',
+  'bunch',
+  'can',
+  'clove',
+  'container',
+  'cube',
+  'ear',
+  'fillet',
+  'handful',
+  'head',
+  'jar',
+  'knob',
+  'leaf',
+  'leaves',
+  'loaf',
+  'package',
+  'packet',
+  'pack',
+  'rasher',
+  'sheet',
+  'slice',
+  'sprig',
+  'stalk',
+  'stick',
+  'tin',
+];
+
+/**
+ * Abbreviations that mean a different unit in ingredient lists than in the
+ * unit converter, where C is Celsius
+ */
+const UNIT_ALIASES = { C: 'cup', c: 'cup' };
+
+/**
+ * Dimensions of the converter units an ingredient can be measured in
+ */
+const INGREDIENT_DIMENSIONS = ['volume', 'mass', 'count'];
+
+/**
+ * Words describing the size of the counted item or of the measure
+ */
+const SIZE_WORDS = [
+  'extra-large',
+  'extra large',
+  'small',
+  'medium',
+  'large',
+  'jumbo',
+  'heaping',
+  'heaped',
+  'level',
+  'scant',
+  'generous',
+];
+
+/**
+ * Preparation participles recognized before the ingredient name, as in
+ * "1 cup finely chopped onion"
+ */
+const PREPARATION_WORDS = [
+  'beaten',
+  'chopped',
+  'crumbled',
+  'crushed',
+  'cubed',
+  'diced',
+  'drained',
+  'grated',
+  'halved',
+  'julienned',
+  'mashed',
+  'melted',
+  'minced',
+  'peeled',
+  'quartered',
+  'rinsed',
+  'shredded',
+  'sifted',
+  'sliced',
+  'softened',
+  'toasted',
+  'whisked',
+  'zested',
+];
+
+/**
+ * Notes that qualify the amount rather than describe a preparation
+ */
+const NOTE_PATTERN =
+  /^(?:(?:or more |plus more )?to taste|optional|as needed|if needed|divided|for (?:garnish|serving|decoration|dusting|greasing)|at room temperature|room temperature)$/i;
+
+// -------------------- Parsing Helpers --------------------
+
+/**
+ * An amount or a range of amounts at the start of a line
+ */
+const AMOUNT_PATTERN = new RegExp(
+  `^(${Quantity.NUMBER_PATTERN}|${Object.keys(NUMBER_WORDS).join('|')})` +
+    `(?:\\s*(?:-|–|—|to|or)\\s*(${Quantity.NUMBER_PATTERN}))?(?=\\s|$)`,
+  'i'
+);
+
+/**
+ * Notes that stand for the amount of an ingredient listed without one, as
+ * in "salt, to taste"
+ */
+const TEXT_AMOUNT_PATTERN =
+  /^(?:(?:or more |plus more )?to taste|optional|as needed)$/i;
+
+/**
+ * Parses a number such as 2, 1.5, 1,5, 3/4, 1 1/2 or a number word
+ * @param {string} text - The number
+ * @returns {Quantity} The value
+ */
+const parseNumber = (text) => {
+  const word = NUMBER_WORDS[text.toLowerCase()];
+  return Quantity.parse(word !== undefined ? word : text);
+};
+
+/**
+ * Matches a unit at the start of the text, preferring longer units such as
+ * "fl oz" over "fl"
+ * @param {string} text - The text after the amount
+ * @returns {{unit: string, rest: string}|null} The unit as written and the remaining text
+ */
+const matchUnit = (text) => {
+  const words = text.split(/\s+/);
+  for (let length = Math.min(2, words.length); length >= 1; length -= 1) {
+    const unit = words.slice(0, length).join(' ').replace(/\.$/, '');
+    const known = unitConverter.getUnit(UNIT_ALIASES[unit] || unit);
+    const singular = unit.toLowerCase();
+    const isIngredientUnit = known
+      ? INGREDIENT_DIMENSIONS.includes(known.dimension)
+      : [
+          singular,
+          singular.replace(/s$/, ''),
+          singular.replace(/es$/, ''),
+        ].some((candidate) => KITCHEN_UNITS.includes(candidate));
+    if (isIngredientUnit) {
+      return {
+        unit: UNIT_ALIASES[unit] || unit,
+        rest: words
+          .slice(length)
+          .join(' ')
+          .replace(/^of\s+/i, ''),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Removes a size word from the start of the text
+ * @param {string} text - The text
+ * @returns {{size: (string|undefined), rest: string}} The size word and the remaining text
+ */
+const matchSize = (text) => {
+  const size = SIZE_WORDS.find((word) =>
+    new RegExp(`^${escapeRegExp(word)}\\b`, 'i').test(text)
+  );
+  return size
+    ? { size: size.toLowerCase(), rest: text.slice(size.length).trim() }
+    : { size: undefined, rest: text };
+};
+
+/**
+ * Removes leading preparation words, as in "finely chopped onion"
+ * @param {string} text - The ingredient name and anything before it
+ * @returns {{preparation: (string|undefined), rest: string}} The preparation and the remaining text
+ */
+const matchLeadingPreparation = (text) => {
+  const match = new RegExp(
+    `^((?:(?:finely|thinly|roughly|coarsely|freshly|lightly)\\s+)?(?:${PREPARATION_WORDS.join(
+      '|'
+    )}))\\s+(.+)$`,
+    'i'
+  ).exec(text);
+  return match
+    ? { preparation: match[1].toLowerCase(), rest: match[2] }
+    : { preparation: undefined, rest: text };
+};
+
+// -------------------- Parsing --------------------
+
+/**
+ * Parses a pasted ingredient line such as "2 1/2 cups all-purpose flour,
+ * sifted", "1-2 tsp salt (to taste)" or "3 large eggs" into an Ingredient.
+ * The amount is a Quantity: a range for "1-2 tsp", and text such as "to
+ * taste" for "salt, to taste". Besides `amount` and `unit`, the ingredient
+ * may carry `size`, `preparation` and `note`.
+ * @param {string} line - The ingredient line
+ * @returns {Entity} The ingredient
+ * @throws {Error} If the line has no ingredient name or is a section heading
+ */
+const parseIngredientLine = (line) => {
+  let text = Quantity.expandFractions(line)
+    .replace(/^\s*(?:[-*•·]|\d+\.)\s+/, '')
+    .replace(/\s+/g, ' ')
+    // "500g flour" is "500 g flour"
+    .replace(/^(\d+(?:[.,]\d+)?)(?=\p{L})/u, '$1 ')
+    .trim();
+
+  if (/:$/.test(text)) {
+    throw new Error(`Cannot parse ingredient line "${line}": it is a heading`);
+  }
+
+  const notes = [];
+  text = text
+    .replace(/\(([^)]*)\)/g, (match, note) => {
+      notes.push(note.trim());
+      return ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const properties = {};
+  const amount = AMOUNT_PATTERN.exec(text);
+  if (amount) {
+    properties.amount = amount[2]
+      ? Quantity.range(parseNumber(amount[1]), parseNumber(amount[2]))
+      : parseNumber(amount[1]);
+    text = text.slice(amount[0].length).trim();
+  }
+
+  let size = matchSize(text);
+  text = size.rest;
+  const unit = amount && matchUnit(text);
+  if (unit) {
+    properties.unit = unit.unit;
+    text = unit.rest;
+  }
+  if (!size.size) {
+    size = matchSize(text);
+    text = size.rest;
+  }
+  if (size.size) properties.size = size.size;
+
+  // Anything after the first comma is a preparation or a note
+  const [head, ...tail] = text.split(',').map((part) => part.trim());
+  const trailing = tail.filter(Boolean);
+  const leading = matchLeadingPreparation(head);
+
+  // "salt to taste", "parsley for garnish"
+  const inlineNote =
+    /^(.*?)\s+((?:or more |plus more )?to taste|for (?:garnish|serving|decoration))$/i.exec(
+      leading.rest
+    );
+  const name = (inlineNote ? inlineNote[1] : leading.rest).trim();
+  if (inlineNote) notes.push(inlineNote[2]);
+
+  if (!/\p{L}/u.test(name)) {
+    throw new Error(
+      `Cannot parse ingredient line "${line}": it has no ingredient name`
+    );
+  }
+
+  const preparations = [leading.preparation].filter(Boolean);
+  trailing.forEach((part) => {
+    if (NOTE_PATTERN.test(part)) notes.push(part);
+    else preparations.push(part);
+  });
+  if (preparations.length > 0) properties.preparation = preparations.join(', ');
+
+  // "salt, to taste" has the amount "to taste"
+  const textAmount =
+    !amount && notes.find((note) => TEXT_AMOUNT_PATTERN.test(note));
+  if (textAmount) {
+    properties.amount = Quantity.text(textAmount);
+    notes.splice(notes.indexOf(textAmount), 1);
+  }
+  if (notes.length > 0) properties.note = notes.join('; ');
+
+  return Ingredient(name, properties);
+};
+
+/**
+ * Parses an ingredient line, falling back to an ingredient named after the
+ * whole line when it cannot be parsed; for importers that must keep every
+ * line
+ * @param {string} line - The ingredient line
+ * @returns {Entity} The ingredient
+ */
+const parseIngredientOrName = (line) => {
+  try {
+    return parseIngredientLine(line);
+  } catch (error) {
+    return Ingredient(String(line).trim());
+  }
+};
+
+/**
+ * Parses a pasted ingredient list, one ingredient per line. Blank lines are
+ * skipped; lines that cannot be parsed are reported instead of throwing.
+ * @param {string|string[]} lines - The list, as text or as lines
+ * @returns {IngredientListResult}
+ */
+const parseIngredientList = (lines) => {
+  const result = { ingredients: [], unparsed: [] };
+  (Array.isArray(lines) ? lines : String(lines).split(/\r?\n/)).forEach(
+    (line, index) => {
+      if (!line.trim()) return;
+      try {
+        result.ingredients.push(parseIngredientLine(line));
+      } catch (error) {
+        result.unparsed.push({
+          line,
+          lineNumber: index + 1,
+          reason: error.message,
+        });
+      }
+    }
+  );
+  return result;
+};
+
+/**
+ * Creates a step with one PREPARE action per ingredient that has a
+ * preparation, e.g. "sifted" for "2 cups flour, sifted"
+ * @param {Entity[]} ingredients - The parsed ingredients
+ * @returns {RecipeStep} The preparation step
+ */
+const createPreparationStep = (ingredients) =>
+  ingredients
+    .filter((ingredient) => ingredient.preparation)
+    .reduce(
+      (step, ingredient) =>
+        step.add(ingredient).prepare(ingredient.preparation),
+      new RecipeStep()
+    );
+
+export {
+  parseIngredientLine,
+  parseIngredientOrName,
+  parseIngredientList,
+  createPreparationStep,
+};
@@ -0,0 +1,387 @@
+import { ActionType, StoveHeat } from './enums.js';
+import { Container, Ingredient, Appliance } from './entities.js';
+import { Duration, Temperature } from './measurement.js';
+import RecipeStep from './RecipeStep.js';
+import { Quantity } from './quantity.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} EntityResolver
+ * @property {function(string): Entity} ingredient - Finds or creates an ingredient by name
+ * @property {function(string): Entity} container - Finds or creates a container by name
+ * @property {function(string): Entity} appliance - Finds or creates an appliance by name
+ * @property {Object<string, Entity[]>} created - The entities created because no known one matched, by kind
+ */
+
+// -------------------- Rendering --------------------
+
+/**
+ * Returns the display name of an entity, or the value itself for plain strings
+ * @param {Entity|string} entity - The entity
+ * @returns {string} The name
+ */
+const nameOf = (entity) =>
+  entity && typeof entity === 'object' ? entity.name : entity;
+
+/**
+ * Formats a temperature, e.g. 180C or 3level
+ * @param {Temperature|string} temperature - The temperature
+ * @returns {string} The formatted temperature
+ */
+const formatTemperature = (temperature) =>
+  typeof temperature === 'string'
+    ? temperature
+    : `${temperature.value}${temperature.unit}`;
+
+/**
+ * Formats an ingredient the way ingredient lines are written, e.g. "1 ½ cup
+ * Flour", "2–3 large Eggs, beaten (at room temperature)" or "Salt, to
+ * taste", leaving out whatever it lacks
+ * @param {Entity} ingredient - The ingredient
+ * @returns {string} The formatted ingredient
+ */
+const formatIngredient = (ingredient) => {
+  const present = (part) => part !== undefined && part !== null && part !== '';
+  const amount = present(ingredient.amount)
+    ? Quantity.format(ingredient.amount)
+    : undefined;
+  // Amounts in words follow the name: "Salt, to taste"
+  const inWords = Quantity.isText(ingredient.amount);
+  let text = [inWords ? undefined : amount, ingredient.unit, ingredient.size]
+    .concat(ingredient.name)
+    .filter(present)
+    .join(' ');
+  if (present(ingredient.preparation)) text += `, ${ingredient.preparation}`;
+  if (inWords && present(amount)) text += `, ${amount}`;
+  if (present(ingredient.note)) text += ` (${ingredient.note})`;
+  return text;
+};
+
+/**
+ * Describes a single action as a sentence
+ * @param {Object} action - The action to describe
+ * @returns {string} The sentence, followed by a space
+ */
+const describeAction = (action) => {
+  switch (action.type) {
+    case ActionType.ADD:
+      return `Add ${action.ingredient.name} to ${action.container.name}. `;
+    case ActionType.MIX:
+      return action.container
+        ? `Mix ingredients in ${action.container.name}. `
+        : 'Mix ingredients. ';
+    case ActionType.HEAT:
+      if (action.targetTemperature) {
+        return `Cook to internal temperature of ${formatTemperature(
+          action.targetTemperature
+        )}. `;
+      }
+      return action.container
+        ? `Heat ${action.container.name} to ${formatTemperature(
+            action.temperature
+          )}. `
+        : `Heat to ${formatTemperature(action.temperature)}. `;
+    case ActionType.TRANSFER:
+      return action.from
+        ? `Transfer ingredients from ${action.from.name} to ${action.to.name}. `
+        : `Transfer ingredients to ${action.to.name}. `;
+    case ActionType.PREPARE:
+      return action.ingredient
+        ? `${action.technique} ${action.ingredient.name}. `
+        : `${action.technique}. `;
+    case ActionType.REST:
+      return `Let it rest. `;
+    case ActionType.EQUIPMENT_SETTING:
+      if (action.method) {
+        return `Set up ${nameOf(action.equipment)} to ${formatTemperature(
+          action.temperature
+        )} for ${action.method} cooking. `;
+      }
+      return `Set ${nameOf(action.equipment)} to ${action.setting}. `;
+    case ActionType.PREHEAT:
+      return `Preheat ${action.appliance.name} to ${formatTemperature(
+        action.temperature
+      )}. `;
+    case ActionType.INSTRUCTION:
+      return `${action.text}. `;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Describes the cues, adjustments and sensory checks of a step as sentences
+ * @param {RecipeStep} step - The step to describe
+ * @returns {string} The sentences, each followed by a space
+ */
+const describeNotes = (step) => {
+  let text = '';
+  step.cues.forEach((cue) => {
+    text += `Look for ${cue.description} (${cue.type}). `;
+  });
+  step.adjustments.forEach((adj) => {
+    text += `If ${adj.condition}, then ${adj.action}. `;
+  });
+  step.sensoryChecks.forEach((check) => {
+    text += `${check.description} (${check.type}). If needed, ${check.adjustment}. `;
+  });
+  return text;
+};
+
+/**
+ * Describes the main thread of a step as sentences: every action with its
+ * duration and condition, then the step's cues, adjustments and sensory
+ * checks. Parallel threads are described separately.
+ * @param {RecipeStep} step - The step to describe
+ * @returns {string} The sentences, each followed by a space
+ */
+const describeStep = (step) => {
+  let text = '';
+  step.actions.forEach((action) => {
+    text += describeAction(action);
+    if (action.duration) {
+      text += `Do this for ${Duration.format(action.duration)}. `;
+    }
+    if (action.condition) {
+      text += `Continue until ${action.condition}. `;
+    }
+  });
+  return text + describeNotes(step);
+};
+
+// -------------------- Parsing --------------------
+
+/**
+ * Creates a resolver that matches entity names case-insensitively against
+ * known entities and creates the missing ones
+ * @param {Object} [known={}] - The known entities
+ * @param {Entity[]} [known.ingredients=[]] - The known ingredients
+ * @param {Entity[]} [known.containers=[]] - The known containers
+ * @param {Entity[]} [known.appliances=[]] - The known appliances
+ * @param {Object} [options={}] - The resolver options
+ * @param {string[]} [options.strict=[]] - Kinds ('ingredients', 'containers' or 'appliances') that resolve only known entities; unknown names resolve to null
+ * @returns {EntityResolver}
+ */
+const createEntityResolver = (
+  { ingredients = [], containers = [], appliances = [] } = {},
+  { strict = [] } = {}
+) => {
+  const created = { ingredients: [], containers: [], appliances: [] };
+  const lookup = (list, kind, factory) => (name) => {
+    const key = name.trim().toLowerCase();
+    const match = [...list, ...created[kind]].find(
+      (entity) => entity.name.toLowerCase() === key
+    );
+    if (match) return match;
+    if (strict.includes(kind)) return null;
+    const entity = factory(name.trim());
+    created[kind].push(entity);
+    return entity;
+  };
+  return {
+    ingredient: lookup(ingredients, 'ingredients', Ingredient),
+    container: lookup(containers, 'containers', Container),
+    appliance: lookup(appliances, 'appliances', Appliance),
+    created,
+  };
+};
+
+/**
+ * Parses a temperature such as 180C, 350 F or 3level
+ * @param {string} text - The text to parse
+ * @returns {Temperature|string} The temperature, or the text if it has no number
+ */
+const parseTemperature = (text) => {
+  const match = /^(-?\d+(?:\.\d+)?)\s*(.+)$/.exec(text.trim());
+  if (!match) return text.trim();
+  const value = parseFloat(match[1]);
+  const unit = match[2].trim();
+  const stoveHeat =
+    unit === 'level' &&
+    Object.values(StoveHeat).find((heat) => heat.value === value);
+  return stoveHeat || Temperature(value, unit);
+};
+
+/**
+ * Sets the current container of a step to a named container
+ * @param {RecipeStep} step - The step being built
+ * @param {Entity} container - The container
+ */
+const useContainer = (step, container) => {
+  step.currentContainer = container;
+};
+
+/**
+ * A phrase inside a sentence: anything up to, but not across, a sentence
+ * break
+ */
+const PHRASE = '((?:(?!\\.\\s).)+?)';
+
+/**
+ * Builds a sentence pattern; `{}` stands for a PHRASE, and the sentence must
+ * end with a period (or the end of the text)
+ * @param {string} source - The pattern source
+ * @returns {RegExp} The sentence pattern
+ */
+const sentence = (source) =>
+  new RegExp(`^${source.replace(/\{\}/g, PHRASE)}(?:\\.(?:\\s+|$)|$)`);
+
+/**
+ * Sentence patterns, tried in order at the start of the remaining text. A
+ * handler that returns false rejects the match, e.g. for an unknown entity.
+ */
+const SENTENCE_PATTERNS = [
+  [
+    sentence('{} \\((\\w+)\\)\\. If needed, {}'),
+    (step, [, description, type, adjustment]) =>
+      step.checkSensory(type, description, adjustment),
+  ],
+  [
+    sentence('Add {} to {}'),
+    (step, [, ingredientName, containerName], entities) => {
+      const ingredient = entities.ingredient(ingredientName);
+      const container = entities.container(containerName);
+      return (
+        Boolean(ingredient && container) && step.add(ingredient).to(container)
+      );
+    },
+  ],
+  [
+    sentence('Mix ingredients(?: in {})?'),
+    (step, [, containerName], entities) => {
+      const container = containerName && entities.container(containerName);
+      if (container === null) return false;
+      if (container) useContainer(step, container);
+      return step.mix();
+    },
+  ],
+  [
+    sentence('Cook to internal temperature of {}'),
+    (step, [, temperature]) =>
+      step.cookToTemperature(parseTemperature(temperature)),
+  ],
+  [
+    sentence('Heat (?:{} )?to {}'),
+    (step, [, containerName, temperature], entities) => {
+      const container = containerName && entities.container(containerName);
+      if (container === null) return false;
+      if (container) useContainer(step, container);
+      return step.heat(parseTemperature(temperature));
+    },
+  ],
+  [
+    sentence('Transfer ingredients (?:from {} )?to {}'),
+    (step, [, fromName, toName], entities) => {
+      const from = fromName && entities.container(fromName);
+      const to = entities.container(toName);
+      if (from === null || !to) return false;
+      if (from) useContainer(step, from);
+      return step.transfer(to);
+    },
+  ],
+  [sentence('Let it rest'), (step) => step.rest()],
+  [
+    sentence('Set up {} to {} for (\\w+) cooking'),
+    (step, [, , temperature, method]) =>
+      step.grillSetup(parseTemperature(temperature), method),
+  ],
+  [
+    sentence('Preheat {} to {}'),
+    (step, [, applianceName, temperature], entities) => {
+      const appliance = entities.appliance(applianceName);
+      return (
+        Boolean(appliance) &&
+        step.preheat(appliance, parseTemperature(temperature))
+      );
+    },
+  ],
+  [
+    sentence('Set {} to {}'),
+    (step, [, equipment, setting]) => step.setEquipment(equipment, setting),
+  ],
+  [
+    sentence('Do this for (\\d+(?:\\.\\d+)?) (\\w+)'),
+    (step, [, value, unit]) =>
+      step.actions.length > 0 &&
+      step.for(Duration.fromWords(parseFloat(value), unit)),
+  ],
+  [
+    sentence('Continue until {}'),
+    (step, [, condition]) =>
+      step.actions.length > 0 && step.untilCondition(condition),
+  ],
+  [
+    sentence('Look for {} \\((\\w+)\\)'),
+    (step, [, description, type]) => step.untilCue(type, description),
+  ],
+  [
+    sentence('If {}, then {}'),
+    (step, [, condition, action]) => step.adjust(condition, action),
+  ],
+];
+
+/**
+ * Matches "<technique> <known ingredient>", the sentence of a PREPARE action
+ * @param {string} fragment - The sentence without its final period
+ * @param {Entity[]} ingredients - The known ingredients
+ * @returns {{technique: string, ingredient: Entity}|null} The match, or null
+ */
+const matchPreparation = (fragment, ingredients) => {
+  const match = /^(\S+) (.+)$/.exec(fragment);
+  if (!match) return null;
+  const known = ingredients.find(
+    (ingredient) => ingredient.name.toLowerCase() === match[2].toLowerCase()
+  );
+  return known ? { technique: match[1], ingredient: known } : null;
+};
+
+/**
+ * Parses instruction sentences back into a RecipeStep. This is the inverse
+ * of describeStep: recognized sentences become actions, cues, adjustments
+ * and sensory checks, and anything else is kept as a free-text instruction.
+ * @param {string} text - The instruction text
+ * @param {EntityResolver} [entities] - Resolves the named ingredients, containers and appliances
+ * @param {Object} [options={}] - The parsing options
+ * @param {Entity[]} [options.ingredients=[]] - Ingredients recognized in "<technique> <ingredient>" sentences
+ * @param {RecipeStep} [options.step] - The step to add to, instead of a new one
+ * @returns {RecipeStep} The parsed step
+ */
+const parseInstructions = (
+  text,
+  entities = createEntityResolver(),
+  { ingredients = [], step = new RecipeStep() } = {}
+) => {
+  let rest = text.trim();
+  while (rest.length > 0) {
+    const parsed = SENTENCE_PATTERNS.some(([pattern, apply]) => {
+      const match = pattern.exec(rest);
+      if (!match || apply(step, match, entities) === false) return false;
+      rest = rest.slice(match[0].length);
+      return true;
+    });
+    if (parsed) continue;
+
+    const end = rest.search(/\.(?:\s+|$)/);
+    const fragment = (end === -1 ? rest : rest.slice(0, end)).trim();
+    rest = end === -1 ? '' : rest.slice(end + 1).trim();
+
+    const preparation = matchPreparation(fragment, ingredients);
+    if (preparation) {
+      step.add(preparation.ingredient).prepare(preparation.technique);
+    } else if (fragment) {
+      step.instruction(fragment);
+    }
+  }
+  return step;
+};
+
+export {
+  formatIngredient,
+  describeAction,
+  describeNotes,
+  describeStep,
+  createEntityResolver,
+  parseTemperature,
+  parseInstructions,
+};
@@ -0,0 +1,305 @@
+import { Tool } from './entities.js';
+import { Duration } from './measurement.js';
+import { parseIngredientOrName } from './ingredientParser.js';
+import {
+  formatIngredient,
+  describeStep,
+  createEntityResolver,
+  parseInstructions,
+} from './instructions.js';
+
+// -------------------- Schema.org Mapping --------------------
+
+/**
+ * Keys of Recipe#nutritionInfo and their schema.org NutritionInformation
+ * property and unit
+ */
+const NUTRITION_PROPERTIES = {
+  calories: ['calories', 'calories'],
+  protein: ['proteinContent', 'g'],
+  carbs: ['carbohydrateContent', 'g'],
+  fat: ['fatContent', 'g'],
+  saturatedFat: ['saturatedFatContent', 'g'],
+  transFat: ['transFatContent', 'g'],
+  unsaturatedFat: ['unsaturatedFatContent', 'g'],
+  fiber: ['fiberContent', 'g'],
+  sugar: ['sugarContent', 'g'],
+  sodium: ['sodiumContent', 'mg'],
+  cholesterol: ['cholesterolContent', 'mg'],
+};
+
+/**
+ * Name given to the HowToStep/HowToSection of a parallel thread
+ */
+const MEANWHILE = 'Meanwhile';
+
+/**
+ * Name of the PropertyValue holding the difficulty, which schema.org has no
+ * property for
+ */
+const DIFFICULTY = 'difficulty';
+
+// -------------------- Export --------------------
+
+/**
+ * Converts a step to a HowToStep, or to a HowToSection when it has parallel
+ * threads: the section lists the main thread first and then one
+ * "Meanwhile" item per thread
+ * @param {RecipeStep} step - The step to convert
+ * @param {Object} [properties={}] - Extra properties, e.g. name and position
+ * @returns {Object} The HowToStep or HowToSection
+ */
+const stepToJsonLd = (step, properties = {}) => {
+  const howToStep = { '@type': 'HowToStep', text: describeStep(step).trim() };
+  if (step.threads.length === 0) return { ...howToStep, ...properties };
+
+  return {
+    '@type': 'HowToSection',
+    ...properties,
+    itemListElement: [
+      howToStep,
+      ...step.threads.map((thread) =>
+        stepToJsonLd(thread, { name: MEANWHILE })
+      ),
+    ],
+  };
+};
+
+/**
+ * Converts a recipe to a schema.org Recipe in JSON-LD
+ * @param {Recipe} recipe - The recipe to convert
+ * @returns {Object} The JSON-LD document
+ */
+const toJsonLd = (recipe) => {
+  const document = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.name,
+    recipeYield: String(recipe.servings),
+    recipeIngredient: recipe.ingredients.map(formatIngredient),
+    recipeInstructions: recipe.steps.map((step, index) =>
+      stepToJsonLd(step, { position: index + 1 })
+    ),
+  };
+
+  if (recipe.estimatedTime) {
+    document.totalTime = Duration.toISO(recipe.estimatedTime);
+  }
+  if (recipe.tools.length > 0) {
+    document.tool = recipe.tools.map((tool) => ({
+      '@type': 'HowToTool',
+      name: tool.name,
+    }));
+  }
+  if (recipe.nutritionInfo) {
+    document.nutrition = { '@type': 'NutritionInformation' };
+    Object.entries(recipe.nutritionInfo)
+      .filter(([key]) => NUTRITION_PROPERTIES[key])
+      .forEach(([key, value]) => {
+        const [property, unit] = NUTRITION_PROPERTIES[key];
+        document.nutrition[property] = `${value} ${unit}`;
+      });
+  }
+  if (recipe.tags.length > 0) {
+    document.keywords = recipe.tags.join(', ');
+  }
+  if (recipe.difficulty) {
+    document.additionalProperty = [
+      { '@type': 'PropertyValue', name: DIFFICULTY, value: recipe.difficulty },
+    ];
+  }
+  return document;
+};
+
+// -------------------- Import --------------------
+
+/**
+ * Returns whether a JSON-LD node has a given @type
+ * @param {Object} node - The node
+ * @param {string} type - The type
+ * @returns {boolean} True if the node has the type
+ */
+const isOfType = (node, type) =>
+  Boolean(node) && [].concat(node['@type'] || []).includes(type);
+
+/**
+ * Finds the Recipe node of a JSON-LD document, which may be the document
+ * itself, an array of nodes or a document with an @graph
+ * @param {Object|Object[]} document - The JSON-LD document
+ * @returns {Object|null} The Recipe node, or null if there is none
+ */
+const findRecipeNode = (document) => {
+  const nodes = Array.isArray(document)
+    ? document
+    : [document, ...(document['@graph'] || [])];
+  return (
+    nodes.find((node) => isOfType(node, 'Recipe')) ||
+    nodes
+      .filter((node) => node !== document && typeof node === 'object')
+      .map(findRecipeNode)
+      .find(Boolean) ||
+    null
+  );
+};
+
+/**
+ * Returns the text of a HowToStep or a plain string instruction
+ * @param {Object|string} node - The instruction node
+ * @returns {string} The instruction text
+ */
+const textOf = (node) =>
+  typeof node === 'string' ? node : node.text || node.name || '';
+
+/**
+ * Returns whether an instruction node is a parallel thread
+ * @param {Object|string} node - The instruction node
+ * @returns {boolean} True if the node is named "Meanwhile"
+ */
+const isThread = (node) =>
+  typeof node === 'object' &&
+  typeof node.name === 'string' &&
+  node.name.startsWith(MEANWHILE);
+
+/**
+ * Appends the actions, threads and notes of a step to another, so that the
+ * steps of a "Meanwhile" section make one parallel thread
+ * @param {RecipeStep} step - The step to append to
+ * @param {RecipeStep} next - The step to append
+ * @returns {RecipeStep} The step appended to
+ */
+const appendStep = (step, next) => {
+  ['actions', 'threads', 'cues', 'adjustments', 'sensoryChecks'].forEach(
+    (key) => step[key].push(...next[key])
+  );
+  return step;
+};
+
+/**
+ * Converts recipeInstructions into RecipeSteps. Plain strings and HowToSteps
+ * become one step each; HowToSections are flattened, except that items named
+ * "Meanwhile" become parallel threads of the step before them. The steps of
+ * a "Meanwhile" section are done one after the other, so they make a single
+ * thread.
+ * @param {Object|Object[]|string} instructions - The recipeInstructions value
+ * @param {function(string): RecipeStep} parse - Parses instruction text
+ * @returns {RecipeStep[]} The steps
+ */
+const instructionsToSteps = (instructions, parse) => {
+  const nodes =
+    typeof instructions === 'string'
+      ? instructions.split(/\n+/).filter((line) => line.trim())
+      : [].concat(instructions || []);
+
+  return nodes.reduce((steps, node) => {
+    if (isOfType(node, 'HowToSection') || isOfType(node, 'ItemList')) {
+      const nested = instructionsToSteps(node.itemListElement, parse);
+      if (isThread(node) && steps.length > 0) {
+        if (nested.length > 0) {
+          steps[steps.length - 1].threads.push(nested.reduce(appendStep));
+        }
+        return steps;
+      }
+      return [...steps, ...nested];
+    }
+    const step = parse(textOf(node));
+    if (isThread(node) && steps.length > 0) {
+      steps[steps.length - 1].threads.push(step);
+      return steps;
+    }
+    return [...steps, step];
+  }, []);
+};
+
+/**
+ * Parses the first number of a recipeYield value
+ * @param {number|string|Array} recipeYield - The recipeYield value
+ * @returns {number|undefined} The number of servings, if any
+ */
+const parseYield = (recipeYield) => {
+  const match = /\d+(?:\.\d+)?/.exec(String([].concat(recipeYield)[0] ?? ''));
+  return match ? parseFloat(match[0]) : undefined;
+};
+
+/**
+ * Parses an ISO 8601 duration, ignoring invalid values
+ * @param {string} iso - The ISO 8601 duration
+ * @returns {Duration|null} The duration, or null if invalid or missing
+ */
+const parseDuration = (iso) => {
+  try {
+    return iso ? Duration.fromISO(iso) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reads a schema.org Recipe in JSON-LD into Recipe constructor arguments.
+ * Instructions are parsed back into actions where their sentences are
+ * recognized and kept as free-text instructions otherwise.
+ * @param {Object|string} json - The JSON-LD document or its JSON string
+ * @returns {{name: string, options: Object}} The recipe name and constructor options
+ * @throws {Error} If the document contains no schema.org Recipe
+ */
+const fromJsonLd = (json) => {
+  const document = typeof json === 'string' ? JSON.parse(json) : json;
+  const node = document && findRecipeNode(document);
+  if (!node) {
+    throw new Error('JSON-LD document does not contain a schema.org Recipe');
+  }
+
+  const ingredients = []
+    .concat(node.recipeIngredient || node.ingredients || [])
+    .map(parseIngredientOrName);
+  const tools = []
+    .concat(node.tool || [])
+    .map((tool) => Tool(typeof tool === 'string' ? tool : tool.name));
+  const entities = createEntityResolver({ ingredients });
+  const steps = instructionsToSteps(node.recipeInstructions, (text) =>
+    parseInstructions(text, entities, { ingredients })
+  );
+
+  const estimatedTime =
+    parseDuration(node.totalTime) ||
+    ([node.prepTime, node.cookTime].some(parseDuration)
+      ? Duration.sum(
+          ...[node.prepTime, node.cookTime].map(parseDuration).filter(Boolean)
+        )
+      : null);
+
+  let nutritionInfo = null;
+  if (node.nutrition) {
+    nutritionInfo = {};
+    Object.entries(NUTRITION_PROPERTIES)
+      .filter(([, [property]]) => node.nutrition[property] !== undefined)
+      .forEach(([key, [property]]) => {
+        nutritionInfo[key] = parseFloat(node.nutrition[property]);
+      });
+  }
+
+  const keywords = node.keywords || [];
+  const tags = (Array.isArray(keywords) ? keywords : keywords.split(','))
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+  const difficulty = []
+    .concat(node.additionalProperty || [])
+    .find((property) => property && property.name === DIFFICULTY);
+
+  return {
+    name: node.name || '',
+    options: {
+      ingredients,
+      tools,
+      appliances: entities.created.appliances,
+      steps,
+      servings: parseYield(node.recipeYield),
+      estimatedTime,
+      nutritionInfo,
+      tags,
+      difficulty: difficulty ? String(difficulty.value) : undefined,
+    },
+  };
+};
+
+export { toJsonLd, fromJsonLd };
@@ -0,0 +1,237 @@
+import { Ingredient, Tool, Appliance } from './entities.js';
+import { Duration } from './measurement.js';
+import { createEntityResolver, parseInstructions } from './instructions.js';
+import { parseIngredientOrName } from './ingredientParser.js';
+
+// -------------------- Sections --------------------
+
+/**
+ * Section titles written by toMarkdown and toText, and the key they are
+ * collected under
+ */
+const SECTIONS = {
+  ingredients: 'ingredients',
+  tools: 'tools',
+  appliances: 'appliances',
+  instructions: 'instructions',
+  'mise en place': 'miseEnPlace',
+  'nutrition information': 'nutritionInfo',
+  'serving suggestions': 'servingSuggestions',
+  'possible substitutions': 'substitutions',
+  tags: 'tags',
+};
+
+/**
+ * Fields of the recipe header and the Recipe option they set
+ */
+const HEADER_FIELDS = {
+  servings: 'servings',
+  'estimated time': 'estimatedTime',
+  difficulty: 'difficulty',
+};
+
+// -------------------- Line Parsing --------------------
+
+/**
+ * Removes the leading emoji, symbols and spaces of a title
+ * @param {string} text - The title
+ * @returns {string} The title without decoration
+ */
+const stripDecoration = (text) => text.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+
+/**
+ * Removes Markdown emphasis and code marks
+ * @param {string} text - The text
+ * @returns {string} The plain text
+ */
+const stripEmphasis = (text) =>
+  text.replace(/\*\*|__|`|\*(?=\S)|(?<=\S)\*/g, '');
+
+/**
+ * Classifies a line of a Markdown or text recipe
+ * @param {string} line - The line
+ * @returns {Object} The line kind and its parts
+ */
+const classifyLine = (line) => {
+  const plain = stripEmphasis(line).trim();
+
+  const heading = /^(#{1,6})\s+(.*)$/.exec(plain);
+  if (heading) {
+    return { kind: 'heading', level: heading[1].length, text: heading[2] };
+  }
+
+  // Text headings such as "🧾 Ingredients:" or "🏷️ Tags: a, b"
+  const label = /^([^:]+):\s*(.*)$/.exec(plain);
+  if (label && SECTIONS[stripDecoration(label[1]).toLowerCase()]) {
+    return { kind: 'heading', text: label[1], inline: label[2] };
+  }
+
+  const numbered = /^(\d+)\.\s+(.*)$/.exec(plain);
+  if (numbered) return { kind: 'step', text: numbered[2] };
+
+  const lettered = /^[a-z]\.\s+(.*)$/.exec(plain);
+  if (lettered) return { kind: 'thread', text: lettered[1] };
+
+  if (/^meanwhile:?$/i.test(plain)) return { kind: 'meanwhile' };
+
+  const item = /^[-*+•]\s+(.*)$/.exec(plain);
+  if (item) return { kind: 'item', text: item[1].trim() };
+
+  return plain ? { kind: 'text', text: plain } : { kind: 'blank' };
+};
+
+/**
+ * Parses a header value into a Recipe option
+ * @param {string} option - The option name
+ * @param {string} value - The header value
+ * @returns {*} The option value
+ */
+const parseHeaderValue = (option, value) => {
+  if (option === 'servings') return parseFloat(value);
+  if (option === 'estimatedTime') {
+    const match = /^(\d+(?:\.\d+)?)\s+(\w+)$/.exec(value);
+    return match
+      ? Duration.fromWords(parseFloat(match[1]), match[2])
+      : Duration.parse(value);
+  }
+  return value;
+};
+
+/**
+ * Parses a nutrition item such as "calories: 250"
+ * @param {string} item - The item
+ * @returns {Array|null} The key and value, or null if the item has no key
+ */
+const parseNutritionItem = (item) => {
+  const match = /^([^:]+):\s*(.*)$/.exec(item);
+  if (!match) return null;
+  const value = match[2].trim();
+  return [
+    match[1].trim(),
+    /^-?\d+(?:\.\d+)?$/.test(value) ? parseFloat(value) : value,
+  ];
+};
+
+// -------------------- Recipe Parsing --------------------
+
+/**
+ * Reads a recipe written by toMarkdown or toText, including hand edits to
+ * it, into Recipe constructor arguments. Instruction sentences are parsed
+ * back into actions where recognized and kept as free-text instructions
+ * otherwise.
+ * @param {string} text - The Markdown or text recipe
+ * @returns {{name: string, options: Object, substitutions: Object[]}} The recipe name, constructor options and substitutions
+ */
+const fromMarkdown = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const sections = {};
+  const header = {};
+  let name = '';
+  let section = null;
+  let steps = [];
+
+  lines.forEach((line) => {
+    const parsed = classifyLine(line);
+    const sectionKey =
+      parsed.kind === 'heading'
+        ? SECTIONS[stripDecoration(parsed.text).toLowerCase()]
+        : undefined;
+
+    // The title: "# 🍽️ Sautéed Carrots" or "🍽️ Sautéed Carrots"
+    if (
+      !name &&
+      !section &&
+      !sectionKey &&
+      (parsed.kind === 'heading' || parsed.kind === 'text')
+    ) {
+      name = stripDecoration(parsed.text);
+      return;
+    }
+    if (parsed.kind === 'heading') {
+      section = sectionKey || null;
+      if (section) sections[section] = sections[section] || [];
+      if (section && parsed.inline) sections[section].push(parsed.inline);
+      return;
+    }
+
+    if (!section) {
+      // The header: "👥 Servings: 4", "- ⏱️ **Estimated Time:** 25 minutes"
+      const field = /^([^:]+):\s*(.+)$/.exec(parsed.text || '');
+      const option =
+        field && HEADER_FIELDS[stripDecoration(field[1]).toLowerCase()];
+      if (option) header[option] = parseHeaderValue(option, field[2].trim());
+      return;
+    }
+
+    if (section === 'instructions') {
+      if (parsed.kind === 'step') {
+        steps.push({ text: parsed.text, threads: [] });
+      } else if (parsed.kind === 'thread' && steps.length > 0) {
+        steps[steps.length - 1].threads.push(parsed.text);
+      } else if (parsed.kind === 'text' && steps.length > 0) {
+        // A hand-wrapped line continues the previous step or thread
+        const step = steps[steps.length - 1];
+        if (step.threads.length > 0) {
+          step.threads[step.threads.length - 1] += ` ${parsed.text}`;
+        } else {
+          step.text += ` ${parsed.text}`;
+        }
+      }
+      return;
+    }
+
+    if (parsed.kind === 'item' || parsed.kind === 'text') {
+      sections[section].push(parsed.text);
+    }
+  });
+
+  const ingredients = (sections.ingredients || []).map(parseIngredientOrName);
+  const appliances = (sections.appliances || []).map((item) => Appliance(item));
+  const entities = createEntityResolver({ ingredients, appliances });
+  const parse = (instruction) =>
+    parseInstructions(instruction, entities, { ingredients });
+  steps = steps.map((step) => {
+    const parsed = parse(step.text);
+    parsed.threads = step.threads.map(parse);
+    return parsed;
+  });
+
+  const nutritionItems = (sections.nutritionInfo || [])
+    .map(parseNutritionItem)
+    .filter(Boolean);
+
+  const substitutions = (sections.substitutions || [])
+    .map((item) => /^Instead of (.+?), you can use (.+)$/i.exec(item))
+    .filter(Boolean)
+    .map(([, original, alternative]) => ({
+      original:
+        ingredients.find(
+          (ingredient) =>
+            ingredient.name.toLowerCase() === original.toLowerCase()
+        ) || Ingredient(original),
+      alternative: Ingredient(alternative),
+    }));
+
+  return {
+    name,
+    options: {
+      ...header,
+      ingredients,
+      tools: (sections.tools || []).map((item) => Tool(item)),
+      appliances,
+      steps,
+      nutritionInfo: sections.nutritionInfo
+        ? Object.fromEntries(nutritionItems)
+        : null,
+      miseEnPlace: sections.miseEnPlace || [],
+      servingSuggestions: sections.servingSuggestions || [],
+      tags: (sections.tags || [])
+        .flatMap((item) => item.split(','))
+        .map((tag) => tag.trim())
+        .filter(Boolean),
+    },
+    substitutions,
+  };
+};
+
+export { fromMarkdown };
@@ -12,6 +12,12 @@
  * @property {string} unit - The unit of the temperature
  */
 
+/**
+ * @typedef {Object} Volume
+ * @property {number} value - The volume value
+ * @property {string} unit - The unit of the volume
+ */
+
 // -------------------- Measurement Utilities --------------------
 
 /**
@@ -43,6 +49,226 @@ const seconds = (value) => Duration(value, 'seconds');
  */
 const hours = (value) => Duration(value, 'hours');
 
+/**
+ * Creates a Duration object in days
+ * @param {number} value - The number of days
+ * @returns {Duration}
+ */
+const days = (value) => Duration(value, 'days');
+
+// -------------------- Duration Arithmetic --------------------
+
+/**
+ * Number of seconds in each duration unit, largest first
+ */
+const SECONDS_PER_UNIT = [
+  ['days', 86400, 'd', 'D'],
+  ['hours', 3600, 'h', 'H'],
+  ['minutes', 60, 'min', 'M'],
+  ['seconds', 1, 's', 'S'],
+];
+
+/**
+ * Aliases of the duration units
+ */
+const DURATION_UNIT_ALIASES = {
+  days: ['d', 'day', 'days'],
+  hours: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  minutes: ['m', 'min', 'mins', 'minute', 'minutes'],
+  seconds: ['s', 'sec', 'secs', 'second', 'seconds'],
+};
+
+/**
+ * Converts a Duration to seconds
+ * @param {Duration} duration - The duration to convert
+ * @returns {number} The duration in seconds
+ * @throws {Error} If the duration unit is unknown
+ */
+Duration.toSeconds = (duration) => {
+  const unit = String(duration.unit).trim().toLowerCase();
+  const entry = SECONDS_PER_UNIT.find(([name]) =>
+    DURATION_UNIT_ALIASES[name].includes(unit)
+  );
+  if (!entry) throw new Error(`Unknown duration unit ${duration.unit}`);
+  return duration.value * entry[1];
+};
+
+/**
+ * Creates a Duration from a number of seconds, rounded to milliseconds,
+ * using the largest unit that expresses it as a whole number (5400 seconds
+ * becomes 90 minutes)
+ * @param {number} totalSeconds - The number of seconds
+ * @returns {Duration}
+ */
+Duration.fromSeconds = (totalSeconds) => {
+  // Milliseconds drop float noise such as 0.30000000000000004
+  const rounded = Math.round(totalSeconds * 1000) / 1000;
+  const [unit, size] = (rounded !== 0 &&
+    SECONDS_PER_UNIT.find(([, size]) => rounded % size === 0)) || [
+    'seconds',
+    1,
+  ];
+  return Duration(rounded / size, unit);
+};
+
+/**
+ * Adds durations together
+ * @param {...Duration} durations - The durations to add
+ * @returns {Duration} The total duration
+ */
+Duration.sum = (...durations) =>
+  Duration.fromSeconds(
+    durations.reduce(
+      (total, duration) => total + Duration.toSeconds(duration),
+      0
+    )
+  );
+
+/**
+ * Compares two durations, for use with Array#sort
+ * @param {Duration} a - The first duration
+ * @param {Duration} b - The second duration
+ * @returns {number} A negative number if a is shorter, positive if longer, 0 if equal
+ */
+Duration.compare = (a, b) => Duration.toSeconds(a) - Duration.toSeconds(b);
+
+/**
+ * Splits a duration, rounded to milliseconds, into days, hours, minutes and
+ * seconds. The parts of a negative duration are all negative.
+ * @param {Duration} duration - The duration to normalize
+ * @returns {{days: number, hours: number, minutes: number, seconds: number}} The parts of the duration
+ */
+Duration.normalize = (duration) => {
+  const total = Duration.toSeconds(duration);
+  const signed = (value) => (total < 0 && value !== 0 ? -value : value);
+  let remaining = Math.round(Math.abs(total) * 1000);
+  return SECONDS_PER_UNIT.reduce((parts, [unit, size]) => {
+    const whole = Math.floor(remaining / (size * 1000));
+    parts[unit] = signed(size === 1 ? remaining / 1000 : whole);
+    remaining -= whole * size * 1000;
+    return parts;
+  }, {});
+};
+
+/**
+ * Splits the length of a duration into parts, for formatting
+ * @param {Duration} duration - The duration
+ * @returns {{sign: string, parts: Object<string, number>}} '-' for a negative duration, and the parts of its length
+ */
+const formatParts = (duration) => {
+  const total = Duration.toSeconds(duration);
+  return {
+    sign: total < 0 ? '-' : '',
+    parts: Duration.normalize(Duration(Math.abs(total), 'seconds')),
+  };
+};
+
+/**
+ * Formats a duration with its unit written out, e.g. "25 minutes", using the
+ * singular for a value of 1 ("1 hour")
+ * @param {Duration} duration - The duration to format
+ * @returns {string} The formatted duration
+ */
+Duration.format = ({ value, unit }) =>
+  `${value} ${
+    value === 1 && DURATION_UNIT_ALIASES[unit] ? unit.slice(0, -1) : unit
+  }`;
+
+/**
+ * Creates a Duration from a value and unit written by format, turning a
+ * singular unit back into the plural one ("1 hour" gives 1 hours)
+ * @param {number} value - The duration value
+ * @param {string} unit - The unit as written
+ * @returns {Duration}
+ */
+Duration.fromWords = (value, unit) =>
+  Duration(value, DURATION_UNIT_ALIASES[`${unit}s`] ? `${unit}s` : unit);
+
+/**
+ * Formats a duration for humans, e.g. 90 minutes becomes "1 h 30 min" and
+ * -90 minutes "-1 h 30 min"
+ * @param {Duration} duration - The duration to format
+ * @returns {string} The formatted duration
+ */
+Duration.humanize = (duration) => {
+  const { sign, parts } = formatParts(duration);
+  const text = SECONDS_PER_UNIT.filter(([unit]) => parts[unit] !== 0)
+    .map(([unit, , symbol]) => `${parts[unit]} ${symbol}`)
+    .join(' ');
+  return text ? `${sign}${text}` : '0 s';
+};
+
+/**
+ * Formats a duration as an ISO 8601 duration, e.g. "PT1H30M", with a
+ * leading "-" for a negative duration
+ * @param {Duration} duration - The duration to format
+ * @returns {string} The ISO 8601 duration
+ */
+Duration.toISO = (duration) => {
+  const { sign, parts } = formatParts(duration);
+  const field = (unit, designator) =>
+    parts[unit] ? `${parts[unit]}${designator}` : '';
+  const time = SECONDS_PER_UNIT.slice(1)
+    .map(([unit, , , designator]) => field(unit, designator))
+    .join('');
+  const date = field('days', 'D');
+
+  if (!date && !time) return 'PT0S';
+  return `${sign}P${date}${time ? `T${time}` : ''}`;
+};
+
+/**
+ * Parses an ISO 8601 duration such as "PT1H30M", "P1DT2H" or "-PT5M". Years
+ * and months are rejected because their length in seconds is ambiguous.
+ * @param {string} iso - The ISO 8601 duration
+ * @returns {Duration}
+ * @throws {Error} If the string is not a supported ISO 8601 duration
+ */
+Duration.fromISO = (iso) => {
+  const number = '(\\d+(?:[.,]\\d+)?)';
+  const match = new RegExp(
+    `^(-)?P(?:${number}W)?(?:${number}D)?(?:T(?:${number}H)?(?:${number}M)?(?:${number}S)?)?$`,
+    'i'
+  ).exec(String(iso).trim());
+
+  if (!match || /T$/i.test(iso) || match.slice(2).every((part) => !part)) {
+    throw new Error(`Invalid ISO 8601 duration ${iso}`);
+  }
+
+  const [weeksPart, ...rest] = match
+    .slice(2)
+    .map((part) => (part ? parseFloat(part.replace(',', '.')) : 0));
+  const totalSeconds = [7 * weeksPart + rest[0], ...rest.slice(1)].reduce(
+    (total, value, index) => total + value * SECONDS_PER_UNIT[index][1],
+    0
+  );
+  return Duration.fromSeconds(match[1] ? -totalSeconds : totalSeconds);
+};
+
+/**
+ * Parses a duration written for humans, such as "25 minutes" or
+ * "1 h 30 min" (the output of humanize, "-" first if negative), or an ISO
+ * 8601 duration
+ * @param {string} text - The text to parse
+ * @returns {Duration}
+ * @throws {Error} If the text contains no duration
+ */
+Duration.parse = (text) => {
+  const source = String(text).trim();
+  if (/^-?P/i.test(source)) return Duration.fromISO(source);
+
+  const parts = [...source.matchAll(/(\d+(?:[.,]\d+)?)\s*([a-z]+)/gi)];
+  if (parts.length === 0) throw new Error(`Invalid duration ${text}`);
+  const total = Duration.sum(
+    ...parts.map(([, value, unit]) =>
+      Duration(parseFloat(value.replace(',', '.')), unit)
+    )
+  );
+  return source.startsWith('-')
+    ? Duration.fromSeconds(-Duration.toSeconds(total))
+    : total;
+};
+
 /**
  * Creates a Temperature object
  * @param {number} value - The temperature value
@@ -72,13 +298,31 @@ const celsius = (value) => Temperature(value, 'C');
  */
 const gasMarkr = (value) => Temperature(value, 'Gas Mark');
 
+/**
+ * Creates a Volume object
+ * @param {number} value - The volume value
+ * @param {string} unit - The unit of the volume
+ * @returns {Volume}
+ */
+const Volume = (value, unit) => ({ value, unit });
+
+/**
+ * Creates a Volume object in litres
+ * @param {number} value - The number of litres
+ * @returns {Volume}
+ */
+const liters = (value) => Volume(value, 'l');
+
 export {
   Duration,
   minutes,
   seconds,
   hours,
+  days,
   Temperature,
   fahrenheit,
   celsius,
   gasMarkr,
+  Volume,
+  liters,
 };
@@ -0,0 +1,51 @@
+// -------------------- Name Utilities --------------------
+
+/**
+ * Normalizes an ingredient name for lookup
+ * @param {string} name - The ingredient name
+ * @returns {string} The normalized name
+ */
+const normalizeName = (name) =>
+  String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - The string to escape
+ * @returns {string} The escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the singular form of a normalized name: "es" is dropped after
+ * ss, x, z, ch, sh and o (glasses, peaches, tomatoes), otherwise a final
+ * "s" (cheeses, eggs), except after s or u (glass, asparagus)
+ * @param {string} name - The normalized name
+ * @returns {string} The singular form
+ */
+const singularize = (name) =>
+  name.replace(/(ss|x|z|ch|sh|o)es$|([^su])s$/, '$1$2');
+
+/**
+ * Looks up a name in a table keyed by normalized names: by the exact name,
+ * by its singular form, and finally by the longest known name contained in
+ * it (so "sifted cake flour" matches "cake flour")
+ * @template T
+ * @param {Map<string, T>} table - The table
+ * @param {string} name - The name to look up
+ * @returns {T|undefined} The entry found
+ */
+const lookupName = (table, name) => {
+  const normalized = normalizeName(name);
+  return (
+    table.get(normalized) ||
+    table.get(singularize(normalized)) ||
+    [...table.keys()]
+      .filter((key) =>
+        new RegExp(`(^|\\W)${escapeRegExp(key)}(\\W|$)`).test(normalized)
+      )
+      .sort((a, b) => b.length - a.length)
+      .map((key) => table.get(key))[0]
+  );
+};
+
+export { normalizeName, escapeRegExp, singularize, lookupName };
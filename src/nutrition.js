@@ -0,0 +1,279 @@
+import { readFileSync } from 'node:fs';
+
+import { normalizeName, lookupName } from './names.js';
+import { Quantity } from './quantity.js';
+import unitConverter from './unitConverter.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * Nutrient amounts: energy in kcal, sodium in mg and everything else in g
+ * @typedef {Object} Nutrients
+ * @property {number} calories - The energy in kcal
+ * @property {number} protein - The protein in grams
+ * @property {number} carbs - The carbohydrates in grams
+ * @property {number} fat - The fat in grams
+ * @property {number} fiber - The fiber in grams
+ * @property {number} sugar - The sugar in grams
+ * @property {number} sodium - The sodium in milligrams
+ */
+
+/**
+ * @typedef {Object} NutrientEntry
+ * @property {string} name - The canonical ingredient name
+ * @property {string[]} [aliases] - Alternative names of the ingredient
+ * @property {Nutrients} per100g - The nutrients in 100 grams
+ * @property {number} [pieceWeight] - The weight in grams of one piece, for ingredients counted without a unit
+ * @property {Object<string, number>} [unitWeights] - The weight in grams of kitchen units, e.g. { clove: 3 }
+ * @property {number} [density] - The density in g/ml, for liquids missing from the density table
+ */
+
+/**
+ * A source of nutrient data. Any object with a `lookup` method can be
+ * passed to computeNutrition.
+ * @typedef {Object} NutrientDatabase
+ * @property {function((string|Entity)): (NutrientEntry|null)} lookup - Finds the entry of an ingredient
+ * @property {function(NutrientEntry): NutrientEntry} register - Adds or replaces an entry
+ * @property {function(): NutrientEntry[]} list - Lists all entries
+ */
+
+/**
+ * @typedef {Object} UnmatchedIngredient
+ * @property {Entity} ingredient - The ingredient left out of the totals
+ * @property {string} reason - Why it was left out
+ */
+
+/**
+ * @typedef {Object} NutritionResult
+ * @property {Nutrients} perServing - The nutrients in one serving
+ * @property {Nutrients} total - The nutrients in the whole recipe
+ * @property {number} servings - The number of servings the total was divided by
+ * @property {UnmatchedIngredient[]} unmatched - The ingredients left out of the totals
+ */
+
+// -------------------- Nutrients --------------------
+
+/**
+ * The nutrients tracked, in the units of Nutrients
+ */
+const NUTRIENTS = [
+  'calories',
+  'protein',
+  'carbs',
+  'fat',
+  'fiber',
+  'sugar',
+  'sodium',
+];
+
+/**
+ * Nutrients reported as whole numbers; the others get one decimal
+ */
+const WHOLE_NUTRIENTS = ['calories', 'sodium'];
+
+/**
+ * Returns nutrients with every value set to zero
+ * @returns {Nutrients}
+ */
+const emptyNutrients = () =>
+  Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, 0]));
+
+/**
+ * Rounds nutrients for display
+ * @param {Nutrients} nutrients - The nutrients
+ * @returns {Nutrients} The rounded nutrients
+ */
+const roundNutrients = (nutrients) =>
+  Object.fromEntries(
+    NUTRIENTS.map((nutrient) => [
+      nutrient,
+      WHOLE_NUTRIENTS.includes(nutrient)
+        ? Math.round(nutrients[nutrient])
+        : Math.round(nutrients[nutrient] * 10) / 10,
+    ])
+  );
+
+// -------------------- Nutrient Database --------------------
+
+/**
+ * Creates a nutrient database. Ingredients are looked up like densities: by
+ * exact name or alias, by singular form, and finally by the longest known
+ * name contained in the ingredient name (so "sifted cake flour" matches
+ * "cake flour").
+ * @param {NutrientEntry[]} [entries=[]] - The initial entries
+ * @returns {NutrientDatabase}
+ */
+const createNutrientDatabase = (entries = []) => {
+  /** @type {Map<string, NutrientEntry>} */
+  const byName = new Map();
+
+  const database = {
+    register(entry) {
+      if (!entry || !entry.name || !entry.per100g) {
+        throw new Error('Nutrient entry must have a name and per100g values');
+      }
+      const invalid = NUTRIENTS.find(
+        (nutrient) =>
+          entry.per100g[nutrient] !== undefined &&
+          !(entry.per100g[nutrient] >= 0)
+      );
+      if (invalid) {
+        throw new Error(
+          `Nutrient ${invalid} of ${entry.name} must be a non-negative number`
+        );
+      }
+      [entry.name, ...(entry.aliases || [])].forEach((alias) =>
+        byName.set(normalizeName(alias), entry)
+      );
+      return entry;
+    },
+
+    lookup(ingredient) {
+      const name = normalizeName(
+        ingredient && typeof ingredient === 'object'
+          ? ingredient.name
+          : ingredient || ''
+      );
+      if (!name) return null;
+      return lookupName(byName, name) || null;
+    },
+
+    list() {
+      return [...new Set(byName.values())];
+    },
+  };
+
+  entries.forEach((entry) => database.register(entry));
+  return database;
+};
+
+/**
+ * The database of the bundled dataset, src/data/nutrients.json
+ * @type {NutrientDatabase}
+ */
+const defaultNutrientDatabase = createNutrientDatabase(
+  JSON.parse(
+    readFileSync(new URL('./data/nutrients.json', import.meta.url), 'utf8')
+  ).foods
+);
+
+// -------------------- Nutrition Calculation --------------------
+
+/**
+ * Converts an ingredient's amount to grams. Masses convert directly,
+ * volumes through the density, and counts through the entry's weight per
+ * piece; other units must appear in the entry's unitWeights.
+ * @param {Entity} ingredient - The ingredient
+ * @param {NutrientEntry} entry - Its nutrient entry
+ * @returns {number} The weight in grams
+ * @throws {Error} If the amount cannot be converted to grams
+ */
+const toGrams = (ingredient, entry) => {
+  if (ingredient.amount === undefined || ingredient.amount === null) {
+    throw new Error('it has no amount');
+  }
+  const amount = Quantity.toNumber(ingredient.amount);
+  if (amount === null) {
+    throw new Error(
+      `its amount "${Quantity.format(ingredient.amount)}" is not numeric`
+    );
+  }
+
+  const unit = ingredient.unit && unitConverter.getUnit(ingredient.unit);
+  if (!ingredient.unit || (unit && unit.dimension === 'count')) {
+    if (!entry.pieceWeight) {
+      throw new Error(`no weight per piece is known for ${entry.name}`);
+    }
+    const pieces = unit
+      ? unitConverter.convert(amount, unit.name, 'piece')
+      : amount;
+    return pieces * entry.pieceWeight;
+  }
+  if (unit && unit.dimension === 'mass') {
+    return unitConverter.convert(amount, unit.name, 'g');
+  }
+  if (unit && unit.dimension === 'volume') {
+    return Quantity.toNumber(
+      unitConverter.convertIngredient(
+        { ...ingredient, amount, density: ingredient.density ?? entry.density },
+        'g'
+      ).amount
+    );
+  }
+
+  const name = normalizeName(ingredient.unit);
+  const weight = [name, name.replace(/s$/, ''), name.replace(/es$/, '')]
+    .map((candidate) => (entry.unitWeights || {})[candidate])
+    .find((value) => value !== undefined);
+  if (weight === undefined) {
+    throw new Error(
+      `${ingredient.unit} of ${entry.name} cannot be converted to grams`
+    );
+  }
+  return amount * weight;
+};
+
+/**
+ * Computes the nutrients of a recipe from a nutrient database. Each
+ * ingredient is converted to grams and looked up by name; an ingredient's
+ * own `nutrients` (per 100 g) take precedence over the database. Ranges
+ * count as their middle. Ingredients that cannot be looked up or weighed
+ * are left out and reported in `unmatched`.
+ * @param {Recipe} recipe - The recipe
+ * @param {Object} [options={}] - The calculation options
+ * @param {NutrientDatabase} [options.database=defaultNutrientDatabase] - The database to look ingredients up in
+ * @returns {NutritionResult}
+ */
+const computeNutrition = (
+  recipe,
+  { database = defaultNutrientDatabase } = {}
+) => {
+  const total = emptyNutrients();
+  const unmatched = [];
+
+  recipe.ingredients.forEach((ingredient) => {
+    const entry = ingredient.nutrients
+      ? { name: ingredient.name, per100g: ingredient.nutrients }
+      : database.lookup(ingredient);
+    if (!entry) {
+      unmatched.push({
+        ingredient,
+        reason: `${ingredient.name} is not in the nutrient database`,
+      });
+      return;
+    }
+
+    let grams;
+    try {
+      grams = toGrams(ingredient, entry);
+    } catch (error) {
+      unmatched.push({
+        ingredient,
+        reason: `${ingredient.name} cannot be weighed: ${error.message}`,
+      });
+      return;
+    }
+    NUTRIENTS.forEach((nutrient) => {
+      total[nutrient] += ((entry.per100g[nutrient] || 0) * grams) / 100;
+    });
+  });
+
+  const servings = recipe.servings > 0 ? recipe.servings : 1;
+  return {
+    perServing: roundNutrients(
+      Object.fromEntries(
+        NUTRIENTS.map((nutrient) => [nutrient, total[nutrient] / servings])
+      )
+    ),
+    total: roundNutrients(total),
+    servings,
+    unmatched,
+  };
+};
+
+export {
+  NUTRIENTS,
+  createNutrientDatabase,
+  defaultNutrientDatabase,
+  computeNutrition,
+};
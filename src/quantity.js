@@ -0,0 +1,496 @@
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} Fraction
+ * @property {string} type - Always 'fraction'
+ * @property {number} numerator - The numerator, an integer
+ * @property {number} denominator - The denominator, an integer greater than 1
+ */
+
+/**
+ * @typedef {Object} QuantityRange
+ * @property {string} type - Always 'range'
+ * @property {number|Fraction} min - The lower end
+ * @property {number|Fraction} max - The upper end
+ */
+
+/**
+ * @typedef {Object} TextQuantity
+ * @property {string} type - Always 'text'
+ * @property {string} text - The amount in words, e.g. 'to taste'
+ */
+
+/**
+ * An ingredient amount: a plain number, an exact fraction such as 1/3, a
+ * range such as 1–2, or a non-numeric amount such as "to taste". All forms
+ * are plain JSON values.
+ * @typedef {number|Fraction|QuantityRange|TextQuantity} Quantity
+ */
+
+// -------------------- Fractions --------------------
+
+/**
+ * Unicode vulgar fractions and their numerator and denominator
+ */
+const UNICODE_FRACTIONS = {
+  '½': [1, 2],
+  '⅓': [1, 3],
+  '⅔': [2, 3],
+  '¼': [1, 4],
+  '¾': [3, 4],
+  '⅕': [1, 5],
+  '⅖': [2, 5],
+  '⅗': [3, 5],
+  '⅘': [4, 5],
+  '⅙': [1, 6],
+  '⅚': [5, 6],
+  '⅛': [1, 8],
+  '⅜': [3, 8],
+  '⅝': [5, 8],
+  '⅞': [7, 8],
+};
+
+/**
+ * Denominators of the fractions used in kitchens, tried in order when
+ * formatting
+ */
+const KITCHEN_DENOMINATORS = [2, 3, 4, 8];
+
+/**
+ * Denominators a float may be recognized as a fraction of, besides those
+ * with a finite decimal expansion
+ */
+const FRACTION_DENOMINATORS = [2, 3, 4, 8, 16];
+
+/**
+ * How far a value may be from a kitchen fraction to be written as one
+ */
+const KITCHEN_TOLERANCE = 0.01;
+
+/**
+ * The largest denominator recognized when turning a number into a fraction
+ */
+const MAX_DENOMINATOR = 10000;
+
+/**
+ * Returns the greatest common divisor of two integers
+ * @param {number} a - The first integer
+ * @param {number} b - The second integer
+ * @returns {number} The greatest common divisor
+ */
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+/**
+ * Returns whether a denominator gives a finite decimal, i.e. has no prime
+ * factors other than 2 and 5
+ * @param {number} denominator - The denominator
+ * @returns {boolean} True if n/denominator is a finite decimal
+ */
+const isDecimalDenominator = (denominator) => {
+  let rest = denominator;
+  [2, 5].forEach((factor) => {
+    while (rest % factor === 0) rest /= factor;
+  });
+  return rest === 1;
+};
+
+/**
+ * Finds the fraction equal to a number, using continued fractions. Only
+ * kitchen denominators and those of finite decimals are recognized, so a
+ * converted amount such as 124.9178 g is not taken for 92065/737.
+ * @param {number} value - The number
+ * @returns {number[]|null} The numerator and denominator, or null if the number is no simple fraction
+ */
+const toRational = (value) => {
+  if (Number.isInteger(value)) return [value, 1];
+  const tolerance = 1e-9 * Math.max(1, Math.abs(value));
+  let [previousNumerator, numerator] = [0, 1];
+  let [previousDenominator, denominator] = [1, 0];
+  let rest = value;
+  for (let i = 0; i < 64; i += 1) {
+    const whole = Math.floor(rest);
+    [previousNumerator, numerator] = [
+      numerator,
+      whole * numerator + previousNumerator,
+    ];
+    [previousDenominator, denominator] = [
+      denominator,
+      whole * denominator + previousDenominator,
+    ];
+    if (denominator > MAX_DENOMINATOR) return null;
+    if (Math.abs(numerator / denominator - value) <= tolerance) {
+      return isDecimalDenominator(denominator) ||
+        FRACTION_DENOMINATORS.includes(denominator)
+        ? [numerator, denominator]
+        : null;
+    }
+    rest = 1 / (rest - whole);
+  }
+  return null;
+};
+
+/**
+ * Returns the numerator and denominator of a numeric quantity
+ * @param {number|Fraction} quantity - The quantity
+ * @returns {number[]|null} The numerator and denominator, or null if the number is no simple fraction
+ */
+const rationalOf = (quantity) =>
+  typeof quantity === 'number'
+    ? toRational(quantity)
+    : [quantity.numerator, quantity.denominator];
+
+// -------------------- Quantity Creators --------------------
+
+/**
+ * Creates a quantity from a number, a string such as "1 1/2", "⅓", "1-2" or
+ * "to taste", or an existing quantity
+ * @param {number|string|Quantity} value - The value
+ * @returns {Quantity}
+ * @throws {Error} If the value is empty or not a quantity
+ */
+const Quantity = (value) => {
+  if (typeof value === 'number') return Quantity.fromNumber(value);
+  if (typeof value === 'string') return Quantity.parse(value);
+  if (value && ['fraction', 'range', 'text'].includes(value.type)) return value;
+  throw new Error(`Invalid quantity ${JSON.stringify(value)}`);
+};
+
+/**
+ * Creates an exact fraction, reduced to lowest terms. Fractions with a
+ * finite decimal expansion, such as 5/2, are returned as plain numbers.
+ * @param {number} numerator - The numerator
+ * @param {number} [denominator=1] - The denominator
+ * @returns {number|Fraction}
+ * @throws {Error} If the denominator is 0
+ */
+Quantity.fraction = (numerator, denominator = 1) => {
+  if (denominator === 0) throw new Error('Fraction denominator must not be 0');
+  if (!Number.isInteger(numerator) || !Number.isInteger(denominator)) {
+    return Quantity.fromNumber(numerator / denominator);
+  }
+  const divisor = gcd(numerator, denominator) * Math.sign(denominator);
+  const [reducedNumerator, reducedDenominator] = [
+    numerator / divisor,
+    denominator / divisor,
+  ];
+  if (isDecimalDenominator(reducedDenominator)) {
+    return reducedNumerator / reducedDenominator;
+  }
+  return {
+    type: 'fraction',
+    numerator: reducedNumerator,
+    denominator: reducedDenominator,
+  };
+};
+
+/**
+ * Creates a quantity from a number, recognizing the kitchen fraction a float
+ * stands for: 1/3 becomes the fraction 1/3 and 0.1 + 0.2 becomes 0.3. Other
+ * floats, such as converted amounts, stay numbers.
+ * @param {number} value - The number
+ * @returns {number|Fraction}
+ */
+Quantity.fromNumber = (value) => {
+  const rational = toRational(value);
+  return rational ? Quantity.fraction(...rational) : value;
+};
+
+/**
+ * Creates a range of amounts, e.g. 1–2 teaspoons. A range whose ends are
+ * equal is that amount.
+ * @param {number|string|Fraction} min - The lower end
+ * @param {number|string|Fraction} max - The upper end
+ * @returns {Quantity}
+ * @throws {Error} If an end is not numeric or max is less than min
+ */
+Quantity.range = (min, max) => {
+  const [low, high] = [Quantity(min), Quantity(max)];
+  if (!Quantity.isNumeric(low) || !Quantity.isNumeric(high)) {
+    throw new Error('Both ends of a quantity range must be numeric');
+  }
+  const difference = Quantity.toNumber(high) - Quantity.toNumber(low);
+  if (difference < 0) {
+    throw new Error(
+      `Invalid quantity range ${Quantity.format(low)}-${Quantity.format(high)}`
+    );
+  }
+  return difference === 0 ? low : { type: 'range', min: low, max: high };
+};
+
+/**
+ * Creates a non-numeric amount, e.g. "a pinch", "to taste" or "optional"
+ * @param {string} text - The amount in words
+ * @returns {TextQuantity}
+ */
+Quantity.text = (text) => ({ type: 'text', text: String(text).trim() });
+
+// -------------------- Parsing --------------------
+
+/**
+ * Replaces unicode fractions with ASCII ones: "1½" becomes "1 1/2"
+ * @param {string} text - The text
+ * @returns {string} The text with ASCII fractions
+ */
+Quantity.expandFractions = (text) =>
+  String(text)
+    .replace(/⁄/g, '/')
+    .replace(
+      new RegExp(
+        `(\\d*)\\s*([${Object.keys(UNICODE_FRACTIONS).join('')}])`,
+        'g'
+      ),
+      (match, whole, fraction) => {
+        const [numerator, denominator] = UNICODE_FRACTIONS[fraction];
+        return `${whole ? `${whole} ` : ''}${numerator}/${denominator}`;
+      }
+    );
+
+/**
+ * A number: a mixed number (1 1/2), a fraction (3/4) or a decimal (1.5 or
+ * 1,5), after unicode fractions have been expanded
+ * @type {string}
+ */
+Quantity.NUMBER_PATTERN = '(?:\\d+\\s+\\d+/\\d+|\\d+/\\d+|\\d+(?:[.,]\\d+)?)';
+
+/**
+ * Parses a number such as 2, 1.5, 1,5, 3/4 or 1 1/2, keeping fractions
+ * exact
+ * @param {string} text - The number, with ASCII fractions
+ * @returns {number|Fraction}
+ */
+const parseNumber = (text) =>
+  text
+    .replace(',', '.')
+    .trim()
+    .split(/\s+/)
+    .map((part) => {
+      const [numerator, denominator] = part.split('/');
+      return denominator
+        ? Quantity.fraction(parseInt(numerator, 10), parseInt(denominator, 10))
+        : Quantity.fromNumber(parseFloat(part));
+    })
+    .reduce((total, part) => Quantity.add(total, part));
+
+/**
+ * Parses a quantity: a number, a fraction, a mixed number, a range such as
+ * "1-2", "1–2" or "2 to 3", or else a non-numeric amount such as "to taste"
+ * @param {string} text - The text to parse
+ * @returns {Quantity}
+ * @throws {Error} If the text is empty
+ */
+Quantity.parse = (text) => {
+  const source = Quantity.expandFractions(text).trim();
+  if (!source) throw new Error('Invalid quantity: it is empty');
+
+  const number = Quantity.NUMBER_PATTERN;
+  const range = new RegExp(
+    `^(${number})\\s*(?:-|–|—|to)\\s*(${number})$`,
+    'i'
+  ).exec(source);
+  if (range)
+    return Quantity.range(parseNumber(range[1]), parseNumber(range[2]));
+  if (new RegExp(`^${number}$`).test(source)) return parseNumber(source);
+  return Quantity.text(source);
+};
+
+// -------------------- Inspection --------------------
+
+/**
+ * Returns whether a quantity is a single number or fraction
+ * @param {Quantity} quantity - The quantity
+ * @returns {boolean} True if the quantity is numeric
+ */
+Quantity.isNumeric = (quantity) =>
+  typeof quantity === 'number' ||
+  Boolean(quantity && quantity.type === 'fraction');
+
+/**
+ * Returns whether a quantity is a range
+ * @param {Quantity} quantity - The quantity
+ * @returns {boolean} True if the quantity is a range
+ */
+Quantity.isRange = (quantity) => Boolean(quantity && quantity.type === 'range');
+
+/**
+ * Returns whether a quantity is non-numeric, such as "to taste"
+ * @param {Quantity} quantity - The quantity
+ * @returns {boolean} True if the quantity is text
+ */
+Quantity.isText = (quantity) => Boolean(quantity && quantity.type === 'text');
+
+/**
+ * Converts a quantity to a number: the middle of a range, and null for
+ * non-numeric amounts
+ * @param {Quantity} quantity - The quantity
+ * @returns {number|null} The number
+ */
+Quantity.toNumber = (quantity) => {
+  if (typeof quantity === 'number') return quantity;
+  if (Quantity.isNumeric(quantity)) {
+    return quantity.numerator / quantity.denominator;
+  }
+  if (Quantity.isRange(quantity)) {
+    return (
+      (Quantity.toNumber(quantity.min) + Quantity.toNumber(quantity.max)) / 2
+    );
+  }
+  return null;
+};
+
+/**
+ * Returns a canonical key of a quantity, equal for equal quantities however
+ * they were written (0.5, 1/2 and "½" share the key "1/2")
+ * @param {Quantity} quantity - The quantity
+ * @returns {string} The key
+ */
+Quantity.toKey = (quantity) => {
+  const value = Quantity(quantity);
+  if (Quantity.isRange(value)) {
+    return `${Quantity.toKey(value.min)}-${Quantity.toKey(value.max)}`;
+  }
+  if (Quantity.isText(value)) return value.text.toLowerCase();
+  const rational = rationalOf(value);
+  if (!rational) return String(value);
+  return rational[1] === 1 ? String(rational[0]) : rational.join('/');
+};
+
+/**
+ * Returns whether two quantities are equal
+ * @param {Quantity} a - The first quantity
+ * @param {Quantity} b - The second quantity
+ * @returns {boolean} True if the quantities are equal
+ */
+Quantity.equals = (a, b) => Quantity.toKey(a) === Quantity.toKey(b);
+
+// -------------------- Arithmetic --------------------
+
+/**
+ * Applies a function to the numbers of a quantity: to both ends of a
+ * range, and not at all to non-numeric amounts
+ * @param {Quantity} quantity - The quantity
+ * @param {function(number): number} fn - The function to apply
+ * @returns {Quantity} The new quantity
+ */
+Quantity.map = (quantity, fn) => {
+  const value = Quantity(quantity);
+  if (Quantity.isText(value)) return value;
+  if (Quantity.isRange(value)) {
+    return Quantity.range(
+      Quantity.map(value.min, fn),
+      Quantity.map(value.max, fn)
+    );
+  }
+  return Quantity.fromNumber(fn(Quantity.toNumber(value)));
+};
+
+/**
+ * Multiplies a quantity, exactly when both are fractions: 1 × 1/3 is 1/3,
+ * not 0.3333333. Non-numeric amounts are left as they are.
+ * @param {Quantity} quantity - The quantity
+ * @param {number|Fraction} factor - The factor
+ * @returns {Quantity} The product
+ */
+Quantity.multiply = (quantity, factor) => {
+  const value = Quantity(quantity);
+  if (Quantity.isText(value)) return value;
+  if (Quantity.isRange(value)) {
+    return Quantity.range(
+      Quantity.multiply(value.min, factor),
+      Quantity.multiply(value.max, factor)
+    );
+  }
+  const [a, b] = [rationalOf(value), rationalOf(Quantity(factor))];
+  return a && b
+    ? Quantity.fraction(a[0] * b[0], a[1] * b[1])
+    : Quantity.fromNumber(
+        Quantity.toNumber(value) * Quantity.toNumber(Quantity(factor))
+      );
+};
+
+/**
+ * Adds two quantities, exactly when both are fractions. Adding to a range
+ * adds to both of its ends.
+ * @param {Quantity} a - The first quantity
+ * @param {Quantity} b - The second quantity
+ * @returns {Quantity} The sum
+ * @throws {Error} If either quantity is non-numeric
+ */
+Quantity.add = (a, b) => {
+  const [first, second] = [Quantity(a), Quantity(b)];
+  if (Quantity.isText(first) || Quantity.isText(second)) {
+    throw new Error(
+      `Cannot add non-numeric quantities ${Quantity.format(
+        first
+      )} and ${Quantity.format(second)}`
+    );
+  }
+  if (Quantity.isRange(first) || Quantity.isRange(second)) {
+    const ends = (value) =>
+      Quantity.isRange(value) ? [value.min, value.max] : [value, value];
+    const [[minA, maxA], [minB, maxB]] = [ends(first), ends(second)];
+    return Quantity.range(Quantity.add(minA, minB), Quantity.add(maxA, maxB));
+  }
+  const [x, y] = [rationalOf(first), rationalOf(second)];
+  return x && y
+    ? Quantity.fraction(x[0] * y[1] + y[0] * x[1], x[1] * y[1])
+    : Quantity.fromNumber(Quantity.toNumber(first) + Quantity.toNumber(second));
+};
+
+// -------------------- Formatting --------------------
+
+/**
+ * Formats a number with kitchen fractions, e.g. "1 ½" or "⅓"; numbers
+ * that are no kitchen fraction get at most two decimals
+ * @param {number} value - The number
+ * @param {boolean} ascii - Whether to write 1/2 instead of ½
+ * @returns {string} The formatted number
+ */
+const formatNumber = (value, ascii) => {
+  const sign = value < 0 ? '-' : '';
+  const absolute = Math.abs(value);
+  let whole = Math.floor(absolute);
+  const part = absolute - whole;
+
+  const denominator = KITCHEN_DENOMINATORS.find(
+    (candidate) =>
+      Math.abs(part * candidate - Math.round(part * candidate)) <=
+      KITCHEN_TOLERANCE * candidate
+  );
+  if (!denominator) return `${sign}${Number(absolute.toFixed(2))}`;
+
+  let numerator = Math.round(part * denominator);
+  if (numerator === denominator) {
+    whole += 1;
+    numerator = 0;
+  }
+  if (numerator === 0) return `${sign}${whole}`;
+
+  const divisor = gcd(numerator, denominator);
+  const [n, d] = [numerator / divisor, denominator / divisor];
+  const glyph = Object.keys(UNICODE_FRACTIONS).find(
+    (key) => UNICODE_FRACTIONS[key][0] === n && UNICODE_FRACTIONS[key][1] === d
+  );
+  const fraction = ascii || !glyph ? `${n}/${d}` : glyph;
+  return `${sign}${whole ? `${whole} ` : ''}${fraction}`;
+};
+
+/**
+ * Formats a quantity for cooks: kitchen fractions such as "1 ½" or "⅓",
+ * ranges such as "1–2", and non-numeric amounts as written
+ * @param {Quantity} quantity - The quantity
+ * @param {Object} [options={}] - The formatting options
+ * @param {boolean} [options.ascii=false] - Write 1/2 and 1-2 instead of ½ and 1–2
+ * @returns {string} The formatted quantity
+ */
+Quantity.format = (quantity, { ascii = false } = {}) => {
+  const value = Quantity(quantity);
+  if (Quantity.isText(value)) return value.text;
+  if (Quantity.isRange(value)) {
+    return `${Quantity.format(value.min, { ascii })}${
+      ascii ? '-' : '–'
+    }${Quantity.format(value.max, { ascii })}`;
+  }
+  return formatNumber(Quantity.toNumber(value), ascii);
+};
+
+export { Quantity };
@@ -0,0 +1,161 @@
+import { normalizeName, lookupName } from './names.js';
+import { Quantity } from './quantity.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * How an ingredient's amount follows the scaling factor: the amount is
+ * multiplied by factor^exponent, then rounded to whole units if `whole`
+ * @typedef {Object} ScalingRule
+ * @property {number} [exponent=1] - 1 scales linearly, less than 1 sub-linearly
+ * @property {boolean} [whole=false] - Round to whole units, never below one
+ */
+
+/**
+ * @typedef {Object} ScalingRuleEntry
+ * @property {string} name - The canonical ingredient name
+ * @property {ScalingRule} rule - The scaling rule
+ * @property {string[]} aliases - Alternative names of the ingredient
+ */
+
+// -------------------- Scaling Rules --------------------
+
+/**
+ * Spices and salt are noticed more than they scale, so doubling a recipe
+ * calls for about 1.7 times as much
+ */
+const SPICE = { exponent: 0.75 };
+
+/**
+ * Leavening lifts the batter of a pan, not of a batch: the amount grows a
+ * little slower than spices
+ */
+const LEAVENING = { exponent: 0.7 };
+
+/**
+ * Things that only come whole
+ */
+const WHOLE = { exponent: 1, whole: true };
+
+/**
+ * Scaling rules of common ingredients: [name, rule, aliases]. Ingredients
+ * not listed scale linearly.
+ */
+// prettier-ignore
+const COMMON_RULES = [
+  // Spices and seasoning
+  ['salt', SPICE, ['table salt', 'sea salt', 'kosher salt', 'fine salt', 'sale']],
+  ['black pepper', SPICE, ['pepper', 'ground black pepper', 'white pepper']],
+  ['chili flakes', SPICE, ['red pepper flakes', 'chilli flakes', 'cayenne', 'cayenne pepper', 'chili powder']],
+  ['ground cinnamon', SPICE, ['cinnamon']],
+  ['ground nutmeg', SPICE, ['nutmeg']],
+  ['ground cumin', SPICE, ['cumin']],
+  ['paprika', SPICE, ['smoked paprika']],
+  ['dried oregano', SPICE, ['oregano']],
+  ['dried thyme', SPICE, ['thyme']],
+  ['ground ginger', SPICE, []],
+  ['ground cloves', SPICE, []],
+  ['curry powder', SPICE, []],
+  ['vanilla extract', SPICE, ['vanilla']],
+  // Leavening
+  ['baking powder', LEAVENING, ['lievito']],
+  ['baking soda', LEAVENING, ['bicarbonate of soda', 'sodium bicarbonate']],
+  ['yeast', LEAVENING, ['dry yeast', 'instant yeast', 'active dry yeast', 'fresh yeast']],
+  // Whole units
+  ['egg', WHOLE, ['eggs', 'egg yolk', 'egg yolks', 'egg white', 'egg whites', 'uova', 'uovo']],
+  ['bay leaf', { exponent: 0.75, whole: true }, ['bay leaves']],
+  // Named like spices, but scale linearly
+  ['bell pepper', { exponent: 1 }, ['bell peppers', 'red bell pepper', 'green bell pepper']],
+];
+
+/** @type {Map<string, ScalingRuleEntry>} */
+const rules = new Map();
+
+// -------------------- Rule Utilities --------------------
+
+/**
+ * Registers the scaling rule of an ingredient, replacing any existing entry
+ * @param {string} name - The ingredient name
+ * @param {ScalingRule} rule - The scaling rule
+ * @param {string[]} [aliases=[]] - Alternative names of the ingredient
+ * @returns {ScalingRuleEntry} The registered entry
+ * @throws {Error} If the exponent is not a positive number
+ */
+const registerScalingRule = (name, rule, aliases = []) => {
+  const exponent = rule.exponent ?? 1;
+  if (typeof exponent !== 'number' || !(exponent > 0)) {
+    throw new Error(`Scaling exponent of ${name} must be a positive number`);
+  }
+  const entry = {
+    name,
+    rule: { exponent, whole: Boolean(rule.whole) },
+    aliases,
+  };
+  [name, ...aliases].forEach((alias) => rules.set(normalizeName(alias), entry));
+  return entry;
+};
+
+/**
+ * Looks up the scaling rule of an ingredient. An ingredient's own `scaling`
+ * property wins; otherwise the rule table is searched by exact name,
+ * singular form, then the longest known name contained in it (so "sea salt
+ * flakes" scales like salt). Unknown ingredients scale linearly.
+ * @param {string|Entity} ingredient - The ingredient or its name
+ * @returns {ScalingRule} The scaling rule
+ */
+const getScalingRule = (ingredient) => {
+  if (ingredient && typeof ingredient === 'object') {
+    if (ingredient.scaling) return { exponent: 1, ...ingredient.scaling };
+    ingredient = ingredient.name;
+  }
+  const linear = { exponent: 1, whole: false };
+  if (!ingredient) return linear;
+
+  const match = lookupName(rules, ingredient);
+
+  return match ? match.rule : linear;
+};
+
+COMMON_RULES.forEach(([name, rule, aliases]) =>
+  registerScalingRule(name, rule, aliases)
+);
+
+// -------------------- Scaling --------------------
+
+/**
+ * Rounds a sub-linearly scaled amount to something measurable: whole
+ * numbers from 10 up, eighths below
+ * @param {number} value - The amount
+ * @returns {number} The rounded amount
+ */
+const roundMeasurable = (value) =>
+  value >= 10 ? Math.round(value) : Math.max(1, Math.round(value * 8)) / 8;
+
+/**
+ * Scales an ingredient's amount by its scaling rule. Linear amounts stay
+ * exact; sub-linear ones are rounded to eighths (whole numbers from 10 up),
+ * and whole units are rounded to the nearest whole number, never below
+ * one. Amounts in words are kept.
+ * @param {Entity} ingredient - The ingredient
+ * @param {number|Quantity} factor - The scaling factor
+ * @returns {Entity} A copy of the ingredient with the scaled amount
+ */
+const scaleIngredient = (ingredient, factor) => {
+  if (ingredient.amount === undefined || ingredient.amount === null) {
+    return { ...ingredient };
+  }
+  const rule = getScalingRule(ingredient);
+  const multiplier = Quantity.toNumber(Quantity(factor)) ** rule.exponent;
+  let amount =
+    rule.exponent === 1
+      ? Quantity.multiply(ingredient.amount, factor)
+      : Quantity.map(ingredient.amount, (value) =>
+          roundMeasurable(value * multiplier)
+        );
+  if (rule.whole) {
+    amount = Quantity.map(amount, (value) => Math.max(1, Math.round(value)));
+  }
+  return { ...ingredient, amount };
+};
+
+export { registerScalingRule, getScalingRule, scaleIngredient };
@@ -0,0 +1,204 @@
+import { ActionType } from './enums.js';
+
+// -------------------- Recipe JSON Schema --------------------
+
+/**
+ * The version of the serialization format written by Recipe#toJSON. Bump it
+ * together with the schema and register a migration from the previous
+ * version in serialization.js.
+ * @type {number}
+ */
+const FORMAT_VERSION = 3;
+
+/**
+ * JSON Schema (draft 2020-12) of the serialized recipe format
+ * @type {Object}
+ */
+const recipeSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://github.com/AlessandroAnnini/tegamino/schema/recipe.schema.json',
+  title: 'Recipe',
+  type: 'object',
+  required: ['formatVersion', 'name', 'ingredients', 'steps'],
+  properties: {
+    formatVersion: { const: FORMAT_VERSION },
+    // Everything a Recipe can be built with loads again: an empty name or
+    // zero servings is for validate() to report, not for loading to refuse
+    name: { type: 'string' },
+    ingredients: { type: 'array', items: { $ref: '#/$defs/entity' } },
+    tools: { type: 'array', items: { $ref: '#/$defs/entity' } },
+    appliances: { type: 'array', items: { $ref: '#/$defs/entity' } },
+    steps: { type: 'array', items: { $ref: '#/$defs/step' } },
+    servings: { type: 'number' },
+    difficulty: { type: 'string' },
+    estimatedTime: {
+      anyOf: [{ $ref: '#/$defs/measure' }, { type: 'null' }],
+    },
+    nutritionInfo: { type: ['object', 'null'] },
+    miseEnPlace: { type: 'array', items: { type: 'string' } },
+    servingSuggestions: { type: 'array', items: { type: 'string' } },
+    substitutions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['original', 'alternative'],
+        properties: {
+          original: { $ref: '#/$defs/entity' },
+          alternative: { $ref: '#/$defs/entity' },
+        },
+      },
+    },
+    tags: { type: 'array', items: { type: 'string' } },
+    id: { type: 'string', minLength: 1 },
+    lineage: { type: 'array', items: { $ref: '#/$defs/parentReference' } },
+    history: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['version', 'operation', 'at'],
+        properties: {
+          version: { type: 'integer', exclusiveMinimum: 0 },
+          operation: { type: 'string' },
+          details: { type: 'object' },
+          at: { type: 'string' },
+          snapshot: { type: 'object' },
+          changes: { type: 'object' },
+        },
+      },
+    },
+  },
+  $defs: {
+    parentReference: {
+      type: 'object',
+      required: ['recipe'],
+      properties: {
+        id: { type: 'string' },
+        recipe: { type: 'string' },
+        version: { type: 'integer' },
+        operation: { type: 'string' },
+        details: { type: 'object' },
+      },
+    },
+    entity: {
+      type: 'object',
+      required: ['type', 'name'],
+      properties: {
+        type: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        amount: {
+          anyOf: [{ $ref: '#/$defs/quantity' }, { type: 'null' }],
+        },
+      },
+    },
+    quantity: {
+      anyOf: [
+        { type: 'number' },
+        { $ref: '#/$defs/fraction' },
+        {
+          type: 'object',
+          required: ['type', 'min', 'max'],
+          properties: {
+            type: { const: 'range' },
+            min: { anyOf: [{ type: 'number' }, { $ref: '#/$defs/fraction' }] },
+            max: { anyOf: [{ type: 'number' }, { $ref: '#/$defs/fraction' }] },
+          },
+        },
+        {
+          type: 'object',
+          required: ['type', 'text'],
+          properties: {
+            type: { const: 'text' },
+            text: { type: 'string' },
+          },
+        },
+      ],
+    },
+    fraction: {
+      type: 'object',
+      required: ['type', 'numerator', 'denominator'],
+      properties: {
+        type: { const: 'fraction' },
+        numerator: { type: 'number' },
+        denominator: { type: 'number', exclusiveMinimum: 0 },
+      },
+    },
+    measure: {
+      type: 'object',
+      required: ['value', 'unit'],
+      properties: {
+        value: { type: 'number' },
+        unit: { type: 'string' },
+      },
+    },
+    step: {
+      type: 'object',
+      required: ['actions'],
+      properties: {
+        actions: { type: 'array', items: { $ref: '#/$defs/action' } },
+        threads: { type: 'array', items: { $ref: '#/$defs/step' } },
+        cues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type', 'description'],
+            properties: {
+              type: { type: 'string' },
+              description: { type: 'string' },
+            },
+          },
+        },
+        adjustments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['condition', 'action'],
+            properties: {
+              condition: { type: 'string' },
+              action: { type: 'string' },
+            },
+          },
+        },
+        sensoryChecks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type', 'description'],
+            properties: {
+              type: { type: 'string' },
+              description: { type: 'string' },
+              adjustment: { type: ['string', 'null'] },
+            },
+          },
+        },
+      },
+    },
+    action: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: Object.values(ActionType) },
+        ingredient: { $ref: '#/$defs/entity' },
+        container: {
+          anyOf: [{ $ref: '#/$defs/entity' }, { type: 'null' }],
+        },
+        from: { anyOf: [{ $ref: '#/$defs/entity' }, { type: 'null' }] },
+        to: { $ref: '#/$defs/entity' },
+        appliance: { $ref: '#/$defs/entity' },
+        equipment: {
+          anyOf: [{ $ref: '#/$defs/entity' }, { type: 'string' }],
+        },
+        technique: { type: 'string' },
+        temperature: {
+          anyOf: [{ $ref: '#/$defs/measure' }, { type: 'string' }],
+        },
+        targetTemperature: { $ref: '#/$defs/measure' },
+        duration: { $ref: '#/$defs/measure' },
+        condition: { type: 'string' },
+        method: { type: 'string' },
+        text: { type: 'string' },
+      },
+    },
+  },
+};
+
+export { FORMAT_VERSION, recipeSchema };
@@ -0,0 +1,297 @@
+import crypto from 'node:crypto';
+
+import { canonical } from './diff.js';
+import { FORMAT_VERSION, recipeSchema } from './schema.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - JSON Pointer to the offending value, e.g. '/steps/0/threads'
+ * @property {string} message - What is wrong with the value
+ */
+
+// -------------------- Schema Validation --------------------
+
+/**
+ * Returns the JSON Schema type of a value
+ * @param {*} value - The value
+ * @returns {string} The type name
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Checks a value against a schema type
+ * @param {*} value - The value
+ * @param {string} type - The schema type
+ * @returns {boolean} True if the value has the type
+ */
+const hasType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validates a value against the subset of JSON Schema used by recipeSchema
+ * (type, const, enum, required, properties, items, anyOf, minLength,
+ * exclusiveMinimum and local $ref)
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema to validate against
+ * @param {string} [path=''] - The JSON Pointer of the value
+ * @param {Object} [root=schema] - The root schema, for resolving $ref
+ * @returns {SchemaError[]} The errors found
+ */
+const validateAgainstSchema = (value, schema, path = '', root = schema) => {
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, key) => node[key], root);
+    return validateAgainstSchema(value, target, path, root);
+  }
+
+  const at = path || '/';
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) =>
+      validateAgainstSchema(value, option, path, root)
+    );
+    if (attempts.some((errors) => errors.length === 0)) return [];
+    // Report the option that got furthest, i.e. failed deepest
+    return attempts.sort(
+      (a, b) =>
+        Math.max(...b.map((error) => error.path.length)) -
+        Math.max(...a.map((error) => error.path.length))
+    )[0];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [{ path: at, message: `must be ${JSON.stringify(schema.const)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      {
+        path: at,
+        message: `must be one of ${schema.enum
+          .map((option) => JSON.stringify(option))
+          .join(', ')}`,
+      },
+    ];
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return [{ path: at, message: 'must not be empty' }];
+  }
+  if (
+    schema.exclusiveMinimum !== undefined &&
+    !(value > schema.exclusiveMinimum)
+  ) {
+    return [
+      { path: at, message: `must be greater than ${schema.exclusiveMinimum}` },
+    ];
+  }
+
+  const errors = [];
+  if (typeOf(value) === 'object') {
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => {
+        errors.push({ path: `${path}/${key}`, message: 'is required' });
+      });
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, propertySchema]) => {
+        errors.push(
+          ...validateAgainstSchema(
+            value[key],
+            propertySchema,
+            `${path}/${key}`,
+            root
+          )
+        );
+      });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(
+        ...validateAgainstSchema(item, schema.items, `${path}/${index}`, root)
+      );
+    });
+  }
+  return errors;
+};
+
+/**
+ * Validates a serialized recipe against the current schema
+ * @param {Object} document - The parsed recipe document
+ * @returns {SchemaError[]} The errors found
+ */
+const validateDocument = (document) =>
+  validateAgainstSchema(document, recipeSchema);
+
+// -------------------- Migrations --------------------
+
+/** @type {Map<number, function(Object): Object>} */
+const migrations = new Map();
+
+/**
+ * Registers a migration that upgrades a document from one format version to
+ * the next
+ * @param {number} fromVersion - The version the migration upgrades from
+ * @param {function(Object): Object} migrate - Returns the upgraded document
+ */
+const registerMigration = (fromVersion, migrate) => {
+  migrations.set(fromVersion, migrate);
+};
+
+/**
+ * Upgrades a document to the current format version by running the
+ * registered migrations one after another. Documents without a
+ * formatVersion are version 1.
+ * @param {Object} document - The parsed recipe document
+ * @returns {Object} The upgraded document
+ * @throws {Error} If the version is newer than supported or a migration is missing
+ */
+const migrateDocument = (document) => {
+  let version =
+    document.formatVersion === undefined ? 1 : document.formatVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid recipe formatVersion ${version}`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+      `Recipe formatVersion ${version} is newer than the supported version ${FORMAT_VERSION}`
+    );
+  }
+
+  let migrated = document;
+  while (version < FORMAT_VERSION) {
+    const migrate = migrations.get(version);
+    if (!migrate) {
+      throw new Error(`No migration registered from formatVersion ${version}`);
+    }
+    version += 1;
+    migrated = { ...migrate(migrated), formatVersion: version };
+  }
+  return migrated;
+};
+
+/**
+ * Fills in the step arrays that version 1 documents could omit
+ * @param {Object} step - The version 1 step
+ * @returns {Object} The version 2 step
+ */
+const migrateStepV1 = (step) => ({
+  ...step,
+  actions: step.actions || [],
+  threads: (step.threads || []).map(migrateStepV1),
+  cues: step.cues || [],
+  adjustments: step.adjustments || [],
+  sensoryChecks: step.sensoryChecks || [],
+});
+
+// Version 1 had no formatVersion and trusted every array to be present
+registerMigration(1, (document) => ({
+  tools: [],
+  appliances: [],
+  miseEnPlace: [],
+  servingSuggestions: [],
+  substitutions: [],
+  tags: [],
+  ...document,
+  ingredients: document.ingredients || [],
+  steps: (document.steps || []).map(migrateStepV1),
+}));
+
+/**
+ * Derives the id of a document that has none from its content, shaped as a
+ * UUID, so that loading the same document twice gives the same id
+ * @param {Object} document - The document
+ * @returns {string} The id
+ */
+const contentId = ({ formatVersion, id, lineage, history, ...content }) => {
+  const hex = crypto
+    .createHash('sha256')
+    .update(canonical(content))
+    .digest('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    // Version 5 (name-based) and RFC 4122 variant nibbles
+    `5${hex.slice(13, 16)}`,
+    `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}`,
+    hex.slice(20, 32),
+  ].join('-');
+};
+
+// Version 2 recorded only the recipe a variant was derived from; version 3
+// adds ids and the version log, and keeps every ancestor in `lineage`
+registerMigration(2, ({ derivedFrom, ...document }) => ({
+  ...document,
+  id: document.id || contentId(document),
+  lineage: derivedFrom
+    ? [
+        {
+          recipe: derivedFrom.recipe,
+          operation: 'applySubstitution',
+          ...(derivedFrom.substitution && {
+            details: derivedFrom.substitution,
+          }),
+        },
+      ]
+    : [],
+}));
+
+// -------------------- Loading --------------------
+
+/**
+ * Parses, migrates and validates a serialized recipe
+ * @param {string|Object} json - The JSON string or the parsed document
+ * @returns {Object} The validated document in the current format version
+ * @throws {Error} If the JSON is malformed or the document is invalid; the error carries the schema errors in `errors`
+ */
+const loadDocument = (json) => {
+  let document = json;
+  if (typeof json === 'string') {
+    try {
+      document = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid recipe JSON: ${error.message}`);
+    }
+  }
+  if (typeOf(document) !== 'object') {
+    throw new Error('Invalid recipe document: must be an object');
+  }
+
+  const migrated = migrateDocument(document);
+  const errors = validateDocument(migrated);
+  if (errors.length > 0) {
+    const error = new Error(
+      `Invalid recipe document: ${errors
+        .map(({ path, message }) => `${path} ${message}`)
+        .join('; ')}`
+    );
+    error.errors = errors;
+    throw error;
+  }
+  return migrated;
+};
+
+export {
+  FORMAT_VERSION,
+  recipeSchema,
+  validateAgainstSchema,
+  validateDocument,
+  registerMigration,
+  migrateDocument,
+  loadDocument,
+};
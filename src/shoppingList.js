@@ -0,0 +1,337 @@
+import { getDensity } from './densities.js';
+import { formatIngredient } from './instructions.js';
+import { normalizeName, singularize, lookupName } from './names.js';
+import { Quantity } from './quantity.js';
+import unitConverter from './unitConverter.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * A recipe to shop for, optionally scaled to a number of servings
+ * @typedef {Object} ShoppingEntry
+ * @property {Recipe} recipe - The recipe
+ * @property {number} [servings] - The servings to shop for, the recipe's by default
+ */
+
+/**
+ * An amount of an ingredient to buy
+ * @typedef {Object} ShoppingQuantity
+ * @property {number|Quantity} [amount] - The amount, missing when the recipes give none
+ * @property {string} [unit] - The unit of the amount
+ */
+
+/**
+ * @typedef {Object} ShoppingItem
+ * @property {string} name - The ingredient name, as first written
+ * @property {string} category - The store category
+ * @property {ShoppingQuantity[]} quantities - The amounts to buy, one per group of compatible units
+ * @property {string[]} recipes - The names of the recipes using the ingredient
+ */
+
+/**
+ * @typedef {Object} ShoppingList
+ * @property {{name: string, servings: number}[]} recipes - The recipes shopped for
+ * @property {{name: string, items: ShoppingItem[]}[]} categories - The items by store category, in store order
+ */
+
+// -------------------- Store Categories --------------------
+
+/**
+ * Store categories in the order a shop is walked through, with their
+ * emoji; ingredients of unknown category go to 'Other'
+ */
+// prettier-ignore
+const STORE_CATEGORIES = [
+  ['Produce', '🥬'],
+  ['Bakery', '🥖'],
+  ['Dairy & Eggs', '🥛'],
+  ['Meat & Seafood', '🥩'],
+  ['Pantry', '🥫'],
+  ['Baking', '🧁'],
+  ['Spices & Seasonings', '🧂'],
+  ['Oils & Condiments', '🫙'],
+  ['Beverages', '☕'],
+  ['Frozen', '🧊'],
+  ['Other', '🛒'],
+];
+
+/**
+ * The store category of common ingredients: [category, names]
+ */
+// prettier-ignore
+const COMMON_STORE_CATEGORIES = [
+  ['Produce', ['apple', 'banana', 'lemon', 'lime', 'orange', 'berries', 'strawberry', 'garlic', 'onion', 'shallot', 'carrot', 'celery', 'tomato', 'potato', 'bell pepper', 'zucchini', 'mushroom', 'spinach', 'lettuce', 'cucumber', 'broccoli', 'avocado', 'ginger', 'parsley', 'basil', 'cilantro', 'mint']],
+  ['Bakery', ['bread', 'baguette', 'tortilla', 'pita', 'biscotti', 'cookie']],
+  ['Dairy & Eggs', ['milk', 'butter', 'heavy cream', 'sour cream', 'buttermilk', 'yogurt', 'cheese', 'parmesan', 'mozzarella', 'ricotta', 'mascarpone', 'egg']],
+  ['Meat & Seafood', ['chicken', 'beef', 'pork', 'bacon', 'ham', 'sausage', 'lamb', 'turkey', 'fish', 'salmon', 'tuna', 'shrimp']],
+  ['Pantry', ['rice', 'pasta', 'spaghetti', 'rolled oats', 'couscous', 'lentils', 'chickpeas', 'beans', 'canned tomatoes', 'tomato paste', 'broth', 'stock', 'peanut butter', 'honey', 'maple syrup', 'almonds', 'walnuts']],
+  ['Baking', ['flour', 'all-purpose flour', 'sugar', 'brown sugar', 'powdered sugar', 'baking soda', 'baking powder', 'yeast', 'cornstarch', 'cocoa powder', 'chocolate', 'vanilla extract', 'gelatin']],
+  ['Spices & Seasonings', ['salt', 'black pepper', 'pepper', 'cinnamon', 'paprika', 'cumin', 'oregano', 'thyme', 'rosemary', 'nutmeg', 'chili flakes', 'bay leaf']],
+  ['Oils & Condiments', ['olive oil', 'vegetable oil', 'oil', 'vinegar', 'soy sauce', 'mustard', 'ketchup', 'mayonnaise', 'hot sauce']],
+  ['Beverages', ['coffee', 'espresso', 'tea', 'water', 'wine', 'beer', 'juice']],
+  ['Frozen', ['ice', 'ice cream', 'frozen peas']],
+];
+
+/** @type {Map<string, string>} */
+const categories = new Map();
+
+/**
+ * Registers the store category of an ingredient, replacing any existing
+ * entry
+ * @param {string} name - The ingredient name
+ * @param {string} category - The category, one of STORE_CATEGORIES or a new one
+ */
+const registerStoreCategory = (name, category) => {
+  categories.set(normalizeName(name), category);
+};
+
+/**
+ * Looks up the store category of an ingredient. An ingredient's own
+ * `storeCategory` property wins; otherwise the table is searched like the
+ * density table: exact name, singular form, then the longest known name
+ * contained in it (so "olive oil" is a condiment and "unsalted butter"
+ * dairy).
+ * @param {string|Entity} ingredient - The ingredient or its name
+ * @returns {string} The category, 'Other' if the ingredient is unknown
+ */
+const categorizeIngredient = (ingredient) => {
+  if (ingredient && typeof ingredient === 'object') {
+    if (ingredient.storeCategory) return ingredient.storeCategory;
+    ingredient = ingredient.name;
+  }
+  if (!ingredient) return 'Other';
+
+  return lookupName(categories, ingredient) || 'Other';
+};
+
+COMMON_STORE_CATEGORIES.forEach(([category, names]) =>
+  names.forEach((name) => registerStoreCategory(name, category))
+);
+
+// -------------------- Shopping List --------------------
+
+/**
+ * Returns whether a unit measures volume or mass
+ * @param {string} unit - The unit
+ * @returns {boolean} True for volume and mass units
+ */
+const isVolumeOrMass = (unit) =>
+  ['volume', 'mass'].includes(unitConverter.dimensionOf(unit));
+
+/**
+ * Adds an amount to the quantities of an item: to the quantity in the same
+ * unit, singular or plural, else to the first one in a unit it converts to (between volume and
+ * mass through the ingredient's density), else as a new quantity. Amounts
+ * in words are listed once each, and an item without any amount gets a
+ * single empty quantity.
+ * @param {ShoppingQuantity[]} quantities - The quantities of the item
+ * @param {Entity} ingredient - The ingredient with the amount
+ */
+const addQuantity = (quantities, ingredient) => {
+  const { amount, unit } = ingredient;
+  // An empty quantity only stands in until an amount comes
+  const empty = quantities.findIndex((quantity) => !('amount' in quantity));
+  if (empty !== -1) quantities.splice(empty, 1);
+  if (amount === undefined || amount === null) {
+    if (quantities.length === 0) quantities.push({});
+    return;
+  }
+  if (Quantity.isText(amount)) {
+    const listed = quantities.some(
+      (quantity) =>
+        Quantity.isText(quantity.amount) &&
+        Quantity.equals(quantity.amount, amount)
+    );
+    if (!listed) quantities.push({ amount, ...(unit && { unit }) });
+    return;
+  }
+  const unitKey = (name) => singularize(normalizeName(name));
+  const sameUnit = (other) =>
+    (!unit && !other) ||
+    (Boolean(unit) &&
+      Boolean(other) &&
+      (unitKey(unit) === unitKey(other) ||
+        (unitConverter.getUnit(unit) !== null &&
+          unitConverter.getUnit(unit) === unitConverter.getUnit(other))));
+  const convertsTo = (other) =>
+    Boolean(unit && other) &&
+    (unitConverter.canConvert(unit, other) ||
+      (isVolumeOrMass(unit) &&
+        isVolumeOrMass(other) &&
+        getDensity(ingredient) !== null));
+  const numeric = quantities.filter(
+    (quantity) => !Quantity.isText(quantity.amount)
+  );
+  const target =
+    numeric.find((quantity) => sameUnit(quantity.unit)) ||
+    numeric.find((quantity) => convertsTo(quantity.unit));
+  if (!target) {
+    quantities.push({ amount, ...(unit && { unit }) });
+    return;
+  }
+  target.amount = Quantity.add(
+    target.amount,
+    sameUnit(target.unit)
+      ? amount
+      : unitConverter.convertIngredient(ingredient, target.unit).amount
+  );
+  // "1 clove" and "2 cloves" add up to "3 cloves"
+  if (
+    unit &&
+    unitKey(unit) === unitKey(target.unit) &&
+    unitKey(target.unit) === normalizeName(target.unit)
+  ) {
+    target.unit = unit;
+  }
+};
+
+/**
+ * Builds the shopping list of several recipes: each is scaled to the
+ * servings asked for, then identical ingredients (by name, ignoring case
+ * and plurals) are merged. Amounts in units that convert into each other,
+ * including cups and grams of an ingredient with a known density, are
+ * added up in the unit met first; amounts in units that do not stay
+ * separate quantities of the same item. Items are grouped by store
+ * category and sorted by name.
+ * @param {Array<Recipe|ShoppingEntry>} entries - The recipes, or the recipes and their servings
+ * @returns {ShoppingList} The shopping list
+ * @throws {Error} If a recipe cannot be scaled to the servings asked for
+ */
+const buildShoppingList = (entries) => {
+  /** @type {Map<string, ShoppingItem>} */
+  const items = new Map();
+  const recipes = entries.map((entry) => {
+    const { recipe, servings } =
+      entry && entry.recipe ? entry : { recipe: entry };
+    const scaled =
+      servings === undefined || servings === recipe.servings
+        ? recipe
+        : recipe.scale({ servings });
+    scaled.ingredients.forEach((ingredient) => {
+      const key = singularize(normalizeName(ingredient.name));
+      if (!items.has(key)) {
+        items.set(key, {
+          name: ingredient.name,
+          category: categorizeIngredient(ingredient),
+          quantities: [],
+          recipes: [],
+        });
+      }
+      const item = items.get(key);
+      addQuantity(item.quantities, ingredient);
+      if (!item.recipes.includes(recipe.name)) item.recipes.push(recipe.name);
+    });
+    return { name: recipe.name, servings: scaled.servings };
+  });
+
+  const order = STORE_CATEGORIES.map(([name]) => name);
+  const rank = (category) =>
+    order.includes(category) ? order.indexOf(category) : order.length - 1;
+  const grouped = new Map();
+  [...items.values()]
+    .sort(
+      (a, b) =>
+        rank(a.category) - rank(b.category) || a.name.localeCompare(b.name)
+    )
+    .forEach((item) => {
+      if (!grouped.has(item.category)) grouped.set(item.category, []);
+      grouped.get(item.category).push(item);
+    });
+  return {
+    recipes,
+    categories: [...grouped].map(([name, categoryItems]) => ({
+      name,
+      items: categoryItems,
+    })),
+  };
+};
+
+// -------------------- Rendering --------------------
+
+/**
+ * Describes the quantities of an item, one line each, like the ingredients
+ * of Recipe#toText: "1 ½ cup Milk", "Salt, to taste"
+ * @param {ShoppingItem} item - The item
+ * @returns {string[]} The lines
+ */
+const formatItem = (item) =>
+  item.quantities.map((quantity) =>
+    formatIngredient({ name: item.name, ...quantity })
+  );
+
+/**
+ * Describes the servings of a recipe shopped for: "1 serving", "4 servings"
+ * @param {{servings: number}} recipe - The recipe
+ * @returns {string} The description
+ */
+const servingsOf = ({ servings }) =>
+  `${servings} serving${servings === 1 ? '' : 's'}`;
+
+/**
+ * Returns the emoji of a store category
+ * @param {string} category - The category
+ * @returns {string} The emoji
+ */
+const emojiOf = (category) =>
+  (STORE_CATEGORIES.find(([name]) => name === category) ||
+    STORE_CATEGORIES[STORE_CATEGORIES.length - 1])[1];
+
+/**
+ * Converts a shopping list to a text format with emojis
+ * @param {ShoppingList} list - The shopping list
+ * @returns {string} A formatted text representation of the list
+ */
+const toText = (list) => {
+  let text = `🛒 Shopping List\n\n`;
+
+  text += `🍽️ Recipes:\n`;
+  list.recipes.forEach((recipe) => {
+    text += `  • ${recipe.name} (${servingsOf(recipe)})\n`;
+  });
+
+  list.categories.forEach((category) => {
+    text += `\n${emojiOf(category.name)} ${category.name}:\n`;
+    category.items.forEach((item) => {
+      formatItem(item).forEach((line) => {
+        text += `  • ${line}\n`;
+      });
+    });
+  });
+
+  return text;
+};
+
+/**
+ * Converts a shopping list to a markdown format with emojis, items as
+ * task-list checkboxes
+ * @param {ShoppingList} list - The shopping list
+ * @returns {string} A formatted markdown representation of the list
+ */
+const toMarkdown = (list) => {
+  let md = `# 🛒 Shopping List\n\n`;
+
+  md += `## 🍽️ Recipes\n\n`;
+  list.recipes.forEach((recipe) => {
+    md += `- ${recipe.name} (${servingsOf(recipe)})\n`;
+  });
+
+  list.categories.forEach((category) => {
+    md += `\n## ${emojiOf(category.name)} ${category.name}\n\n`;
+    category.items.forEach((item) => {
+      formatItem(item).forEach((line) => {
+        md += `- [ ] ${line}\n`;
+      });
+    });
+  });
+
+  return md;
+};
+
+export {
+  STORE_CATEGORIES,
+  registerStoreCategory,
+  categorizeIngredient,
+  buildShoppingList,
+  toText,
+  toMarkdown,
+};
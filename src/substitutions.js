@@ -0,0 +1,175 @@
+import { normalizeName, lookupName } from './names.js';
+import { Quantity } from './quantity.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * A known way to replace one ingredient with another
+ * @typedef {Object} SubstitutionEntry
+ * @property {string} original - The ingredient replaced
+ * @property {string} alternative - The ingredient used instead
+ * @property {number|Quantity} ratio - The amount of the alternative per unit of the original
+ * @property {string} [unit] - The unit of the alternative, when it differs from the original's
+ * @property {string[]} steps - Instructions to carry out before the alternative is used
+ * @property {string} [note] - When the substitution works, or what to watch out for
+ */
+
+// -------------------- Substitution Catalog --------------------
+
+/**
+ * Common substitutions: [original, alternative, ratio, extras]. The ratio
+ * is the amount of the alternative per unit of the original, in the
+ * original's unit unless `extras.unit` says otherwise.
+ */
+// prettier-ignore
+const COMMON_SUBSTITUTIONS = [
+  // Fats
+  ['butter', 'vegetable oil', Quantity.fraction(3, 4), { note: 'For cakes, muffins and quick breads' }],
+  ['butter', 'margarine', 1, {}],
+  ['butter', 'coconut oil', 1, { note: 'Use it solid where butter is creamed' }],
+  // Dairy
+  ['milk', 'oat milk', 1, {}],
+  ['milk', 'soy milk', 1, {}],
+  ['milk', 'almond milk', 1, { note: 'Thinner and less rich' }],
+  ['buttermilk', 'milk', 1, { steps: ['Stir 1 tbsp of lemon juice into each cup of milk and let it stand for 5 minutes'] }],
+  ['heavy cream', 'coconut cream', 1, {}],
+  ['sour cream', 'greek yogurt', 1, {}],
+  // Eggs
+  ['egg', 'flax egg', 1, { steps: ['Mix 1 tbsp of ground flaxseed with 3 tbsp of water for each egg and let it thicken for 5 minutes'], note: 'For binding, not for rising' }],
+  // Flours and starches
+  ['all-purpose flour', 'gluten-free flour blend', 1, {}],
+  ['cake flour', 'all-purpose flour', Quantity.fraction(7, 8), { steps: ['Sift the flour with 2 tbsp of cornstarch per cup'] }],
+  ['cornstarch', 'all-purpose flour', 2, {}],
+  // Sugars
+  ['granulated sugar', 'honey', Quantity.fraction(3, 4), { note: 'Reduce the other liquids by a quarter' }],
+  ['brown sugar', 'granulated sugar', 1, {}],
+  // Flavourings
+  ['garlic', 'garlic powder', Quantity.fraction(1, 8), { unit: 'tsp' }],
+  ['soy sauce', 'tamari', 1, { note: 'Gluten-free' }],
+  ['white wine', 'vegetable broth', 1, {}],
+  ['coffee', 'decaf coffee', 1, {}],
+  ['espresso', 'decaf espresso', 1, {}],
+];
+
+/** @type {Map<string, SubstitutionEntry[]>} */
+const catalog = new Map();
+
+// -------------------- Catalog Utilities --------------------
+
+/**
+ * Registers a substitution, replacing any existing entry for the same pair
+ * of ingredients
+ * @param {string} original - The ingredient replaced
+ * @param {string} alternative - The ingredient used instead
+ * @param {number|Quantity} [ratio=1] - The amount of the alternative per unit of the original
+ * @param {Object} [extras={}] - The other details of the substitution
+ * @param {string} [extras.unit] - The unit of the alternative
+ * @param {string[]} [extras.steps=[]] - Instructions to carry out first
+ * @param {string} [extras.note] - When the substitution works
+ * @returns {SubstitutionEntry} The registered entry
+ * @throws {Error} If the ratio is not a positive number
+ */
+const registerSubstitution = (
+  original,
+  alternative,
+  ratio = 1,
+  { unit, steps = [], note } = {}
+) => {
+  if (!(Quantity.toNumber(Quantity(ratio)) > 0)) {
+    throw new Error(
+      `Ratio of ${alternative} for ${original} must be a positive number`
+    );
+  }
+  const entry = {
+    original,
+    alternative,
+    ratio,
+    ...(unit && { unit }),
+    steps,
+    ...(note && { note }),
+  };
+  const key = normalizeName(original);
+  catalog.set(key, [
+    ...(catalog.get(key) || []).filter(
+      (existing) =>
+        normalizeName(existing.alternative) !== normalizeName(alternative)
+    ),
+    entry,
+  ]);
+  return entry;
+};
+
+/**
+ * Lists the known substitutions for an ingredient. Ingredients are matched
+ * like densities: by exact name, by singular form, then by the longest
+ * known name contained in the ingredient name (so "unsalted butter" finds
+ * the substitutions for butter).
+ * @param {string|Entity} ingredient - The ingredient or its name
+ * @returns {SubstitutionEntry[]} The substitutions, in catalog order
+ */
+const findSubstitutions = (ingredient) => {
+  const name = normalizeName(
+    ingredient && typeof ingredient === 'object'
+      ? ingredient.name
+      : ingredient || ''
+  );
+  if (!name) return [];
+  return lookupName(catalog, name) || [];
+};
+
+/**
+ * Finds the catalog entry replacing an ingredient with a given alternative
+ * @param {string|Entity} original - The ingredient replaced, or its name
+ * @param {string|Entity} alternative - The ingredient used instead, or its name
+ * @returns {SubstitutionEntry|null} The entry, or null if the pair is not in the catalog
+ */
+const getSubstitution = (original, alternative) => {
+  const name = normalizeName(
+    typeof alternative === 'object' ? alternative.name : alternative
+  );
+  return (
+    findSubstitutions(original).find(
+      (entry) => normalizeName(entry.alternative) === name
+    ) || null
+  );
+};
+
+/**
+ * Lists all registered substitutions
+ * @returns {SubstitutionEntry[]} The registered entries
+ */
+const listSubstitutions = () => [...catalog.values()].flat();
+
+COMMON_SUBSTITUTIONS.forEach(([original, alternative, ratio, extras]) =>
+  registerSubstitution(original, alternative, ratio, extras)
+);
+
+// -------------------- Substituting --------------------
+
+/**
+ * Builds the ingredient replacing another: the alternative's own
+ * properties, with the original's amount times the ratio in the given unit
+ * (by default the original's). Amounts in words are kept.
+ * @param {Entity} original - The ingredient replaced
+ * @param {Entity} alternative - The ingredient used instead
+ * @param {number|Quantity} [ratio=1] - The amount of the alternative per unit of the original
+ * @param {string} [unit] - The unit of the alternative
+ * @returns {Entity} The replacing ingredient
+ */
+const substituteIngredient = (original, alternative, ratio = 1, unit) => {
+  const replacement = { ...alternative };
+  if (original.amount !== undefined && original.amount !== null) {
+    replacement.amount = Quantity.multiply(original.amount, ratio);
+  }
+  const replacementUnit = unit || original.unit;
+  if (replacementUnit) replacement.unit = replacementUnit;
+  return replacement;
+};
+
+export {
+  registerSubstitution,
+  findSubstitutions,
+  getSubstitution,
+  listSubstitutions,
+  substituteIngredient,
+};
@@ -0,0 +1,245 @@
+import { ActionType } from './enums.js';
+import { Duration } from './measurement.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {number} step - The 1-based index of the recipe step
+ * @property {string} thread - The thread label: '' for the main thread, 'a', 'b', ... for parallel threads ('ab' for a thread nested in thread 'a')
+ * @property {Object} action - The scheduled action
+ * @property {number} start - The start offset in seconds from the beginning of the recipe
+ * @property {number} end - The end offset in seconds from the beginning of the recipe
+ * @property {boolean} passive - Whether the action runs unattended
+ * @property {boolean} critical - Whether the action is on the critical path
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {TimelineEntry[]} entries - Every scheduled action, in recipe order
+ * @property {TimelineEntry[]} criticalPath - The chain of actions that determines the total time
+ * @property {Duration} totalTime - The length of the critical path
+ * @property {Duration} activeTime - The total hands-on time across all threads
+ * @property {Duration} passiveTime - The total unattended time across all threads
+ * @property {Object|null} estimatedTime - How the declared estimatedTime compares to the computed one, or null if none is declared
+ * @property {Duration} estimatedTime.declared - The declared estimated time
+ * @property {Duration} estimatedTime.computed - The computed total time
+ * @property {Duration} estimatedTime.difference - The absolute difference
+ * @property {boolean} estimatedTime.matches - Whether the difference is within tolerance
+ */
+
+// -------------------- Scheduling --------------------
+
+/**
+ * Action types that run unattended by default
+ */
+const PASSIVE_ACTION_TYPES = [
+  ActionType.REST,
+  ActionType.PREHEAT,
+  ActionType.HEAT,
+];
+
+/**
+ * Schedules a step starting at a given offset. The main thread runs its
+ * actions one after another while every parallel thread starts together with
+ * it; the step ends when the last of them ends.
+ * @param {RecipeStep} step - The step to schedule
+ * @param {Object} context - The scheduling context
+ * @returns {{end: number, entries: TimelineEntry[], criticalPath: TimelineEntry[]}}
+ */
+const scheduleStep = (step, { start, stepNumber, thread, options }) => {
+  let offset = start;
+  const mainEntries = step.actions.map((action) => {
+    const length = action.duration
+      ? Duration.toSeconds(action.duration)
+      : options.defaultActionSeconds;
+    const entry = {
+      step: stepNumber,
+      thread,
+      action,
+      start: offset,
+      end: offset + length,
+      passive: options.passiveTypes.includes(action.type),
+      critical: false,
+    };
+    offset = entry.end;
+    return entry;
+  });
+
+  const threads = step.threads.map((parallelStep, index) =>
+    scheduleStep(parallelStep, {
+      start,
+      stepNumber,
+      thread: `${thread}${String.fromCharCode(97 + index)}`, // a, b, c, ...
+      options,
+    })
+  );
+
+  const longest = threads.reduce(
+    (best, candidate) => (candidate.end > best.end ? candidate : best),
+    { end: offset, criticalPath: mainEntries }
+  );
+
+  return {
+    end: longest.end,
+    entries: [...mainEntries, ...threads.flatMap(({ entries }) => entries)],
+    criticalPath: longest.criticalPath,
+  };
+};
+
+/**
+ * Computes the timeline of a recipe. Steps run one after another; within a
+ * step the parallel threads run concurrently with the main thread. Actions
+ * without a duration take `defaultActionDuration`.
+ * @param {Recipe} recipe - The recipe to schedule
+ * @param {Object} [options={}] - The scheduling options
+ * @param {Duration} [options.defaultActionDuration=seconds(0)] - The duration of actions without one
+ * @param {string[]} [options.passiveTypes] - Action types that run unattended (rest, preheat and heat by default)
+ * @param {number} [options.tolerance=0.1] - The fraction by which the declared estimatedTime may differ from the computed one
+ * @returns {Timeline} The computed timeline
+ */
+const computeTimeline = (
+  recipe,
+  {
+    defaultActionDuration = Duration(0, 'seconds'),
+    passiveTypes = PASSIVE_ACTION_TYPES,
+    tolerance = 0.1,
+  } = {}
+) => {
+  const options = {
+    defaultActionSeconds: Duration.toSeconds(defaultActionDuration),
+    passiveTypes,
+  };
+
+  let offset = 0;
+  const entries = [];
+  const criticalPath = [];
+  recipe.steps.forEach((step, index) => {
+    const scheduled = scheduleStep(step, {
+      start: offset,
+      stepNumber: index + 1,
+      thread: '',
+      options,
+    });
+    entries.push(...scheduled.entries);
+    criticalPath.push(...scheduled.criticalPath);
+    offset = scheduled.end;
+  });
+  criticalPath.forEach((entry) => {
+    entry.critical = true;
+  });
+
+  const sumOf = (selected) =>
+    Duration.fromSeconds(
+      selected.reduce((total, entry) => total + entry.end - entry.start, 0)
+    );
+  const totalTime = Duration.fromSeconds(offset);
+
+  let estimatedTime = null;
+  if (recipe.estimatedTime) {
+    const declared = Duration.toSeconds(recipe.estimatedTime);
+    const difference = Math.abs(declared - offset);
+    estimatedTime = {
+      declared: recipe.estimatedTime,
+      computed: totalTime,
+      difference: Duration.fromSeconds(difference),
+      matches: difference <= tolerance * Math.max(declared, offset),
+    };
+  }
+
+  return {
+    entries,
+    criticalPath,
+    totalTime,
+    activeTime: sumOf(entries.filter((entry) => !entry.passive)),
+    passiveTime: sumOf(entries.filter((entry) => entry.passive)),
+    estimatedTime,
+  };
+};
+
+// -------------------- Rendering --------------------
+
+/**
+ * Describes an action in a few words for the chart labels
+ * @param {Object} action - The action to describe
+ * @returns {string} The description
+ */
+const describeAction = (action) => {
+  const subject =
+    action.ingredient ||
+    action.appliance ||
+    action.to ||
+    action.container ||
+    action.equipment;
+  const name = subject && typeof subject === 'object' ? subject.name : subject;
+  return name ? `${action.type} ${name}` : action.type;
+};
+
+/**
+ * Formats seconds as m:ss, or h:mm:ss from one hour upwards
+ * @param {number} totalSeconds - The number of seconds
+ * @returns {string} The formatted offset
+ */
+const formatOffset = (totalSeconds) => {
+  const { days, hours, minutes, seconds } = Duration.normalize(
+    Duration(Math.round(totalSeconds), 'seconds')
+  );
+  const pad = (value) => String(value).padStart(2, '0');
+  const totalHours = days * 24 + hours;
+  return totalHours > 0
+    ? `${totalHours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`;
+};
+
+/**
+ * Renders a timeline as a text Gantt chart. Hands-on actions are drawn with
+ * █, unattended ones with ░, and actions on the critical path are starred.
+ * @param {Timeline} timeline - The timeline to render
+ * @param {Object} [options={}] - The rendering options
+ * @param {number} [options.width=40] - The width of the chart area in characters
+ * @returns {string} The Gantt chart
+ */
+const renderGantt = (timeline, { width = 40 } = {}) => {
+  const total = Duration.toSeconds(timeline.totalTime);
+  const scale = total > 0 ? width / total : 0;
+  const labels = timeline.entries.map(
+    (entry) => `${entry.critical ? '*' : ' '}${entry.step}${entry.thread}`
+  );
+  const descriptions = timeline.entries.map((entry) =>
+    describeAction(entry.action)
+  );
+  const labelWidth = Math.max(...labels.map((label) => label.length), 0);
+  const descriptionWidth = Math.min(
+    Math.max(...descriptions.map((text) => text.length), 0),
+    28
+  );
+
+  const rows = timeline.entries.map((entry, index) => {
+    const from = Math.min(Math.floor(entry.start * scale), width - 1);
+    const to = Math.max(Math.ceil(entry.end * scale), from + 1);
+    const bar =
+      ' '.repeat(from) +
+      (entry.passive ? '░' : '█').repeat(to - from) +
+      ' '.repeat(Math.max(width - to, 0));
+    return `${labels[index].padEnd(labelWidth)}  ${descriptions[index]
+      .slice(0, descriptionWidth)
+      .padEnd(descriptionWidth)} |${bar}| ${formatOffset(
+      entry.start
+    )}–${formatOffset(entry.end)}`;
+  });
+
+  let chart = rows.join('\n') + '\n\n';
+  chart += `Total: ${Duration.humanize(timeline.totalTime)}`;
+  chart += ` (active ${Duration.humanize(timeline.activeTime)}`;
+  chart += `, passive ${Duration.humanize(timeline.passiveTime)})\n`;
+  if (timeline.estimatedTime && !timeline.estimatedTime.matches) {
+    chart += `Warning: estimated time ${Duration.humanize(
+      timeline.estimatedTime.declared
+    )} differs from computed ${Duration.humanize(
+      timeline.estimatedTime.computed
+    )}\n`;
+  }
+  return chart;
+};
+
+export { computeTimeline, renderGantt, PASSIVE_ACTION_TYPES };
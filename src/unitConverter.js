@@ -1,3 +1,204 @@
+import { getDensity } from './densities.js';
+import { Quantity } from './quantity.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} UnitDefinition
+ * @property {string} name - The canonical name of the unit
+ * @property {string} dimension - The dimension measured by the unit (volume, mass, temperature, count, ...)
+ * @property {string[]} systems - The unit systems the unit belongs to (metric, us, imperial)
+ * @property {string[]} aliases - Alternative spellings of the unit
+ */
+
+/**
+ * @typedef {Object} ConversionFunctions
+ * @property {function(number): number} forward - Converts from the first unit to the second
+ * @property {function(number): number} backward - Converts from the second unit to the first
+ */
+
+// -------------------- Unit Registry --------------------
+
+/** @type {Map<string, UnitDefinition>} */
+const units = new Map();
+
+/**
+ * Aliases that must match exactly, e.g. `T` (tablespoon) vs `t` (teaspoon)
+ * @type {Map<string, string>}
+ */
+const exactAliases = new Map();
+
+/** @type {Map<string, string>} */
+const aliases = new Map();
+
+/**
+ * Adjacency list of the conversion graph
+ * @type {Map<string, Map<string, function(number): number>>}
+ */
+const edges = new Map();
+
+/** @type {Map<string, function(number): number>} */
+const pathCache = new Map();
+
+/**
+ * Normalizes a unit spelling for case-insensitive lookup
+ * @param {string} unit - The unit spelling
+ * @returns {string} The normalized spelling
+ */
+const normalizeSpelling = (unit) =>
+  String(unit).trim().replace(/\.$/, '').replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Registers an alias for a canonical unit name
+ * @param {string} alias - The alias to register
+ * @param {string} name - The canonical unit name
+ */
+const addAlias = (alias, name) => {
+  // Single letters such as T/t (tablespoon/teaspoon) are case-sensitive
+  if (alias.length === 1) {
+    exactAliases.set(alias, name);
+  } else {
+    aliases.set(normalizeSpelling(alias), name);
+  }
+};
+
+/**
+ * Adds a directed edge to the conversion graph
+ * @param {string} from - The canonical source unit
+ * @param {string} to - The canonical target unit
+ * @param {function(number): number} fn - The conversion function
+ */
+const addEdge = (from, to, fn) => {
+  if (!edges.has(from)) edges.set(from, new Map());
+  edges.get(from).set(to, fn);
+};
+
+/**
+ * Finds a chain of conversions between two canonical units (breadth-first,
+ * so the path with the fewest hops wins)
+ * @param {string} from - The canonical source unit
+ * @param {string} to - The canonical target unit
+ * @returns {function(number): number|null} The composed conversion, or null if no path exists
+ */
+const findPath = (from, to) => {
+  const key = `${from}\u0000${to}`;
+  if (pathCache.has(key)) return pathCache.get(key);
+
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0 && !previous.has(to)) {
+    const current = queue.shift();
+    (edges.get(current) || new Map()).forEach((fn, next) => {
+      if (!previous.has(next)) {
+        previous.set(next, { unit: current, fn });
+        queue.push(next);
+      }
+    });
+  }
+
+  if (!previous.has(to)) return null;
+
+  const steps = [];
+  for (let unit = to; previous.get(unit); unit = previous.get(unit).unit) {
+    steps.unshift(previous.get(unit).fn);
+  }
+  const conversion = (value) => steps.reduce((acc, fn) => fn(acc), value);
+  pathCache.set(key, conversion);
+  return conversion;
+};
+
+// -------------------- Unit Systems --------------------
+
+/**
+ * Fractions that can be measured with a standard set of cups and spoons
+ */
+const KITCHEN_FRACTIONS = [0, 1 / 8, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+
+/**
+ * Creates a rounding function that rounds to the nearest multiple of a step
+ * @param {number} step - The step to round to
+ * @returns {function(number): number} The rounding function
+ */
+const roundToStep = (step) => (value) =>
+  Number((Math.round(value / step) * step).toPrecision(12));
+
+/**
+ * Rounds a value to a whole number plus the nearest kitchen fraction; from
+ * 10 upwards only halves are kept
+ * @param {number} value - The value to round
+ * @returns {number} The rounded value
+ */
+const roundToFraction = (value) => {
+  if (value >= 10) return roundToStep(0.5)(value);
+  const whole = Math.floor(value);
+  const fraction = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(value - whole - candidate) < Math.abs(value - whole - best)
+      ? candidate
+      : best
+  );
+  return whole + fraction;
+};
+
+/**
+ * Rounds millilitres: half millilitres for spoon amounts, then 5 ml, then 10 ml
+ * @param {number} value - The value in millilitres
+ * @returns {number} The rounded value
+ */
+const roundMillilitres = (value) =>
+  roundToStep(value < 10 ? 0.5 : value < 100 ? 5 : 10)(value);
+
+/**
+ * Rounds grams: half grams below 10 g, whole grams below 100 g, then 5 g
+ * @param {number} value - The value in grams
+ * @returns {number} The rounded value
+ */
+const roundGrams = (value) =>
+  roundToStep(value < 10 ? 0.5 : value < 100 ? 1 : 5)(value);
+
+/**
+ * Preferred units of each unit system, per dimension, from largest to
+ * smallest: [unit, minimum amount in that unit, rounding function]. The
+ * first unit the value reaches the minimum of is used.
+ */
+const SYSTEM_UNITS = {
+  metric: {
+    volume: [
+      ['l', 1, roundToStep(0.05)],
+      ['ml', 0, roundMillilitres],
+    ],
+    mass: [
+      ['kg', 1, roundToStep(0.05)],
+      ['g', 0, roundGrams],
+    ],
+    temperature: [['C', -Infinity, roundToStep(10)]],
+  },
+  us: {
+    volume: [
+      ['cup', 0.25, roundToFraction],
+      ['tbsp', 1, roundToFraction],
+      ['tsp', 0, roundToFraction],
+    ],
+    mass: [
+      ['lb', 1, roundToFraction],
+      ['oz', 0, roundToFraction],
+    ],
+    temperature: [['F', -Infinity, roundToStep(25)]],
+  },
+  imperial: {
+    volume: [
+      ['imp pint', 1, roundToFraction],
+      ['imp fl oz', 1, roundToFraction],
+      ['imp tbsp', 1, roundToFraction],
+      ['imp tsp', 0, roundToFraction],
+    ],
+    mass: [
+      ['lb', 1, roundToFraction],
+      ['oz', 0, roundToFraction],
+    ],
+    temperature: [['F', -Infinity, roundToStep(25)]],
+  },
+};
+
 // -------------------- Unit Converter --------------------
 
 /**
@@ -13,21 +214,24 @@ const unitConverter = {
    * @throws {Error} If the conversion is not supported
    */
   convert(value, fromUnit, toUnit) {
-    const conversions = {
-      // Volume
-      ml_to_cups: (ml) => ml / 236.588,
-      cups_to_ml: (cups) => cups * 236.588,
-      // Weight
-      g_to_oz: (g) => g / 28.34952,
-      oz_to_g: (oz) => oz * 28.34952,
-      // Temperature
-      c_to_f: (c) => (c * 9) / 5 + 32,
-      f_to_c: (f) => ((f - 32) * 5) / 9,
-    };
+    const from = this.getUnit(fromUnit);
+    const to = this.getUnit(toUnit);
 
-    const conversionKey = `${fromUnit}_to_${toUnit}`.toLowerCase();
-    const conversion = conversions[conversionKey];
+    if (!from || !to) {
+      throw new Error(
+        `Conversion from ${fromUnit} to ${toUnit} is not supported: unknown unit ${
+          from ? toUnit : fromUnit
+        }`
+      );
+    }
+    if (from.name === to.name) return value;
+    if (from.dimension !== to.dimension) {
+      throw new Error(
+        `Conversion from ${fromUnit} to ${toUnit} is not supported: cannot convert ${from.dimension} to ${to.dimension}`
+      );
+    }
 
+    const conversion = findPath(from.name, to.name);
     if (!conversion) {
       throw new Error(
         `Conversion from ${fromUnit} to ${toUnit} is not supported`
@@ -36,6 +240,347 @@ const unitConverter = {
 
     return conversion(value);
   },
+
+  /**
+   * Converts an ingredient's amount to another unit. Conversions between
+   * volume and mass go through millilitres and grams using the ingredient's
+   * own `density` property or, failing that, the density table. Both ends
+   * of a range are converted.
+   * @param {Entity} ingredient - The ingredient with `amount` and `unit`
+   * @param {string} toUnit - The unit to convert to
+   * @returns {Entity} A copy of the ingredient with the converted amount and unit
+   * @throws {Error} If the conversion is not supported, no density is known or the amount is not numeric
+   */
+  convertIngredient(ingredient, toUnit) {
+    if (Quantity.isText(ingredient.amount)) {
+      throw new Error(
+        `Conversion of ${ingredient.name} to ${toUnit} is not supported: its amount "${ingredient.amount.text}" is not numeric`
+      );
+    }
+    const from = this.getUnit(ingredient.unit);
+    const to = this.getUnit(toUnit);
+    const crossesDimensions =
+      from &&
+      to &&
+      from.dimension !== to.dimension &&
+      [from.dimension, to.dimension].every((dimension) =>
+        ['volume', 'mass'].includes(dimension)
+      );
+
+    if (!crossesDimensions) {
+      return {
+        ...ingredient,
+        amount: Quantity.map(ingredient.amount, (value) =>
+          this.convert(value, ingredient.unit, toUnit)
+        ),
+        unit: toUnit,
+      };
+    }
+
+    const density = getDensity(ingredient);
+    if (density === null) {
+      throw new Error(
+        `Conversion of ${ingredient.name} from ${ingredient.unit} to ${toUnit} is not supported: no density known for ${ingredient.name}. Set its density property (g/ml) or call registerDensity`
+      );
+    }
+
+    const amount = Quantity.map(ingredient.amount, (value) =>
+      from.dimension === 'volume'
+        ? this.convert(
+            this.convert(value, from.name, 'ml') * density,
+            'g',
+            to.name
+          )
+        : this.convert(
+            this.convert(value, from.name, 'g') / density,
+            'ml',
+            to.name
+          )
+    );
+
+    return { ...ingredient, amount, unit: toUnit };
+  },
+
+  /**
+   * Converts a value to the preferred unit of a unit system and rounds it to
+   * kitchen precision. Oven temperatures are rounded to the nearest 10C or
+   * 25F; pass `precise` for probe temperatures, which round to a degree.
+   * Values whose unit already belongs to the system are returned unchanged.
+   * @param {number} value - The value to convert
+   * @param {string} unit - The unit of the value
+   * @param {string} system - The target unit system (metric, us, imperial)
+   * @param {Object} [options={}] - The conversion options
+   * @param {boolean} [options.precise=false] - Round temperatures to whole degrees
+   * @returns {{value: number, unit: string}|null} The converted value, or null if the unit has no equivalent in the system
+   * @throws {Error} If the unit system is unknown
+   */
+  toUnitSystem(value, unit, system, { precise = false } = {}) {
+    const preferred = SYSTEM_UNITS[system];
+    if (!preferred) {
+      throw new Error(
+        `Unknown unit system ${system}; expected one of ${Object.keys(
+          SYSTEM_UNITS
+        ).join(', ')}`
+      );
+    }
+
+    const definition = this.getUnit(unit);
+    if (!definition || !preferred[definition.dimension]) return null;
+    if (definition.systems.includes(system)) return { value, unit };
+
+    const candidates = preferred[definition.dimension];
+    const [targetUnit, , round] =
+      candidates.find(
+        ([candidate, minimum]) =>
+          this.convert(value, definition.name, candidate) >= minimum
+      ) || candidates[candidates.length - 1];
+
+    const converted = this.convert(value, definition.name, targetUnit);
+    const rounded =
+      precise && definition.dimension === 'temperature'
+        ? Math.round(converted)
+        : round(converted);
+
+    return {
+      // Tiny amounts must not round away to nothing
+      value:
+        rounded === 0 && converted !== 0
+          ? Number(converted.toPrecision(2))
+          : rounded,
+      unit: targetUnit,
+    };
+  },
+
+  /**
+   * Checks whether a value can be converted between two units
+   * @param {string} fromUnit - The unit to convert from
+   * @param {string} toUnit - The unit to convert to
+   * @returns {boolean} True if a conversion path exists
+   */
+  canConvert(fromUnit, toUnit) {
+    const from = this.getUnit(fromUnit);
+    const to = this.getUnit(toUnit);
+    if (!from || !to || from.dimension !== to.dimension) return false;
+    return from.name === to.name || findPath(from.name, to.name) !== null;
+  },
+
+  /**
+   * Looks up a unit by its name or one of its aliases
+   * @param {string} unit - The unit name or alias
+   * @returns {UnitDefinition|null} The unit definition, or null if unknown
+   */
+  getUnit(unit) {
+    if (unit === undefined || unit === null) return null;
+    const trimmed = String(unit).trim();
+    const name =
+      exactAliases.get(trimmed) || aliases.get(normalizeSpelling(unit));
+    return name ? units.get(name) : null;
+  },
+
+  /**
+   * Returns the dimension of a unit
+   * @param {string} unit - The unit name or alias
+   * @returns {string|null} The dimension, or null if the unit is unknown
+   */
+  dimensionOf(unit) {
+    const definition = this.getUnit(unit);
+    return definition ? definition.dimension : null;
+  },
+
+  /**
+   * Lists the registered units, optionally filtered
+   * @param {Object} [filter={}] - The filter options
+   * @param {string} [filter.dimension] - Only list units of this dimension
+   * @param {string} [filter.system] - Only list units of this unit system
+   * @returns {UnitDefinition[]} The matching unit definitions
+   */
+  listUnits({ dimension, system } = {}) {
+    return [...units.values()].filter(
+      (unit) =>
+        (!dimension || unit.dimension === dimension) &&
+        (!system || unit.systems.includes(system))
+    );
+  },
+
+  /**
+   * Registers a new unit
+   * @param {string} name - The canonical name of the unit
+   * @param {Object} options - The unit options
+   * @param {string} options.dimension - The dimension measured by the unit
+   * @param {string[]} [options.systems=[]] - The unit systems the unit belongs to
+   * @param {string[]} [options.aliases=[]] - Alternative spellings of the unit
+   * @returns {Object} The unitConverter, for chaining
+   * @throws {Error} If a different unit with the same name is already registered
+   */
+  registerUnit(name, { dimension, systems = [], aliases: unitAliases = [] }) {
+    if (!dimension) {
+      throw new Error(`Unit ${name} must have a dimension`);
+    }
+    const existing = units.get(name);
+    if (existing && existing.dimension !== dimension) {
+      throw new Error(
+        `Unit ${name} is already registered as ${existing.dimension}`
+      );
+    }
+
+    const definition = existing || {
+      name,
+      dimension,
+      systems: [],
+      aliases: [],
+    };
+    systems.forEach((system) => {
+      if (!definition.systems.includes(system)) definition.systems.push(system);
+    });
+    [name, ...unitAliases].forEach((alias) => {
+      if (!definition.aliases.includes(alias)) definition.aliases.push(alias);
+      addAlias(alias, name);
+    });
+    units.set(name, definition);
+    return this;
+  },
+
+  /**
+   * Registers a conversion between two units. A number is treated as a
+   * linear factor (`1 fromUnit = factor toUnit`); the inverse is added
+   * automatically.
+   * @param {string} fromUnit - The unit to convert from
+   * @param {string} toUnit - The unit to convert to
+   * @param {number|ConversionFunctions} conversion - The factor or conversion functions
+   * @returns {Object} The unitConverter, for chaining
+   * @throws {Error} If either unit is unknown or the dimensions differ
+   */
+  registerConversion(fromUnit, toUnit, conversion) {
+    const from = this.getUnit(fromUnit);
+    const to = this.getUnit(toUnit);
+    if (!from || !to) {
+      throw new Error(`Unknown unit ${from ? toUnit : fromUnit}`);
+    }
+    if (from.dimension !== to.dimension) {
+      throw new Error(
+        `Cannot register a conversion from ${from.dimension} to ${to.dimension}`
+      );
+    }
+
+    const { forward, backward } =
+      typeof conversion === 'number'
+        ? {
+            forward: (value) => value * conversion,
+            backward: (value) => value / conversion,
+          }
+        : conversion;
+
+    addEdge(from.name, to.name, forward);
+    addEdge(to.name, from.name, backward);
+    pathCache.clear();
+    return this;
+  },
+};
+
+// -------------------- Built-in Units --------------------
+
+/**
+ * Built-in units: [name, dimension, systems, aliases, [neighbour, factor]]
+ */
+// prettier-ignore
+const BUILT_IN_UNITS = [
+  // Volume — metric
+  ['ml', 'volume', ['metric'], ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'mL']],
+  ['cl', 'volume', ['metric'], ['centiliter', 'centiliters', 'centilitre', 'centilitres'], ['ml', 10]],
+  ['dl', 'volume', ['metric'], ['deciliter', 'deciliters', 'decilitre', 'decilitres'], ['ml', 100]],
+  ['l', 'volume', ['metric'], ['liter', 'liters', 'litre', 'litres', 'L'], ['ml', 1000]],
+  ['metric cup', 'volume', ['metric'], ['metric cups'], ['ml', 250]],
+  ['shot', 'volume', ['metric'], ['shots'], ['ml', 30]],
+  // Volume — US customary
+  ['tsp', 'volume', ['us'], ['teaspoon', 'teaspoons', 'tsps', 't'], ['ml', 4.92892159375]],
+  ['tbsp', 'volume', ['us'], ['tablespoon', 'tablespoons', 'tbsps', 'tbs', 'tbl', 'T'], ['tsp', 3]],
+  ['fl oz', 'volume', ['us'], ['fluid ounce', 'fluid ounces', 'fl. oz', 'floz', 'us fl oz'], ['tbsp', 2]],
+  ['cup', 'volume', ['us'], ['cups', 'us cup', 'us cups'], ['fl oz', 8]],
+  ['pint', 'volume', ['us'], ['pints', 'pt', 'us pint', 'us pints'], ['cup', 2]],
+  ['quart', 'volume', ['us'], ['quarts', 'qt', 'us quart', 'us quarts'], ['pint', 2]],
+  ['gallon', 'volume', ['us'], ['gallons', 'gal', 'us gallon', 'us gallons'], ['quart', 4]],
+  ['pinch', 'volume', ['us'], ['pinches'], ['tsp', 1 / 16]],
+  ['dash', 'volume', ['us'], ['dashes'], ['tsp', 1 / 8]],
+  // Volume — imperial
+  ['imp fl oz', 'volume', ['imperial'], ['imperial fl oz', 'uk fl oz', 'imperial fluid ounce', 'imperial fluid ounces'], ['ml', 28.4130625]],
+  ['imp tbsp', 'volume', ['imperial'], ['imperial tbsp', 'uk tbsp', 'imperial tablespoon', 'imperial tablespoons'], ['imp fl oz', 0.625]],
+  ['imp tsp', 'volume', ['imperial'], ['imperial tsp', 'uk tsp', 'imperial teaspoon', 'imperial teaspoons'], ['imp tbsp', 1 / 3]],
+  ['imp cup', 'volume', ['imperial'], ['imperial cup', 'imperial cups', 'uk cup', 'uk cups'], ['imp fl oz', 10]],
+  ['imp pint', 'volume', ['imperial'], ['imperial pint', 'imperial pints', 'uk pint', 'uk pints'], ['imp fl oz', 20]],
+  ['imp quart', 'volume', ['imperial'], ['imperial quart', 'imperial quarts', 'uk quart', 'uk quarts'], ['imp pint', 2]],
+  ['imp gallon', 'volume', ['imperial'], ['imperial gallon', 'imperial gallons', 'uk gallon', 'uk gallons'], ['imp quart', 4]],
+  // Mass
+  ['mg', 'mass', ['metric'], ['milligram', 'milligrams', 'milligramme', 'milligrammes']],
+  ['g', 'mass', ['metric'], ['gram', 'grams', 'gramme', 'grammes', 'gr'], ['mg', 1000]],
+  ['kg', 'mass', ['metric'], ['kilogram', 'kilograms', 'kilo', 'kilos', 'kgs'], ['g', 1000]],
+  ['oz', 'mass', ['us', 'imperial'], ['ounce', 'ounces'], ['g', 28.349523125]],
+  ['lb', 'mass', ['us', 'imperial'], ['pound', 'pounds', 'lbs'], ['oz', 16]],
+  ['stone', 'mass', ['imperial'], ['stones', 'st'], ['lb', 14]],
+  // Count
+  ['piece', 'count', [], ['pieces', 'pc', 'pcs', 'each', 'ea', 'whole']],
+  ['dozen', 'count', [], ['dozens', 'doz'], ['piece', 12]],
+  ['pair', 'count', [], ['pairs'], ['piece', 2]],
+  // Length, for container sizes
+  ['mm', 'length', ['metric'], ['millimeter', 'millimeters', 'millimetre', 'millimetres']],
+  ['cm', 'length', ['metric'], ['centimeter', 'centimeters', 'centimetre', 'centimetres'], ['mm', 10]],
+  ['m', 'length', ['metric'], ['meter', 'meters', 'metre', 'metres'], ['cm', 100]],
+  ['in', 'length', ['us', 'imperial'], ['inch', 'inches'], ['cm', 2.54]],
+  // Temperature
+  ['C', 'temperature', ['metric'], ['celsius', '°C', 'centigrade', 'c']],
+  ['F', 'temperature', ['us', 'imperial'], ['fahrenheit', '°F', 'f']],
+  ['K', 'temperature', [], ['kelvin', 'k']],
+  ['Gas Mark', 'temperature', ['imperial'], ['gas', 'gasmark']],
+];
+
+/**
+ * Gas Marks and their temperatures in Fahrenheit. Gas Mark 1 is 275F and
+ * each mark adds 25F; the fractional marks below 1 are 225F and 250F.
+ */
+// prettier-ignore
+const GAS_MARKS = [[0.25, 225], [0.5, 250], [1, 275], [2, 300], [9, 475]];
+
+/**
+ * Interpolates linearly between the points of a table, extending its first
+ * and last segments beyond its ends
+ * @param {number[][]} points - The [x, y] points, in increasing order of x
+ * @param {number} x - The value to look up
+ * @returns {number} The interpolated value
+ */
+const interpolate = (points, x) => {
+  const above = points.findIndex(([pointX]) => pointX > x);
+  const index = above === -1 ? points.length - 1 : Math.max(above, 1);
+  const [[x0, y0], [x1, y1]] = [points[index - 1], points[index]];
+  return y0 + ((x - x0) * (y1 - y0)) / (x1 - x0);
 };
 
+BUILT_IN_UNITS.forEach(([name, dimension, systems, unitAliases]) => {
+  unitConverter.registerUnit(name, {
+    dimension,
+    systems,
+    aliases: unitAliases,
+  });
+});
+
+BUILT_IN_UNITS.forEach(([name, , , , neighbour]) => {
+  if (neighbour) unitConverter.registerConversion(name, ...neighbour);
+});
+
+unitConverter
+  .registerConversion('C', 'F', {
+    forward: (c) => (c * 9) / 5 + 32,
+    backward: (f) => ((f - 32) * 5) / 9,
+  })
+  .registerConversion('K', 'C', {
+    forward: (k) => k - 273.15,
+    backward: (c) => c + 273.15,
+  })
+  .registerConversion('Gas Mark', 'F', {
+    forward: (mark) => interpolate(GAS_MARKS, mark),
+    backward: (f) =>
+      interpolate(
+        GAS_MARKS.map(([mark, fahrenheit]) => [fahrenheit, mark]),
+        f
+      ),
+  });
+
 export default unitConverter;
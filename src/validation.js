@@ -0,0 +1,303 @@
+import { ActionType } from './enums.js';
+import { Quantity } from './quantity.js';
+import unitConverter from './unitConverter.js';
+import { volumeOf as containerVolumeOf } from './geometry.js';
+
+// -------------------- Type Definitions --------------------
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} severity - The severity of the issue (error or warning)
+ * @property {string} path - Where the issue is, e.g. 'steps[1].threads[0].actions[2]'
+ * @property {string} code - A stable identifier of the kind of issue
+ * @property {string} message - A human-readable description of the issue
+ */
+
+// -------------------- Enums --------------------
+
+/**
+ * Enumeration of validation issue severities
+ * @enum {string}
+ */
+const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+/**
+ * Enumeration of validation issue codes
+ * @enum {string}
+ */
+const IssueCode = {
+  MISSING_NAME: 'MISSING_NAME',
+  NO_INGREDIENTS: 'NO_INGREDIENTS',
+  NO_STEPS: 'NO_STEPS',
+  UNDECLARED_INGREDIENT: 'UNDECLARED_INGREDIENT',
+  UNUSED_INGREDIENT: 'UNUSED_INGREDIENT',
+  TO_WITHOUT_ADD: 'TO_WITHOUT_ADD',
+  MISSING_CONTAINER: 'MISSING_CONTAINER',
+  NO_PREVIOUS_ACTION: 'NO_PREVIOUS_ACTION',
+  UNDECLARED_APPLIANCE: 'UNDECLARED_APPLIANCE',
+  MISSING_AMOUNT: 'MISSING_AMOUNT',
+  MISSING_UNIT: 'MISSING_UNIT',
+  CONTAINER_OVERFLOW: 'CONTAINER_OVERFLOW',
+};
+
+// -------------------- Validation --------------------
+
+/**
+ * Normalizes an entity name for comparison; entities are matched by name so
+ * recipes rebuilt from JSON validate like the originals
+ * @param {Entity} entity - The entity
+ * @returns {string} The normalized name
+ */
+const keyOf = (entity) => String(entity.name).trim().toLowerCase();
+
+/**
+ * Creates a validation issue
+ * @param {string} severity - The severity of the issue
+ * @param {string} path - Where the issue is
+ * @param {string} code - The issue code
+ * @param {string} message - The issue description
+ * @returns {ValidationIssue}
+ */
+const issue = (severity, path, code, message) => ({
+  severity,
+  path,
+  code,
+  message,
+});
+
+/**
+ * Returns the volume of an ingredient in millilitres, using the upper end of
+ * a range and the density for masses
+ * @param {Entity} ingredient - The ingredient
+ * @returns {number|null} The volume, or null if it cannot be worked out
+ */
+const volumeOf = (ingredient) => {
+  const amount =
+    ingredient.amount === undefined || ingredient.amount === null
+      ? null
+      : Quantity(ingredient.amount);
+  if (!amount || Quantity.isText(amount) || !ingredient.unit) return null;
+  try {
+    return Quantity.toNumber(
+      unitConverter.convertIngredient(
+        {
+          ...ingredient,
+          amount: Quantity.isRange(amount) ? amount.max : amount,
+        },
+        'ml'
+      ).amount
+    );
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks a step and, recursively, its parallel threads
+ * @param {RecipeStep} step - The step to check
+ * @param {string} path - The path of the step
+ * @param {Object} context - The declared entities and the collected usages
+ * @returns {ValidationIssue[]} The issues found
+ */
+const validateStep = (step, path, context) => {
+  const issues = [];
+
+  (step.buildIssues || []).forEach(({ code, method, actionIndex }) => {
+    if (code === IssueCode.TO_WITHOUT_ADD) {
+      issues.push(
+        issue(
+          Severity.ERROR,
+          `${path}.actions[${actionIndex}]`,
+          code,
+          'to() was called before add(), so no ingredient was added to the container'
+        )
+      );
+    } else if (code === IssueCode.NO_PREVIOUS_ACTION) {
+      issues.push(
+        issue(
+          Severity.ERROR,
+          path,
+          code,
+          `${method}() was called before any action, so it was ignored`
+        )
+      );
+    }
+  });
+
+  step.actions.forEach((action, index) => {
+    const actionPath = `${path}.actions[${index}]`;
+
+    if (action.ingredient) {
+      context.used.add(keyOf(action.ingredient));
+      if (!context.ingredients.has(keyOf(action.ingredient))) {
+        issues.push(
+          issue(
+            Severity.ERROR,
+            `${actionPath}.ingredient`,
+            IssueCode.UNDECLARED_INGREDIENT,
+            `Ingredient ${action.ingredient.name} is used but not declared in the recipe ingredients`
+          )
+        );
+      }
+    }
+
+    // Everything added to a container over the recipe must fit in it
+    if (
+      action.type === ActionType.ADD &&
+      action.ingredient &&
+      action.container
+    ) {
+      const key = keyOf(action.container);
+      const capacity = containerVolumeOf(action.container);
+      const filled =
+        (context.filled.get(key) || 0) + (volumeOf(action.ingredient) || 0);
+      context.filled.set(key, filled);
+      if (
+        capacity !== null &&
+        filled > capacity &&
+        !context.overflowing.has(key)
+      ) {
+        context.overflowing.add(key);
+        issues.push(
+          issue(
+            Severity.WARNING,
+            `${actionPath}.container`,
+            IssueCode.CONTAINER_OVERFLOW,
+            `Container ${action.container.name} holds ${Math.round(
+              capacity
+            )} ml but ${Math.round(filled)} ml is added to it`
+          )
+        );
+      }
+    }
+
+    const needsContainer =
+      action.type === ActionType.MIX ||
+      (action.type === ActionType.HEAT && !action.targetTemperature);
+    if (needsContainer && !action.container) {
+      issues.push(
+        issue(
+          Severity.ERROR,
+          `${actionPath}.container`,
+          IssueCode.MISSING_CONTAINER,
+          `${action.type}() has no container; call add().to() or transfer() first`
+        )
+      );
+    }
+
+    if (
+      action.type === ActionType.PREHEAT &&
+      action.appliance &&
+      !context.appliances.has(keyOf(action.appliance))
+    ) {
+      issues.push(
+        issue(
+          Severity.ERROR,
+          `${actionPath}.appliance`,
+          IssueCode.UNDECLARED_APPLIANCE,
+          `Appliance ${action.appliance.name} is preheated but not declared in the recipe appliances`
+        )
+      );
+    }
+  });
+
+  step.threads.forEach((thread, index) => {
+    issues.push(...validateStep(thread, `${path}.threads[${index}]`, context));
+  });
+
+  return issues;
+};
+
+/**
+ * Validates a recipe and returns every issue found, in recipe order
+ * @param {Recipe} recipe - The recipe to validate
+ * @returns {ValidationIssue[]} The issues found
+ */
+const validateRecipe = (recipe) => {
+  const issues = [];
+
+  if (!recipe.name) {
+    issues.push(
+      issue(
+        Severity.ERROR,
+        'name',
+        IssueCode.MISSING_NAME,
+        'Recipe must have a name'
+      )
+    );
+  }
+  if (recipe.ingredients.length === 0) {
+    issues.push(
+      issue(
+        Severity.ERROR,
+        'ingredients',
+        IssueCode.NO_INGREDIENTS,
+        'Recipe must have at least one ingredient'
+      )
+    );
+  }
+  if (recipe.steps.length === 0) {
+    issues.push(
+      issue(
+        Severity.ERROR,
+        'steps',
+        IssueCode.NO_STEPS,
+        'Recipe must have at least one step'
+      )
+    );
+  }
+
+  recipe.ingredients.forEach((ingredient, index) => {
+    if (ingredient.amount === undefined || ingredient.amount === null) {
+      issues.push(
+        issue(
+          Severity.WARNING,
+          `ingredients[${index}].amount`,
+          IssueCode.MISSING_AMOUNT,
+          `Ingredient ${ingredient.name} has no amount`
+        )
+      );
+    }
+    if (!ingredient.unit) {
+      issues.push(
+        issue(
+          Severity.WARNING,
+          `ingredients[${index}].unit`,
+          IssueCode.MISSING_UNIT,
+          `Ingredient ${ingredient.name} has no unit`
+        )
+      );
+    }
+  });
+
+  const context = {
+    ingredients: new Set(recipe.ingredients.map(keyOf)),
+    appliances: new Set(recipe.appliances.map(keyOf)),
+    used: new Set(),
+    filled: new Map(),
+    overflowing: new Set(),
+  };
+  recipe.steps.forEach((step, index) => {
+    issues.push(...validateStep(step, `steps[${index}]`, context));
+  });
+
+  recipe.ingredients.forEach((ingredient, index) => {
+    if (!context.used.has(keyOf(ingredient))) {
+      issues.push(
+        issue(
+          Severity.WARNING,
+          `ingredients[${index}]`,
+          IssueCode.UNUSED_INGREDIENT,
+          `Ingredient ${ingredient.name} is declared but never used in a step`
+        )
+      );
+    }
+  });
+
+  return issues;
+};
+
+export { validateRecipe, Severity, IssueCode };
@@ -0,0 +1,209 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Recipe, Entities, Measurement, Cookbook } from '../src/index.js';
+
+const recipeOf = (name, names, options = {}) =>
+  new Recipe(name, {
+    ingredients: names.map((ingredient) => Entities.Ingredient(ingredient)),
+    ...options,
+  });
+
+const buildCookbook = () =>
+  new Cookbook('Weeknights', [
+    recipeOf('Omelette', ['Eggs', 'Butter'], {
+      tags: ['breakfast'],
+      difficulty: 'easy',
+      estimatedTime: Measurement.minutes(10),
+      servings: 2,
+      tools: [Entities.Tool('Whisk'), Entities.Tool('Pan')],
+      appliances: [Entities.Appliance('Stove')],
+      miseEnPlace: ['Crack the eggs'],
+    }),
+    recipeOf('Pancakes', ['Flour', 'Milk', 'Egg'], {
+      tags: ['Breakfast', 'sweet'],
+      difficulty: 'medium',
+      estimatedTime: Measurement.minutes(30),
+      servings: 4,
+      tools: [Entities.Tool('Whisk')],
+      servingSuggestions: ['With chocolate syrup'],
+    }),
+    recipeOf('Chocolate cake', ['Flour', 'Chocolate', 'Unsalted butter'], {
+      tags: ['dessert'],
+      difficulty: 'hard',
+      estimatedTime: Measurement.minutes(60),
+      servings: 8,
+      appliances: [Entities.Appliance('Oven')],
+    }),
+    recipeOf('Salad', ['Lettuce', 'Peanuts'], {
+      difficulty: 'very easy',
+      servings: 1,
+    }),
+    // Cooklang recipes have no name
+    Recipe.fromCooklang('Boil @water{1%l} in a #pot.'),
+  ]);
+
+const namesOf = ({ recipes }) => recipes.map(({ name }) => name);
+
+describe('Cookbook.query', () => {
+  it('keeps the recipes matching every criterion, in insertion order', () => {
+    const cookbook = buildCookbook();
+    const names = (query) => namesOf(cookbook.query(query));
+    assert.deepEqual(names({ tags: ['BREAKFAST'] }), ['Omelette', 'Pancakes']);
+    assert.deepEqual(names({ difficulty: ['easy', 'very easy'] }), [
+      'Omelette',
+      'Salad',
+    ]);
+    assert.deepEqual(names({ maxTime: Measurement.minutes(30) }), [
+      'Omelette',
+      'Pancakes',
+    ]);
+    assert.deepEqual(names({ servings: { min: 2, max: 4 } }), [
+      'Omelette',
+      'Pancakes',
+    ]);
+    assert.deepEqual(names({ servings: 8 }), ['Chocolate cake']);
+    assert.deepEqual(names({ ingredients: ['egg', 'butter'] }), ['Omelette']);
+    assert.deepEqual(names({ ingredients: ['butter'] }), [
+      'Omelette',
+      'Chocolate cake',
+    ]);
+    assert.deepEqual(names({ excludeIngredients: ['peanut', 'flour'] }), [
+      'Omelette',
+      '',
+    ]);
+    assert.deepEqual(names({ tags: ['breakfast'], tools: ['whisk'] }), [
+      'Pancakes',
+    ]);
+    assert.deepEqual(names({ servings: { min: 2 }, appliances: ['stove'] }), [
+      'Omelette',
+      'Pancakes',
+    ]);
+  });
+
+  it('sorts by a key, in either order, or with a compare function', () => {
+    const cookbook = buildCookbook();
+    const names = (query) => namesOf(cookbook.query(query));
+    // Recipes without an estimated time come last
+    assert.deepEqual(names({ sort: 'estimatedTime' }), [
+      'Omelette',
+      'Pancakes',
+      'Chocolate cake',
+      'Salad',
+      '',
+    ]);
+    assert.deepEqual(names({ sort: 'difficulty', order: 'desc' }), [
+      'Chocolate cake',
+      'Pancakes',
+      '',
+      'Omelette',
+      'Salad',
+    ]);
+    assert.deepEqual(
+      names({ sort: (a, b) => a.ingredients.length - b.ingredients.length }),
+      ['', 'Omelette', 'Salad', 'Pancakes', 'Chocolate cake']
+    );
+    assert.deepEqual(names({ order: 'desc' }), [
+      '',
+      'Salad',
+      'Chocolate cake',
+      'Pancakes',
+      'Omelette',
+    ]);
+    assert.throws(
+      () => cookbook.query({ sort: 'calories' }),
+      /Unknown sort key: calories/
+    );
+  });
+
+  it('returns one page of the matches and their total', () => {
+    const cookbook = buildCookbook();
+    const page = cookbook.query({ sort: 'name', offset: 1, limit: 2 });
+    assert.deepEqual(namesOf(page), ['Chocolate cake', 'Omelette']);
+    assert.equal(page.total, 5);
+    assert.equal(page.offset, 1);
+    assert.equal(page.limit, 2);
+
+    const rest = cookbook.query({ sort: 'name', offset: 3 });
+    assert.deepEqual(namesOf(rest), ['Pancakes', 'Salad']);
+    assert.equal(rest.limit, null);
+
+    const beyond = cookbook.query({ offset: 10, limit: 2 });
+    assert.deepEqual(beyond.recipes, []);
+    assert.equal(beyond.total, 5);
+  });
+});
+
+describe('Cookbook.search', () => {
+  it('finds every word, weighing names most', () => {
+    const cookbook = buildCookbook();
+    assert.deepEqual(namesOf(cookbook.search('choc')), [
+      'Chocolate cake',
+      'Pancakes',
+    ]);
+    assert.deepEqual(namesOf(cookbook.search('choc cake')), ['Chocolate cake']);
+    assert.deepEqual(namesOf(cookbook.search('eggs')), ['Omelette']);
+    assert.deepEqual(namesOf(cookbook.search('pizza')), []);
+  });
+
+  it('combines with other criteria and pages', () => {
+    const cookbook = buildCookbook();
+    const page = cookbook.search('choc', { tags: ['sweet'], limit: 1 });
+    assert.deepEqual(namesOf(page), ['Pancakes']);
+    assert.equal(page.total, 1);
+    assert.deepEqual(namesOf(cookbook.search('choc', { order: 'desc' })), [
+      'Pancakes',
+      'Chocolate cake',
+    ]);
+  });
+});
+
+describe('Cookbook bundles', () => {
+  const assertSameCookbook = (loaded, cookbook) => {
+    assert.equal(loaded.name, cookbook.name);
+    assert.deepEqual(
+      loaded.recipes.map((recipe) => [recipe.id, recipe.contentHash()]),
+      cookbook.recipes.map((recipe) => [recipe.id, recipe.contentHash()])
+    );
+  };
+
+  it('round-trips through JSON, with a Cooklang recipe', () => {
+    const cookbook = buildCookbook();
+    const loaded = Cookbook.fromJSON(JSON.stringify(cookbook));
+    assertSameCookbook(loaded, cookbook);
+    assert.equal(loaded.recipes[4].name, '');
+    assert.deepEqual(
+      namesOf(loaded.search('choc', { ingredients: ['flour'] })),
+      ['Chocolate cake', 'Pancakes']
+    );
+  });
+
+  it('reads back the cookbook it saved', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'cookbook-'));
+    try {
+      const path = join(directory, 'weeknights.json');
+      const cookbook = buildCookbook().save(path);
+      assertSameCookbook(Cookbook.load(path), cookbook);
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects documents that are not cookbooks', () => {
+    assert.throws(
+      () => Cookbook.fromJSON({ recipes: [] }),
+      /formatVersion must be 1/
+    );
+    assert.throws(
+      () =>
+        Cookbook.fromJSON({
+          formatVersion: 1,
+          recipes: [{ ...JSON.parse(new Recipe('Tea').toJSON()), name: 42 }],
+        }),
+      /\/name must be string/
+    );
+  });
+});
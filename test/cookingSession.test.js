@@ -0,0 +1,254 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  CookingSession,
+  Entities,
+  Measurement,
+  Enums,
+} from '../src/index.js';
+
+/**
+ * A clock whose time only moves when tick() is called
+ */
+const createFakeClock = () => {
+  let now = 0;
+  let nextHandle = 1;
+  const scheduled = new Map();
+  return {
+    now: () => now,
+    setTimeout: (callback, ms) => {
+      const handle = nextHandle++;
+      scheduled.set(handle, { callback, at: now + ms });
+      return handle;
+    },
+    clearTimeout: (handle) => scheduled.delete(handle),
+    tick(ms) {
+      const until = now + ms;
+      for (;;) {
+        const [handle, due] = [...scheduled].sort(
+          ([, a], [, b]) => a.at - b.at
+        )[0] || [null, null];
+        if (!due || due.at > until) break;
+        scheduled.delete(handle);
+        now = due.at;
+        due.callback();
+      }
+      now = until;
+    },
+    get pending() {
+      return scheduled.size;
+    },
+  };
+};
+
+const pot = Entities.Container('Pot');
+const water = Entities.Ingredient('Water', { amount: 1, unit: 'l' });
+const pasta = Entities.Ingredient('Pasta', { amount: 200, unit: 'g' });
+const salt = Entities.Ingredient('Salt', { amount: 1, unit: 'tsp' });
+
+const buildRecipe = () =>
+  new Recipe('Pasta', {
+    ingredients: [water, pasta, salt],
+    steps: [
+      new RecipeStep()
+        .add(water)
+        .to(pot)
+        .heat(Enums.StoveHeat.HIGH)
+        .for(Measurement.minutes(5))
+        .untilCue(Enums.Cue.VISUAL, 'Water is boiling'),
+      new RecipeStep()
+        .add([pasta, salt])
+        .to(pot)
+        .parallel((thread) => thread.rest(Measurement.minutes(2))),
+    ],
+  });
+
+/**
+ * Collects the events emitted by a session
+ */
+const record = (session) => {
+  const events = [];
+  [
+    'stepStarted',
+    'actionStarted',
+    'timerStarted',
+    'timerElapsed',
+    'cueRequired',
+    'paused',
+    'resumed',
+    'finished',
+  ].forEach((name) =>
+    session.on(name, (payload) => events.push([name, payload]))
+  );
+  return events;
+};
+
+const names = (events) => events.map(([name]) => name);
+
+describe('CookingSession', () => {
+  let clock;
+  let recipe;
+
+  beforeEach(() => {
+    clock = createFakeClock();
+    recipe = buildRecipe();
+  });
+
+  it('walks the actions of every step and thread', () => {
+    const session = new CookingSession(recipe, { clock });
+    assert.equal(session.positions.length, 5);
+    assert.deepEqual(
+      session.positions.map(({ stepIndex, thread }) => `${stepIndex}${thread}`),
+      ['0', '0', '1', '1', '1a']
+    );
+  });
+
+  it('starts a timer for an action with a duration and fires it on time', () => {
+    const session = new CookingSession(recipe, { clock });
+    const events = record(session);
+    session.start().next();
+
+    assert.deepEqual(names(events), [
+      'stepStarted',
+      'actionStarted',
+      'actionStarted',
+      'timerStarted',
+    ]);
+    assert.equal(events[3][1].durationMs, 5 * 60 * 1000);
+
+    clock.tick(5 * 60 * 1000 - 1);
+    assert.equal(session.getTimers()[0].remainingMs, 1);
+    assert.ok(!names(events).includes('timerElapsed'));
+
+    clock.tick(1);
+    assert.equal(names(events).at(-1), 'timerElapsed');
+    assert.deepEqual(session.getTimers(), [
+      { position: session.positions[1], elapsed: true, remainingMs: 0 },
+    ]);
+  });
+
+  it('keeps timers running while moving on', () => {
+    const session = new CookingSession(recipe, { clock });
+    const events = record(session);
+    session.start().next();
+    clock.tick(60 * 1000);
+    session.next().confirm();
+
+    clock.tick(4 * 60 * 1000);
+    assert.equal(names(events).filter((n) => n === 'timerElapsed').length, 1);
+  });
+
+  it('pauses and resumes timers', () => {
+    const session = new CookingSession(recipe, { clock });
+    const events = record(session);
+    session.start().next();
+    clock.tick(2 * 60 * 1000);
+
+    session.pause();
+    assert.equal(session.status, 'paused');
+    assert.equal(clock.pending, 0);
+    clock.tick(60 * 60 * 1000);
+    assert.equal(session.getTimers()[0].remainingMs, 3 * 60 * 1000);
+    assert.ok(!names(events).includes('timerElapsed'));
+    assert.throws(() => session.next(), /paused/);
+
+    session.resume();
+    assert.equal(session.status, 'running');
+    clock.tick(3 * 60 * 1000);
+    assert.equal(names(events).at(-1), 'timerElapsed');
+    assert.deepEqual(
+      names(events).filter((n) => n === 'paused' || n === 'resumed'),
+      ['paused', 'resumed']
+    );
+  });
+
+  it('waits for the cues of a step to be confirmed', () => {
+    const session = new CookingSession(recipe, { clock });
+    const events = record(session);
+    session.start().next().next();
+
+    assert.equal(session.status, 'awaitingConfirmation');
+    const [, { stepIndex, prompts }] = events.at(-1);
+    assert.equal(stepIndex, 0);
+    assert.deepEqual(prompts, [
+      { kind: 'cue', type: Enums.Cue.VISUAL, description: 'Water is boiling' },
+    ]);
+    assert.equal(session.next().current.stepIndex, 0);
+
+    session.confirm();
+    assert.equal(session.status, 'running');
+    assert.equal(session.current.stepIndex, 1);
+    assert.throws(() => session.confirm(), /Nothing is awaiting/);
+  });
+
+  it('does not ask again for a confirmed step', () => {
+    const session = new CookingSession(recipe, { clock });
+    session.start().next().next().confirm();
+    session.previous();
+    assert.equal(session.current.stepIndex, 0);
+    session.next();
+    assert.equal(session.status, 'running');
+    assert.equal(session.current.stepIndex, 1);
+  });
+
+  it('moves back with previous() without restarting timers', () => {
+    const session = new CookingSession(recipe, { clock });
+    const events = record(session);
+    session.start().next();
+    session.previous();
+    assert.equal(session.position, 0);
+    session.next();
+    assert.equal(names(events).filter((n) => n === 'timerStarted').length, 1);
+    assert.throws(() => session.start(), /already started/);
+  });
+
+  it('finishes after the last action', () => {
+    const session = new CookingSession(recipe, { clock });
+    const events = record(session);
+    session.start().next().next().confirm();
+    session.next().next().next();
+    assert.equal(session.status, 'finished');
+    assert.equal(session.current, null);
+    assert.equal(names(events).at(-1), 'finished');
+  });
+
+  it('resumes from toJSON with running timers continuing', () => {
+    const session = new CookingSession(recipe, { clock });
+    session.start().next();
+    clock.tick(60 * 1000);
+    const saved = JSON.parse(JSON.stringify(session));
+    session.pause();
+
+    const restored = CookingSession.fromJSON(recipe, saved, { clock });
+    const events = record(restored);
+    assert.equal(restored.position, 1);
+    assert.equal(restored.status, 'running');
+    assert.equal(restored.getTimers()[0].remainingMs, 4 * 60 * 1000);
+
+    clock.tick(4 * 60 * 1000);
+    assert.deepEqual(names(events), ['timerElapsed']);
+  });
+
+  it('resumes a paused session from toJSON', () => {
+    const session = new CookingSession(recipe, { clock });
+    session.start().next();
+    clock.tick(60 * 1000);
+    session.pause();
+    const saved = JSON.parse(JSON.stringify(session));
+
+    clock.tick(60 * 60 * 1000);
+    const restored = CookingSession.fromJSON(recipe, saved, { clock });
+    const events = record(restored);
+    assert.equal(restored.status, 'paused');
+    assert.equal(clock.pending, 0);
+
+    restored.resume();
+    clock.tick(4 * 60 * 1000 - 1);
+    assert.ok(!names(events).includes('timerElapsed'));
+    clock.tick(1);
+    assert.equal(names(events).at(-1), 'timerElapsed');
+  });
+});
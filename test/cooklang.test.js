@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Enums,
+} from '../src/index.js';
+
+const pot = Entities.Container('Pot');
+const spoon = Entities.Tool('Wooden Spoon');
+const whisk = Entities.Tool('Whisk');
+const water = Entities.Ingredient('Water', { amount: 1, unit: 'l' });
+const salt = Entities.Ingredient('Sea Salt', { amount: 1, unit: 'pinch' });
+const basil = Entities.Ingredient('Basil', { amount: 2, unit: 'leaves' });
+
+const buildRecipe = () =>
+  new Recipe('Soup', {
+    ingredients: [water, salt, basil],
+    tools: [spoon, whisk],
+    servings: 2,
+    tags: ['quick'],
+    steps: [
+      new RecipeStep()
+        .add(water)
+        .to(pot)
+        .heat(Enums.StoveHeat.HIGH)
+        .for(Measurement.minutes(10)),
+      new RecipeStep()
+        .add(salt)
+        .to(pot)
+        .mix()
+        .parallel((thread) => thread.rest(Measurement.minutes(2))),
+    ],
+  });
+
+const durations = (recipe) =>
+  recipe.steps
+    .flatMap((step) => [step, ...step.threads])
+    .flatMap((step) => step.actions)
+    .filter((action) => action.duration)
+    .map(({ duration }) => Measurement.Duration.toSeconds(duration));
+
+describe('Cooklang', () => {
+  it('keeps ingredients through a round trip, including unmentioned ones', () => {
+    const recipe = Recipe.fromCooklang(buildRecipe().toCooklang());
+    assert.deepEqual(
+      recipe.ingredients.map(({ name, amount, unit }) => [name, amount, unit]),
+      [
+        ['Water', 1, 'l'],
+        ['Sea Salt', 1, 'pinch'],
+        ['Basil', 2, 'leaves'],
+      ]
+    );
+  });
+
+  it('keeps cookware through a round trip, including unmentioned tools', () => {
+    const text = buildRecipe().toCooklang();
+    assert.match(text, /^>> cookware: Wooden Spoon, Whisk$/m);
+
+    const recipe = Recipe.fromCooklang(text);
+    assert.deepEqual(
+      recipe.tools.map(({ type, name }) => [type, name]),
+      [
+        ['tool', 'Wooden Spoon'],
+        ['tool', 'Whisk'],
+      ]
+    );
+    assert.equal(recipe.steps[0].actions[0].container.name, 'Pot');
+  });
+
+  it('keeps timers through a round trip', () => {
+    const recipe = Recipe.fromCooklang(buildRecipe().toCooklang());
+    assert.deepEqual(durations(recipe), [600, 120]);
+    assert.equal(recipe.steps[1].threads.length, 1);
+  });
+
+  it('writes the same text after a round trip', () => {
+    const text = buildRecipe().toCooklang();
+    assert.equal(Recipe.fromCooklang(text).toCooklang(), text);
+  });
+
+  it('reads declared cookware and ingredients', () => {
+    const recipe = Recipe.fromCooklang(
+      `>> cookware: pot, ladle
+>> ingredients: @salt{1%pinch}, @fresh basil{}
+
+Put @potatoes{2} into the #pot. Boil for ~{20%minutes}.`,
+      'Boiled Potatoes'
+    );
+    assert.deepEqual(
+      recipe.ingredients.map(({ name, amount }) => [name, amount]),
+      [
+        ['potatoes', 2],
+        ['salt', 1],
+        ['fresh basil', undefined],
+      ]
+    );
+    // The pot is filled, so it is a container rather than a tool
+    assert.deepEqual(
+      recipe.tools.map(({ type, name }) => [type, name]),
+      [
+        ['container', 'pot'],
+        ['tool', 'ladle'],
+      ]
+    );
+  });
+
+  it('keeps cookware that is only mentioned in free text', () => {
+    const recipe = Recipe.fromCooklang(
+      `Put @potatoes{2} into the #pot and boil gently. Mash them in a #bowl{} with a #whisk.
+
+Whisk until smooth.`,
+      'Mash'
+    );
+    assert.deepEqual(
+      recipe.tools.map(({ type, name }) => [type, name]),
+      [
+        ['container', 'pot'],
+        ['container', 'bowl'],
+        ['tool', 'whisk'],
+      ]
+    );
+
+    const text = recipe.toCooklang();
+    assert.match(text, /into the #pot\{\} and boil gently/);
+    assert.match(text, /in a #bowl\{\} with a #whisk\{\}/);
+    // The verb is not taken for the whisk
+    assert.match(text, /^Whisk until smooth\.$/m);
+    assert.equal(Recipe.fromCooklang(text).toCooklang(), text);
+  });
+
+  it('keeps every timer of a sentence', () => {
+    const recipe = Recipe.fromCooklang(
+      'Boil the @potatoes{2} for ~{10%minutes}, then cook for another ~{2%minutes}.'
+    );
+    assert.deepEqual(durations(recipe), []);
+    assert.equal(
+      recipe.steps[0].actions[0].text,
+      'Boil the potatoes for 10 minutes, then cook for another 2 minutes'
+    );
+    assert.equal(
+      Recipe.fromCooklang(recipe.toCooklang()).toCooklang(),
+      recipe.toCooklang()
+    );
+  });
+});
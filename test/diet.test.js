@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Recipe, RecipeStep, Entities, Diet } from '../src/index.js';
+
+const buildRecipe = (...ingredients) =>
+  new Recipe('Test', {
+    ingredients,
+    steps: [new RecipeStep().add(ingredients[0])],
+  });
+
+describe('Diet.classifyIngredient', () => {
+  it('classifies by name, alias, plural and contained name', () => {
+    assert.deepEqual(Diet.classifyIngredient('Latte'), ['dairy', 'lactose']);
+    assert.deepEqual(Diet.classifyIngredient('Eggs'), ['egg']);
+    assert.deepEqual(Diet.classifyIngredient('Almond Milk'), ['tree nuts']);
+    assert.deepEqual(Diet.classifyIngredient('sifted cake flour'), ['gluten']);
+    assert.equal(Diet.classifyIngredient('Gnocchi'), null);
+  });
+
+  it('does not take cream of tartar or coconut cream for dairy', () => {
+    assert.deepEqual(Diet.classifyIngredient('Cream of Tartar'), []);
+    assert.deepEqual(Diet.classifyIngredient('Coconut cream'), []);
+  });
+
+  it('does not classify what a name says it is free of by containment', () => {
+    assert.equal(Diet.classifyIngredient('Peanut-free butter'), null);
+    assert.deepEqual(Diet.classifyIngredient('Lactose-free milk'), ['dairy']);
+  });
+
+  it("prefers an ingredient's own categories", () => {
+    assert.deepEqual(
+      Diet.classifyIngredient({ name: 'Milk', categories: [] }),
+      []
+    );
+  });
+});
+
+describe('Diet.analyzeDiet', () => {
+  it('reports allergens, diets and violations', () => {
+    const milk = Entities.Ingredient('Milk', { amount: 1, unit: 'cup' });
+    const analysis = buildRecipe(
+      milk,
+      Entities.Ingredient('Sugar')
+    ).analyzeDiet();
+    assert.deepEqual(analysis.allergens, ['dairy']);
+    assert.deepEqual(analysis.diets, ['vegetarian', 'gluten-free']);
+    assert.deepEqual(analysis.unknown, []);
+    assert.deepEqual(analysis.violations.vegan, [milk]);
+  });
+
+  it('does not satisfy or tag diets while an ingredient is unclassified', () => {
+    const gnocchi = Entities.Ingredient('Gnocchi');
+    const recipe = buildRecipe(gnocchi, Entities.Ingredient('Salt'));
+    const analysis = recipe.analyzeDiet({ addTags: true });
+    assert.deepEqual(analysis.diets, []);
+    assert.deepEqual(analysis.unknown, [
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'lactose-free',
+    ]);
+    assert.deepEqual(analysis.unclassified, [gnocchi]);
+    assert.deepEqual(recipe.tags, []);
+  });
+
+  it('lists the diets that suggested substitutions would satisfy', () => {
+    const milk = Entities.Ingredient('Milk', { amount: 1, unit: 'cup' });
+    const honey = Entities.Ingredient('Honey', { amount: 1, unit: 'tbsp' });
+    const recipe = buildRecipe(milk, honey)
+      .suggestSubstitution(milk, Entities.Ingredient('Oat Milk'))
+      .suggestSubstitution(milk, Entities.Ingredient('Lactose-free Milk'));
+
+    const { withSubstitutions } = recipe.analyzeDiet();
+    assert.deepEqual(
+      withSubstitutions.map(({ diet, description }) => [diet, description]),
+      [
+        [
+          'lactose-free',
+          'Becomes lactose-free if you use Oat Milk instead of Milk.',
+        ],
+      ]
+    );
+
+    // Honey has no substitution, so the recipe cannot become vegan
+    recipe.suggestSubstitution(honey, Entities.Ingredient('Maple Syrup'));
+    assert.deepEqual(
+      recipe.analyzeDiet().withSubstitutions.map(({ diet }) => diet),
+      ['vegan', 'lactose-free']
+    );
+  });
+
+  it('suggests no substitution while an ingredient is unclassified', () => {
+    const milk = Entities.Ingredient('Milk', { amount: 1, unit: 'cup' });
+    const recipe = buildRecipe(milk, Entities.Ingredient('Gnocchi'));
+    recipe.suggestSubstitution(milk, Entities.Ingredient('Oat Milk'));
+    assert.deepEqual(recipe.analyzeDiet().withSubstitutions, []);
+  });
+});
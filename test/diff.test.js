@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Enums,
+  Diff,
+} from '../src/index.js';
+
+const cup = Entities.Container('Tazza');
+const milk = Entities.Ingredient('Milk', { amount: 1, unit: 'cup' });
+const espresso = Entities.Ingredient('Espresso', { amount: 1, unit: 'shot' });
+
+const latte = () =>
+  new Recipe('Latte', {
+    ingredients: [milk, espresso],
+    tools: [Entities.Tool('Spoon')],
+    servings: 1,
+    tags: ['coffee'],
+    steps: [
+      new RecipeStep().add(espresso).to(cup),
+      new RecipeStep()
+        .add(milk)
+        .to(cup)
+        .heat(Enums.StoveHeat.LOW)
+        .for(Measurement.minutes(1))
+        .parallel((thread) => thread.rest(Measurement.minutes(1))),
+    ],
+  });
+
+const doppio = () => {
+  const doubleShot = Entities.Ingredient('Espresso', {
+    amount: 2,
+    unit: 'shot',
+  });
+  return new Recipe('Latte doppio', {
+    ingredients: [milk, doubleShot, Entities.Ingredient('Sugar')],
+    tools: [Entities.Tool('Spoon')],
+    servings: 2,
+    difficulty: 'easy',
+    tags: ['coffee', 'strong'],
+    steps: [
+      new RecipeStep().instruction('Warm the cup'),
+      new RecipeStep().add(doubleShot).to(cup),
+      new RecipeStep()
+        .add(milk)
+        .to(cup)
+        .heat(Enums.StoveHeat.LOW)
+        .for(Measurement.minutes(1))
+        .parallel((thread) => thread.rest(Measurement.minutes(3))),
+    ],
+  });
+};
+
+describe('Recipe.diff and applyPatch', () => {
+  it('lists metadata, ingredient and step changes', () => {
+    const changes = latte().diff(doppio());
+    assert.deepEqual(changes.metadata.map(({ field }) => field).sort(), [
+      'difficulty',
+      'name',
+      'servings',
+      'tags',
+    ]);
+    assert.deepEqual(
+      changes.ingredients.map(({ op, name }) => [op, name]),
+      [
+        ['change', 'Espresso'],
+        ['add', 'Sugar'],
+      ]
+    );
+    assert.deepEqual(
+      changes.steps.map(({ op, index }) => [op, index]),
+      [
+        ['insert', 0],
+        // Modified steps are numbered as in the old recipe
+        ['modify', 0],
+        ['modify', 1],
+      ]
+    );
+    assert.equal(changes.steps[2].threads.length, 1);
+  });
+
+  it('replays a diff into the content of the newer recipe', () => {
+    const before = latte();
+    const after = doppio();
+    const patched = before.applyPatch(before.diff(after));
+    assert.equal(patched.contentHash(), after.contentHash());
+    assert.ok(Diff.isEmpty(patched.diff(after)));
+    assert.equal(before.contentHash(), latte().contentHash());
+  });
+
+  it('refuses a diff computed from another recipe', () => {
+    const changes = latte().diff(doppio());
+    assert.throws(() => doppio().applyPatch(changes), /Patch does not apply/);
+  });
+
+  it('finds nothing between a recipe and its clone', () => {
+    const recipe = latte();
+    assert.ok(Diff.isEmpty(recipe.diff(recipe.clone())));
+    assert.match(Diff.formatDiff(recipe.diff(recipe.clone())), /No changes\n$/);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Measurement } from '../src/index.js';
+
+const { Duration } = Measurement;
+
+describe('Duration', () => {
+  it('drops float noise', () => {
+    const noisy = Duration(0.1 + 0.2, 'seconds');
+    assert.equal(Duration.toISO(noisy), 'PT0.3S');
+    assert.equal(Duration.humanize(noisy), '0.3 s');
+    assert.deepEqual(Duration.fromSeconds(0.1 + 0.2), Duration(0.3, 'seconds'));
+    assert.equal(Duration.normalize(Duration(90.3, 'seconds')).seconds, 30.3);
+  });
+
+  it('writes the sign of a negative duration once', () => {
+    const negative = Duration(-(2 * 86400 - 90), 'seconds');
+    assert.equal(Duration.humanize(negative), '-1 d 23 h 58 min 30 s');
+    assert.equal(Duration.toISO(negative), '-P1DT23H58M30S');
+    assert.deepEqual(Duration.normalize(Duration(-90, 'seconds')), {
+      days: 0,
+      hours: 0,
+      minutes: -1,
+      seconds: -30,
+    });
+  });
+
+  it('reads negative durations back', () => {
+    const negative = Duration(-90, 'minutes');
+    assert.deepEqual(Duration.parse(Duration.humanize(negative)), negative);
+    assert.deepEqual(Duration.fromISO(Duration.toISO(negative)), negative);
+    assert.deepEqual(Duration.fromSeconds(-5400), negative);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+
+import { Recipe, RecipeStep, Entities, Fingerprint } from '../src/index.js';
+
+const tea = Entities.Ingredient('Tea', { amount: 1, unit: 'tsp' });
+const recipe = new Recipe('Tea', {
+  ingredients: [tea],
+  steps: [new RecipeStep().add(tea)],
+});
+
+// cook() wrote the gzipped bucket counts, one byte each, before strategies
+const legacyHash = (counts) => gzipSync(Buffer.from(counts)).toString('base64');
+
+describe('Fingerprint', () => {
+  it('reads fingerprints from before strategies as legacy buckets', () => {
+    const { descriptor, values } = Fingerprint.decodeFingerprint(
+      legacyHash([1, 0, 2, 0])
+    );
+    assert.deepEqual(descriptor, {
+      strategy: 'legacy-buckets',
+      params: { numBuckets: 4 },
+    });
+    assert.deepEqual(values, [1, 0, 2, 0]);
+  });
+
+  it('compares legacy fingerprints with each other only', () => {
+    const legacy = legacyHash(new Array(256).fill(0));
+    assert.equal(Fingerprint.fingerprintSimilarity(legacy, legacy), 1);
+    assert.throws(
+      () => recipe.compareTo(legacy),
+      /Cannot compare a buckets \(numBuckets 256\) fingerprint with a legacy-buckets \(numBuckets 256\) one/
+    );
+  });
+
+  it('does not cook legacy fingerprints', () => {
+    assert.throws(
+      () => recipe.cook({ strategy: 'legacy-buckets' }),
+      /can only be read/
+    );
+  });
+
+  it('writes the strategy into the fingerprint', () => {
+    assert.deepEqual(
+      Fingerprint.decodeFingerprint(recipe.cook({ strategy: 'minhash' }))
+        .descriptor,
+      { strategy: 'minhash', params: { numHashes: 128 } }
+    );
+    assert.equal(recipe.compareTo(recipe.clone()), 1);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Geometry,
+  Validation,
+} from '../src/index.js';
+
+const roundTin = Entities.Container('Cake tin', {
+  geometry: Geometry.round(20, { depth: 7 }),
+});
+const sheetPan = Entities.Container('Sheet pan', {
+  geometry: Geometry.rectangular(23, 33, { depth: 5 }),
+});
+const shallowPan = Entities.Container('Shallow pan', {
+  geometry: Geometry.rectangular(23, 33, { depth: 1 }),
+});
+const oven = Entities.Appliance('Oven');
+const batter = Entities.Ingredient('Milk', { amount: 1, unit: 'l' });
+
+const cake = () =>
+  new Recipe('Cake', {
+    ingredients: [batter],
+    appliances: [oven],
+    servings: 8,
+    steps: [
+      new RecipeStep()
+        .add(batter)
+        .to(roundTin)
+        .heat(Measurement.celsius(180))
+        .for(Measurement.minutes(30)),
+    ],
+  });
+
+describe('Geometry', () => {
+  it('measures pans', () => {
+    assert.equal(Geometry.areaOf(sheetPan), 759);
+    assert.equal(Math.round(Geometry.volumeOf(roundTin)), 2199);
+  });
+
+  it('compares pans by area', () => {
+    const { ratio, basis, bakeTimeFactor } = Geometry.compareContainers(
+      roundTin,
+      sheetPan
+    );
+    assert.equal(basis, 'area');
+    assert.equal(ratio.toFixed(2), '2.42');
+    assert.equal(bakeTimeFactor.toFixed(2), '1.07');
+  });
+});
+
+describe('Recipe.adaptToContainer', () => {
+  it('scales the amounts and the bake time to the new pan', () => {
+    const adapted = cake().adaptToContainer(roundTin, sheetPan);
+    const [add, heat] = adapted.steps[0].actions;
+    assert.equal(adapted.ingredients[0].amount, 2.42);
+    assert.equal(adapted.servings, 19);
+    assert.equal(add.container, sheetPan);
+    assert.deepEqual(heat.duration, Measurement.minutes(32));
+    assert.deepEqual(adapted.warnings, []);
+  });
+
+  it('warns when the amounts overflow the new pan', () => {
+    const adapted = cake().adaptToContainer(roundTin, shallowPan);
+    assert.deepEqual(
+      adapted.warnings.map(({ code, path }) => [code, path]),
+      [
+        [
+          Validation.IssueCode.CONTAINER_OVERFLOW,
+          'steps[0].actions[0].container',
+        ],
+      ]
+    );
+  });
+});
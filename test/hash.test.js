@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Recipe, RecipeStep, Entities } from '../src/index.js';
+
+const buildRecipe = () =>
+  new Recipe('Tea', {
+    ingredients: [Entities.Ingredient('Water', { amount: 1, unit: 'cup' })],
+    steps: [new RecipeStep().instruction('Boil the water')],
+  });
+
+describe('Recipe hashes', () => {
+  it('remembers the fingerprint last cooked', () => {
+    const recipe = buildRecipe();
+    assert.equal(recipe.hash, null);
+    const hash = recipe.cook();
+    assert.equal(recipe.hash, hash);
+    recipe.addTags('hot');
+    assert.equal(recipe.hash, null);
+  });
+
+  it('drops the cached hashes when hash is set', () => {
+    const recipe = buildRecipe();
+    recipe.cook();
+    const contentHash = recipe.contentHash();
+
+    recipe.ingredients[0].amount = 2;
+    assert.equal(recipe.contentHash(), contentHash);
+
+    recipe.hash = null;
+    assert.equal(recipe.hash, null);
+    assert.notEqual(recipe.contentHash(), contentHash);
+  });
+
+  it('keeps the value set until the recipe changes', () => {
+    const recipe = buildRecipe();
+    recipe.hash = 'H4sIAAAA';
+    assert.equal(recipe.hash, 'H4sIAAAA');
+    recipe.addTags('hot');
+    assert.equal(recipe.hash, null);
+  });
+});
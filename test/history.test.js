@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Recipe, Entities, Diff } from '../src/index.js';
+
+const milk = Entities.Ingredient('Milk', { amount: 1, unit: 'cup' });
+const cup = Entities.Container('Cup');
+
+describe('Recipe version log', () => {
+  it('records the fluent changes of the recipe', () => {
+    const recipe = new Recipe('Milk', { ingredients: [milk] });
+    recipe.setDifficulty('easy').addTags('drink').setDifficulty('easy');
+    assert.deepEqual(
+      recipe.history.map(({ operation }) => operation),
+      ['create', 'setDifficulty', 'addTags']
+    );
+  });
+
+  it('records the actions of a built step with saveVersion', () => {
+    const recipe = new Recipe('Milk', { ingredients: [milk] });
+    recipe.createStep(milk).to(cup).mix();
+    assert.equal(recipe.version, 2);
+    assert.deepEqual(recipe.checkout(2).steps[0].actions, []);
+
+    recipe.saveVersion('mix in the cup');
+    assert.equal(recipe.version, 3);
+    assert.deepEqual(recipe.history[2].details, { note: 'mix in the cup' });
+    assert.deepEqual(
+      recipe.checkout(3).steps[0].actions.map(({ type }) => type),
+      ['add', 'mix']
+    );
+    assert.ok(!Diff.isEmpty(recipe.diffVersions(2, 3)));
+  });
+
+  it('records nothing when saving an unchanged recipe', () => {
+    const recipe = new Recipe('Milk', { ingredients: [milk] });
+    recipe.saveVersion();
+    assert.equal(recipe.version, 1);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Enums,
+} from '../src/index.js';
+
+const pot = Entities.Container('Pot');
+const beans = Entities.Ingredient('Beans', { amount: 500, unit: 'g' });
+
+const buildRecipe = () =>
+  new Recipe('Beans', {
+    ingredients: [beans],
+    difficulty: 'hard',
+    estimatedTime: Measurement.hours(1),
+    steps: [
+      new RecipeStep()
+        .add(beans)
+        .to(pot)
+        .heat(Enums.StoveHeat.LOW)
+        .for(Measurement.hours(1)),
+    ],
+  });
+
+describe('JSON-LD', () => {
+  it('keeps the difficulty through a round trip', () => {
+    const jsonLd = buildRecipe().toJsonLd();
+    assert.deepEqual(jsonLd.additionalProperty, [
+      { '@type': 'PropertyValue', name: 'difficulty', value: 'hard' },
+    ]);
+    assert.equal(Recipe.fromJsonLd(jsonLd).difficulty, 'hard');
+  });
+
+  it('falls back to the default difficulty when there is none', () => {
+    const recipe = Recipe.fromJsonLd({
+      '@type': 'Recipe',
+      name: 'Toast',
+      recipeIngredient: ['1 slice bread'],
+    });
+    assert.equal(recipe.difficulty, 'medium');
+  });
+
+  it('writes a duration of 1 in the singular and reads it back', () => {
+    const jsonLd = buildRecipe().toJsonLd();
+    assert.match(jsonLd.recipeInstructions[0].text, /Do this for 1 hour\./);
+
+    const recipe = Recipe.fromJsonLd(jsonLd);
+    assert.deepEqual(recipe.steps[0].actions.at(-1).duration, {
+      value: 1,
+      unit: 'hours',
+    });
+  });
+});
+
+describe('JSON-LD threads', () => {
+  it('keeps every step of a Meanwhile section in one thread', () => {
+    const recipe = Recipe.fromJsonLd({
+      '@type': 'Recipe',
+      name: 'Pasta',
+      recipeIngredient: ['1 l Water', '1 clove Garlic'],
+      recipeInstructions: [
+        { '@type': 'HowToStep', text: 'Boil the water.' },
+        {
+          '@type': 'HowToSection',
+          name: 'Meanwhile',
+          itemListElement: [
+            { '@type': 'HowToStep', text: 'Peel the garlic.' },
+            { '@type': 'HowToStep', text: 'Chop the garlic.' },
+            { '@type': 'HowToStep', text: 'Warm the plates.' },
+          ],
+        },
+      ],
+    });
+    assert.equal(recipe.steps.length, 1);
+    assert.equal(recipe.steps[0].threads.length, 1);
+    assert.deepEqual(
+      recipe.steps[0].threads[0].actions.map(({ text }) => text),
+      ['Peel the garlic', 'Chop the garlic', 'Warm the plates']
+    );
+  });
+
+  it('reads exported threads back', () => {
+    const recipe = buildRecipe();
+    recipe.steps[0].parallel((thread) => thread.instruction('Warm the plates'));
+    const imported = Recipe.fromJsonLd(recipe.toJsonLd());
+    assert.equal(imported.steps[0].threads.length, 1);
+    assert.equal(
+      imported.steps[0].threads[0].actions[0].text,
+      'Warm the plates'
+    );
+  });
+});
+
+describe('Text and Markdown', () => {
+  it('write an estimated time of 1 in the singular', () => {
+    const recipe = buildRecipe();
+    assert.match(recipe.toText(), /Estimated Time: 1 hour\n/);
+    assert.match(recipe.toMarkdown(), /\*\*Estimated Time:\*\* 1 hour\n/);
+    assert.deepEqual(
+      Recipe.fromMarkdown(recipe.toMarkdown()).estimatedTime,
+      Measurement.hours(1)
+    );
+  });
+});
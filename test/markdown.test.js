@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Enums,
+} from '../src/index.js';
+
+const fixture = readFileSync(
+  new URL('./fixtures/sauteed-carrots.md', import.meta.url),
+  'utf8'
+);
+
+const bowl = Entities.Container('Mixing Bowl');
+const pan = Entities.Container('Frying Pan');
+const carrot = Entities.Ingredient('Carrot', { amount: 2, unit: 'pieces' });
+const salt = Entities.Ingredient('Salt', { amount: 1, unit: 'tsp' });
+const garlic = Entities.Ingredient('Garlic', { amount: 1, unit: 'clove' });
+
+const buildRecipe = () =>
+  new Recipe('Sautéed Carrots', {
+    ingredients: [carrot, salt, garlic],
+    tools: [Entities.Tool('Knife')],
+    appliances: [Entities.Appliance('Stove')],
+    servings: 4,
+    difficulty: 'easy',
+    estimatedTime: Measurement.minutes(20),
+    tags: ['vegetarian', 'side dish'],
+    steps: [
+      new RecipeStep().add(carrot).to(bowl).prepare('chop'),
+      new RecipeStep().add(salt).to(bowl).mix().for(Measurement.seconds(30)),
+      new RecipeStep()
+        .transfer(pan)
+        .heat(Enums.StoveHeat.MEDIUM)
+        .for(Measurement.minutes(5))
+        .parallel((thread) => thread.add(garlic).to(pan).prepare('mince'))
+        .parallel((thread) => thread.instruction('Warm the plates')),
+    ],
+  })
+    .addNutritionInfo({ calories: 50, protein: 1, carbs: 10, fat: 0 })
+    .addMiseEnPlace(['Wash and peel carrots'])
+    .suggestSubstitution(carrot, Entities.Ingredient('Parsnip'))
+    .suggestSubstitution(salt, Entities.Ingredient('Sea Salt'))
+    .addServingSuggestion('Garnish with fresh parsley')
+    .addTags('quick');
+
+describe('Markdown', () => {
+  it('writes the fixture', () => {
+    assert.equal(buildRecipe().toMarkdown(), fixture);
+  });
+
+  it('writes the fixture back after reading it', () => {
+    assert.equal(Recipe.fromMarkdown(fixture).toMarkdown(), fixture);
+  });
+
+  it('reads Meanwhile threads back as parallel threads', () => {
+    const [, , step] = Recipe.fromMarkdown(fixture).steps;
+    assert.equal(step.threads.length, 2);
+    assert.deepEqual(
+      step.threads[0].actions.map(({ type }) => type),
+      [Enums.ActionType.ADD, Enums.ActionType.PREPARE]
+    );
+    assert.equal(step.threads[0].actions[0].ingredient.name, 'Garlic');
+    assert.equal(step.threads[1].actions[0].text, 'Warm the plates');
+  });
+
+  it('reads nutrition, substitutions and tags back', () => {
+    const recipe = Recipe.fromMarkdown(fixture);
+    assert.deepEqual(recipe.nutritionInfo, {
+      calories: 50,
+      protein: 1,
+      carbs: 10,
+      fat: 0,
+    });
+    assert.deepEqual(
+      recipe.substitutions.map(({ original, alternative }) => [
+        original.name,
+        alternative.name,
+      ]),
+      [
+        ['Carrot', 'Parsnip'],
+        ['Salt', 'Sea Salt'],
+      ]
+    );
+    assert.deepEqual(recipe.tags, ['vegetarian', 'side dish', 'quick']);
+  });
+
+  it('reads times and amounts back', () => {
+    const recipe = Recipe.fromMarkdown(fixture);
+    assert.deepEqual(recipe.estimatedTime, Measurement.minutes(20));
+    assert.deepEqual(recipe.steps[1].actions.at(-1).duration, {
+      value: 30,
+      unit: 'seconds',
+    });
+    assert.deepEqual(
+      recipe.ingredients.map(({ name, amount, unit }) => [name, amount, unit]),
+      [
+        ['Carrot', 2, 'pieces'],
+        ['Salt', 1, 'tsp'],
+        ['Garlic', 1, 'clove'],
+      ]
+    );
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { lookupName, normalizeName } from '../src/names.js';
+
+const table = new Map(
+  ['flour', 'cake flour', 'tomato'].map((name) => [name, name])
+);
+
+describe('lookupName', () => {
+  it('finds a name exactly, ignoring case and spacing', () => {
+    assert.equal(lookupName(table, '  Cake   Flour '), 'cake flour');
+    assert.equal(normalizeName('  Cake   Flour '), 'cake flour');
+  });
+
+  it('finds the singular form of a name', () => {
+    assert.equal(lookupName(table, 'Tomatoes'), 'tomato');
+  });
+
+  it('finds the longest known name contained in a name', () => {
+    assert.equal(lookupName(table, 'sifted cake flour'), 'cake flour');
+    assert.equal(lookupName(table, 'bread flour'), 'flour');
+    assert.equal(lookupName(table, 'sugar'), undefined);
+  });
+});
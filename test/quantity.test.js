@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Quantity, unitConverter } from '../src/index.js';
+
+describe('Quantity', () => {
+  it('recognizes kitchen fractions in floats', () => {
+    assert.deepEqual(Quantity.fromNumber(1 / 3), Quantity.fraction(1, 3));
+    assert.deepEqual(Quantity.fromNumber(2 / 3), Quantity.fraction(2, 3));
+    assert.equal(Quantity.fromNumber(5 / 16), 0.3125);
+    assert.equal(Quantity.fromNumber(0.1 + 0.2), 0.3);
+  });
+
+  it('keeps other floats as numbers', () => {
+    assert.equal(Quantity.fromNumber(1 / 7), 1 / 7);
+    assert.equal(Quantity.fromNumber(124.918588872), 124.918588872);
+    assert.equal(Quantity.toKey(124.918588872), '124.918588872');
+  });
+
+  it('keeps parsed fractions exact', () => {
+    assert.deepEqual(Quantity('1/7'), Quantity.fraction(1, 7));
+    assert.deepEqual(
+      Quantity.multiply(Quantity('1/7'), 2),
+      Quantity.fraction(2, 7)
+    );
+    assert.deepEqual(
+      Quantity.multiply(Quantity('⅓'), 0.5),
+      Quantity.fraction(1, 6)
+    );
+  });
+
+  it('does not turn converted amounts into odd fractions', () => {
+    const { amount } = unitConverter.convertIngredient(
+      { name: 'flour', amount: 1, unit: 'cup' },
+      'g'
+    );
+    assert.equal(typeof amount, 'number');
+    assert.equal(Quantity.format(amount), '124.92');
+  });
+});
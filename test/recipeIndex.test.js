@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gzipSync } from 'node:zlib';
+
+import { Recipe, RecipeStep, Entities, RecipeIndex } from '../src/index.js';
+
+const recipeOf = (name, names, options = {}) => {
+  const ingredients = names.map((ingredient) =>
+    Entities.Ingredient(ingredient, { amount: 1, unit: 'cup' })
+  );
+  return new Recipe(name, {
+    ingredients,
+    steps: [new RecipeStep().add(ingredients).to(Entities.Container('Bowl'))],
+    ...options,
+  });
+};
+
+const latte = recipeOf('Latte', ['Milk', 'Espresso'], {
+  tags: ['Coffee'],
+  difficulty: 'easy',
+  servings: 1,
+});
+const cappuccino = recipeOf('Cappuccino', ['Milk', 'Espresso', 'Foam'], {
+  tags: ['coffee', 'breakfast'],
+  difficulty: 'easy',
+  servings: 2,
+});
+const mocha = recipeOf('Mocha', ['Milk', 'Espresso', 'Chocolate'], {
+  tags: ['coffee'],
+  difficulty: 'medium',
+  servings: 4,
+});
+const soup = recipeOf('Soup', ['Water', 'Carrot', 'Onion', 'Salt'], {
+  servings: 4,
+});
+
+const buildIndex = (options) => {
+  const index = new RecipeIndex(options);
+  [latte, cappuccino, mocha, soup].forEach((recipe) => index.add(recipe));
+  return index;
+};
+
+// cook() wrote the gzipped bucket counts, one byte each, before strategies
+const legacyHash = (counts) => gzipSync(Buffer.from(counts)).toString('base64');
+
+describe('RecipeIndex.query', () => {
+  it('returns the most similar recipes first, never the recipe itself', () => {
+    const matches = buildIndex().query(latte, { k: 2 });
+    assert.deepEqual(
+      matches.map(({ name }) => name),
+      ['Cappuccino', 'Mocha']
+    );
+    assert.ok(matches[0].similarity >= matches[1].similarity);
+    assert.equal(matches[0].similarity, latte.compareTo(cappuccino));
+  });
+
+  it('filters by tags, difficulty, servings and similarity', () => {
+    const index = buildIndex();
+    const names = (query) => index.query(latte, query).map(({ name }) => name);
+    assert.deepEqual(names({ tags: ['COFFEE', 'breakfast'] }), ['Cappuccino']);
+    assert.deepEqual(names({ difficulty: 'medium' }).sort(), ['Mocha', 'Soup']);
+    assert.deepEqual(names({ difficulty: ['easy', 'hard'] }), ['Cappuccino']);
+    assert.deepEqual(names({ servings: 4 }).sort(), ['Mocha', 'Soup']);
+    assert.deepEqual(names({ servings: { min: 2, max: 3 } }), ['Cappuccino']);
+    const [best] = index.query(latte, { k: 1 });
+    // Both add one ingredient to the latte, so they are as similar to it
+    assert.deepEqual(names({ minSimilarity: best.similarity }), [
+      'Cappuccino',
+      'Mocha',
+    ]);
+  });
+
+  it('rejects fingerprints cooked another way', () => {
+    const index = buildIndex();
+    assert.throws(
+      () => index.query(latte.cook({ strategy: 'minhash' })),
+      /Fingerprint is minhash \(numHashes 128\), but the index uses buckets/
+    );
+    assert.throws(
+      () =>
+        index.addFingerprint({ id: 'x', hash: latte.cook({ numBuckets: 64 }) }),
+      /numBuckets 64/
+    );
+    assert.throws(
+      () => index.merge(buildIndex({ strategy: 'simhash' })),
+      /Cannot merge an index of simhash/
+    );
+  });
+});
+
+describe('RecipeIndex save and load', () => {
+  it('reads back the index it wrote', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'recipe-index-'));
+    try {
+      const path = join(directory, 'recipes.index.json');
+      const index = buildIndex({ strategy: 'simhash', bits: 32 });
+      index.save(path);
+
+      const loaded = RecipeIndex.load(path);
+      assert.deepEqual(loaded.options, index.options);
+      assert.deepEqual(loaded.entries(), index.entries());
+      assert.deepEqual(loaded.query(latte), index.query(latte));
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects an index cooked with other options than expected', () => {
+    const json = JSON.stringify(buildIndex({ numBuckets: 64 }));
+    assert.equal(RecipeIndex.fromJSON(json, 64).size, 4);
+    assert.throws(
+      () => RecipeIndex.fromJSON(json, { numBuckets: 256 }),
+      /Recipe index has buckets \(numBuckets 64\) fingerprints, expected buckets \(numBuckets 256\)/
+    );
+    assert.throws(
+      () => RecipeIndex.fromJSON(json, { strategy: 'minhash' }),
+      /expected minhash/
+    );
+    assert.throws(
+      () =>
+        RecipeIndex.fromJSON(
+          JSON.stringify(buildIndex({ weights: { ingredient: 2 } })),
+          {}
+        ),
+      /weights ingredient 2/
+    );
+  });
+
+  it('rejects documents that are not indexes', () => {
+    assert.throws(
+      () => RecipeIndex.fromJSON({ entries: [] }),
+      /formatVersion must be 2/
+    );
+  });
+
+  it('reads format 1 indexes as legacy buckets', () => {
+    const index = RecipeIndex.fromJSON({
+      formatVersion: 1,
+      numBuckets: 4,
+      entries: [
+        { id: 'a', name: 'A', hash: legacyHash([1, 0, 2, 0]) },
+        { id: 'b', name: 'B', hash: legacyHash([0, 3, 0, 0]) },
+      ],
+    });
+    assert.deepEqual(index.options, {
+      strategy: 'legacy-buckets',
+      numBuckets: 4,
+    });
+    assert.deepEqual(
+      index.query(legacyHash([1, 0, 2, 0])).map(({ id }) => id),
+      ['a', 'b']
+    );
+    assert.throws(() => index.add(latte), /can only be read/);
+  });
+});
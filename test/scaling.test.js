@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Validation,
+} from '../src/index.js';
+
+const pot = Entities.Container('Pot', { volume: Measurement.liters(3) });
+const stock = Entities.Ingredient('Stock', { amount: 1, unit: 'l' });
+
+const soup = () =>
+  new Recipe('Soup', {
+    ingredients: [stock],
+    steps: [new RecipeStep().add(stock).to(pot)],
+  });
+
+describe('Recipe.scale', () => {
+  it('has no warnings while the containers hold the scaled amounts', () => {
+    assert.deepEqual(soup().warnings, []);
+    assert.deepEqual(soup().scale(3).warnings, []);
+  });
+
+  it('returns the containers that overflow as warnings', () => {
+    const scaled = soup().scale(10);
+    assert.deepEqual(
+      scaled.warnings.map(({ code, path }) => [code, path]),
+      [
+        [
+          Validation.IssueCode.CONTAINER_OVERFLOW,
+          'steps[0].actions[0].container',
+        ],
+      ]
+    );
+    assert.deepEqual(
+      scaled.warnings,
+      scaled
+        .validate({ report: true })
+        .filter(({ code }) => code === Validation.IssueCode.CONTAINER_OVERFLOW)
+    );
+  });
+});
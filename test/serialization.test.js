@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Recipe } from '../src/index.js';
+
+const legacyDocument = (name) => ({
+  formatVersion: 2,
+  name,
+  ingredients: [{ type: 'ingredient', name: 'Tea', amount: 1, unit: 'tsp' }],
+  tools: [],
+  appliances: [],
+  steps: [],
+  servings: 1,
+  difficulty: 'easy',
+  estimatedTime: null,
+  nutritionInfo: null,
+  miseEnPlace: [],
+  servingSuggestions: [],
+  substitutions: [],
+  tags: [],
+});
+
+describe('Recipe.fromJSON', () => {
+  it('gives a legacy document without an id the same id on every load', () => {
+    const json = JSON.stringify(legacyDocument('Tea'));
+    const { id } = Recipe.fromJSON(json);
+    assert.match(
+      id,
+      /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+    assert.equal(Recipe.fromJSON(json).id, id);
+    assert.equal(Recipe.fromJSON({ ...legacyDocument('Tea') }).id, id);
+  });
+
+  it('gives legacy documents with other contents other ids', () => {
+    assert.notEqual(
+      Recipe.fromJSON(legacyDocument('Tea')).id,
+      Recipe.fromJSON(legacyDocument('Green Tea')).id
+    );
+  });
+
+  it('derives the id of version 1 documents too', () => {
+    const { formatVersion, ...document } = legacyDocument('Tea');
+    assert.equal(Recipe.fromJSON(document).id, Recipe.fromJSON(document).id);
+  });
+
+  it('keeps the id of a saved recipe', () => {
+    const recipe = new Recipe('Tea');
+    assert.equal(Recipe.fromJSON(recipe.toJSON()).id, recipe.id);
+  });
+
+  it('loads every recipe that can be built', () => {
+    const recipe = Recipe.fromCooklang('Boil @water{1%l} in a #pot.');
+    assert.equal(recipe.name, '');
+    assert.equal(Recipe.fromJSON(recipe.toJSON()).name, '');
+
+    const unserved = new Recipe('Tea', { servings: 0 });
+    assert.equal(Recipe.fromJSON(unserved.toJSON()).servings, 0);
+  });
+
+  it('still rejects names that are not strings', () => {
+    assert.throws(
+      () => Recipe.fromJSON({ ...legacyDocument('Tea'), name: 42 }),
+      /\/name must be string/
+    );
+  });
+});
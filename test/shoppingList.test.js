@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Recipe, RecipeStep, Entities, ShoppingList } from '../src/index.js';
+import { singularize } from '../src/names.js';
+
+const recipeWith = (name, ingredients) =>
+  new Recipe(name, { ingredients, steps: [new RecipeStep()] });
+
+const itemsOf = (list) =>
+  list.categories.flatMap(({ items }) =>
+    items.map(({ name, quantities }) => [name, quantities])
+  );
+
+describe('singularize', () => {
+  it('drops "es" only after ss, x, z, ch, sh and o', () => {
+    assert.equal(singularize('cheeses'), 'cheese');
+    assert.equal(singularize('tomatoes'), 'tomato');
+    assert.equal(singularize('peaches'), 'peach');
+    assert.equal(singularize('boxes'), 'box');
+    assert.equal(singularize('glasses'), 'glass');
+    assert.equal(singularize('apples'), 'apple');
+    assert.equal(singularize('eggs'), 'egg');
+    assert.equal(singularize('asparagus'), 'asparagus');
+  });
+});
+
+describe('buildShoppingList', () => {
+  it('merges plurals such as cheeses and cheese', () => {
+    const list = ShoppingList.buildShoppingList([
+      recipeWith('A', [Entities.Ingredient('Cheeses', { amount: 2 })]),
+      recipeWith('B', [Entities.Ingredient('Cheese', { amount: 1 })]),
+    ]);
+    assert.deepEqual(itemsOf(list), [['Cheeses', [{ amount: 3 }]]]);
+  });
+
+  it('merges kitchen units in the singular and the plural', () => {
+    const list = ShoppingList.buildShoppingList([
+      recipeWith('A', [
+        Entities.Ingredient('Garlic', { amount: 1, unit: 'clove' }),
+      ]),
+      recipeWith('B', [
+        Entities.Ingredient('Garlic', { amount: 2, unit: 'cloves' }),
+      ]),
+    ]);
+    assert.deepEqual(itemsOf(list), [
+      ['Garlic', [{ amount: 3, unit: 'cloves' }]],
+    ]);
+  });
+
+  it('merges volumes and masses through the density table', () => {
+    const list = ShoppingList.buildShoppingList([
+      recipeWith('A', [
+        Entities.Ingredient('Flour', { amount: 200, unit: 'g' }),
+      ]),
+      recipeWith('B', [
+        Entities.Ingredient('Flour', { amount: 1.5, unit: 'cup' }),
+      ]),
+    ]);
+    const [[, [quantity]]] = itemsOf(list);
+    assert.equal(quantity.unit, 'g');
+    assert.ok(Math.abs(quantity.amount - 387.38) < 0.01);
+  });
+
+  it('keeps volumes and masses apart without a density', () => {
+    const list = ShoppingList.buildShoppingList([
+      recipeWith('A', [
+        Entities.Ingredient('Mystery powder', { amount: 1, unit: 'cup' }),
+      ]),
+      recipeWith('B', [
+        Entities.Ingredient('Mystery powder', { amount: 50, unit: 'g' }),
+      ]),
+    ]);
+    assert.deepEqual(itemsOf(list), [
+      [
+        'Mystery powder',
+        [
+          { amount: 1, unit: 'cup' },
+          { amount: 50, unit: 'g' },
+        ],
+      ],
+    ]);
+  });
+});
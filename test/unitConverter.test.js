@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { unitConverter } from '../src/index.js';
+
+describe('unitConverter', () => {
+  it('converts Gas Marks to Fahrenheit', () => {
+    assert.equal(unitConverter.convert(0.25, 'Gas Mark', 'F'), 225);
+    assert.equal(unitConverter.convert(0.5, 'Gas Mark', 'F'), 250);
+    assert.equal(unitConverter.convert(1, 'Gas Mark', 'F'), 275);
+    assert.equal(unitConverter.convert(4, 'Gas Mark', 'F'), 350);
+    assert.equal(unitConverter.convert(9, 'Gas Mark', 'F'), 475);
+    assert.equal(unitConverter.convert(375, 'F', 'Gas Mark'), 5);
+  });
+
+  it('keeps the Gas Mark scale increasing', () => {
+    const marks = [0.25, 0.5, 0.75, 0.99, 1, 1.5, 2, 9];
+    const temperatures = marks.map((mark) =>
+      unitConverter.convert(mark, 'Gas Mark', 'F')
+    );
+    temperatures.slice(1).forEach((temperature, index) => {
+      assert.ok(temperature > temperatures[index]);
+    });
+  });
+
+  it('does not read gm as Gas Mark', () => {
+    assert.throws(() => unitConverter.convert(1, 'gm', 'F'), /unknown unit/);
+  });
+});
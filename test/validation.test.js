@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Recipe,
+  RecipeStep,
+  Entities,
+  Measurement,
+  Validation,
+} from '../src/index.js';
+
+const milk = Entities.Ingredient('Milk', { amount: 1, unit: 'cup' });
+
+describe('Recipe.validate', () => {
+  it('throws when the recipe has no name, ingredients or steps', () => {
+    assert.throws(
+      () =>
+        new Recipe('', {
+          ingredients: [milk],
+          steps: [new RecipeStep()],
+        }).validate(),
+      /name/
+    );
+    assert.throws(() =>
+      new Recipe('Milk', { steps: [new RecipeStep()] }).validate()
+    );
+    assert.throws(() => new Recipe('Milk', { ingredients: [milk] }).validate());
+  });
+
+  it('only reports the step checks', () => {
+    const recipe = new Recipe('Warm Milk', {
+      ingredients: [milk],
+      steps: [
+        new RecipeStep()
+          .heat(Measurement.Temperature(3, 'level'))
+          .for(Measurement.minutes(1)),
+      ],
+    });
+    assert.equal(recipe.validate(), undefined);
+    assert.deepEqual(
+      recipe.validate({ report: true }).map(({ code }) => code),
+      [
+        Validation.IssueCode.MISSING_CONTAINER,
+        Validation.IssueCode.UNUSED_INGREDIENT,
+      ]
+    );
+  });
+});